@@ -1,17 +1,27 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
-const path = require('path');
-const fs = require('fs').promises;
-const yaml = require('js-yaml');
-const dotenv = require('dotenv');
-const chalk = require('chalk');
-const ora = require('ora');
-const boxen = require('boxen');
-const VisualComparisonEngine = require('./src/core/comparison-engine');
-const IssueTracker = require('./src/integrations/issue-tracker');
-const FixGenerator = require('./src/core/fix-generator');
-const LiveMonitor = require('./src/core/live-monitor');
+import { program } from 'commander';
+import path from 'path';
+import { promises as fs } from 'fs';
+import yaml from 'js-yaml';
+import dotenv from 'dotenv';
+import chalk from 'chalk';
+import ora from 'ora';
+import boxen from 'boxen';
+import { VisualComparisonEngine } from './src/core/comparison-engine.js';
+import { IssueTracker } from './src/integrations/issue-tracker.js';
+import { FixGenerator } from './src/core/fix-generator.js';
+import { LiveMonitor } from './src/core/live-monitor.js';
+import { describeRegion } from './src/core/diff-regions.js';
+import { describeColorSwap } from './src/core/color-diff.js';
+import { describeTokenViolation } from './src/core/token-check.js';
+import { loadFigmaFile, describeFigmaFinding } from './src/integrations/figma.js';
+import { describeGeometryChange } from './src/core/geometry-diff.js';
+import { BatchRunner } from './src/core/batch-runner.js';
+import { generateHtmlReport } from './src/core/html-report.js';
+import { evaluateResults, toJUnit, toSARIF, EXIT_CODES } from './src/core/ci-report.js';
+import { startStaticServer } from './src/core/static-server.js';
+import { discoverStoryComparisons, DEFAULT_STORYBOOK_OPTIONS } from './src/integrations/storybook.js';
 
 // Load environment variables
 dotenv.config();
@@ -59,7 +69,7 @@ async function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
     return config;
   } catch (error) {
     if (error.code === 'ENOENT') {
-      console.log(chalk.yellow(`Configuration file not found at ${configPath}. Using default configuration.`));
+      console.warn(chalk.yellow(`Configuration file not found at ${configPath}. Using default configuration.`));
       return {};
     }
     
@@ -68,12 +78,79 @@ async function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
   }
 }
 
+/**
+ * Writes the JUnit, SARIF and JSON outputs requested on the command line and
+ * sets the process exit code (see ci-report.js)
+ */
+async function reportForCI(results, options, config, log) {
+  const evaluation = evaluateResults(results, {
+    failOn: options.failOn,
+    thresholds: config.github && config.github.priorityThresholds
+  });
+  
+  if (options.junit) {
+    await fs.mkdir(path.dirname(path.resolve(options.junit)), { recursive: true });
+    await fs.writeFile(options.junit, toJUnit(evaluation));
+    log(`JUnit Report: ${chalk.cyan(options.junit)}`);
+  }
+  if (options.sarif) {
+    await fs.mkdir(path.dirname(path.resolve(options.sarif)), { recursive: true });
+    await fs.writeFile(options.sarif, JSON.stringify(toSARIF(evaluation), null, 2));
+    log(`SARIF Report: ${chalk.cyan(options.sarif)}`);
+  }
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(evaluation, null, 2)}\n`);
+  }
+  
+  process.exitCode = evaluation.exitCode;
+  return evaluation;
+}
+
+/**
+ * Prints a line per finished batch comparison
+ */
+function watchBatchProgress(batchRunner, spinner) {
+  let completed = 0;
+  batchRunner.on('comparison-completed', (entry) => {
+    completed++;
+    const label = `[${completed}/${entry.total}] ${entry.name}${entry.selector !== 'body' ? ` ${chalk.dim(entry.selector)}` : ''}`;
+    if (entry.status === 'error') {
+      spinner.fail(`${label}: ${entry.error}`);
+    } else if (entry.status === 'failed') {
+      spinner.fail(`${label}: significant differences in ${entry.results.filter(result => result.hasSignificantDifferences).length} of ${entry.results.length} captures`);
+    } else {
+      spinner.succeed(label);
+    }
+    spinner.start('Running comparisons...');
+  });
+}
+
+/**
+ * Prints the totals of a batch summary
+ */
+function printBatchSummary(summary, title = 'Batch Results') {
+  const { totals } = summary;
+  const failing = totals.failed + totals.errored > 0;
+  console.log(boxen(
+    `${chalk.bold(title)} ${chalk.dim(`${totals.comparisons} comparisons in ${(summary.durationMs / 1000).toFixed(1)}s`)}
+    
+Passed: ${chalk.green(totals.passed)}
+Failed: ${chalk.red(totals.failed)}
+Errored: ${chalk.yellow(totals.errored)}
+
+Summary: ${chalk.cyan(summary.summaryPath)}`,
+    { padding: 1, borderColor: failing ? 'red' : 'green', margin: 1 }
+  ));
+}
+
 /**
  * Initialize the CLI
  */
 async function init() {
-  console.log(chalk.cyan(logo));
-  console.log(chalk.bold('  The Visual QA System for Web Interfaces\n'));
+  // Keep stdout clean for --json output
+  const banner = process.argv.includes('--json') ? console.error : console.log;
+  banner(chalk.cyan(logo));
+  banner(chalk.bold('  The Visual QA System for Web Interfaces\n'));
   
   program
     .name('oculus-qasum')
@@ -101,7 +178,7 @@ async function init() {
             },
             llm: {
               enabled: true,
-              model: 'gpt-4-vision-preview'
+              model: 'gpt-4o'
             },
             outputDir: './oculus-qasum-results'
           },
@@ -189,94 +266,509 @@ Run ${chalk.cyan('npx oculus-qasum compare')} to start comparing your designs wi
   program
     .command('compare')
     .description('Compare design mockup with implementation')
-    .option('-d, --design <url>', 'URL or file path to design mockup')
+    .option('-d, --design <url>', 'URL or file path to design mockup (PNG, JPEG, WebP, SVG or PDF)')
     .option('-i, --implementation <url>', 'URL or file path to implementation')
     .option('-s, --selector <selector>', 'CSS selector to compare', 'body')
     .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
     .option('--no-issue', 'Skip creating GitHub issue for discrepancies')
     .option('--no-fix', 'Skip generating fix for discrepancies')
+    .option('--color-mode <mode>', 'Pixel comparison mode: pixelmatch or ciede2000')
+    .option('--viewports <names>', 'Comma-separated viewport or Playwright device names (default: all configured)')
+    .option('--stabilize', 'Render deterministically: no animations, frozen clock, loaded fonts and images')
+    .option('--full-page', 'Scroll and stitch content hidden in scroll containers')
+    .option('--design-page <n>', 'Page of a PDF design to compare (default: 1)')
+    .option('--crop <x,y,width,height>', 'Region of the design to compare, in SVG px, PDF points or pixels')
+    .option('--report [path]', 'Write a self-contained HTML report (default: report.html in the output or run directory)')
+    .option('--fail-on <level>', 'Exit with code 1 on results of this severity or higher: any, high, medium or low', 'any')
+    .option('--json', 'Print machine-readable results to stdout (other output goes to stderr)')
+    .option('--junit <path>', 'Write a JUnit XML report with one testcase per url, viewport and selector')
+    .option('--sarif <path>', 'Write a SARIF report for code-scanning annotations')
     .action(async (options) => {
+      const log = options.json ? console.error : console.log;
       const spinner = ora('Loading configuration...').start();
       
       try {
         // Load configuration
         const config = await loadConfig(options.config);
+        if (options.colorMode) {
+          config.comparison = {
+            ...config.comparison,
+            pixelComparison: {
+              ...(config.comparison && config.comparison.pixelComparison),
+              mode: options.colorMode
+            }
+          };
+        }
+        if (options.stabilize) {
+          config.comparison = {
+            ...config.comparison,
+            stabilize: { ...(config.comparison && config.comparison.stabilize), enabled: true }
+          };
+        }
+        if (options.fullPage) {
+          config.comparison = {
+            ...config.comparison,
+            fullPage: { ...(config.comparison && config.comparison.fullPage), enabled: true }
+          };
+        }
+        if (options.designPage || options.crop) {
+          const [x, y, width, height] = options.crop ? options.crop.split(',').map(Number) : [];
+          config.comparison = {
+            ...config.comparison,
+            designLoader: {
+              ...(config.comparison && config.comparison.designLoader),
+              ...(options.designPage ? { page: parseInt(options.designPage, 10) } : {}),
+              ...(options.crop ? { cropBox: { x, y, width, height } } : {})
+            }
+          };
+        }
         
         spinner.text = 'Initializing comparison engine...';
         const comparisonEngine = new VisualComparisonEngine(config.comparison);
         
         spinner.text = 'Comparing design with implementation...';
-        const comparisonResults = await comparisonEngine.runComparison(
+        const viewportResults = await comparisonEngine.compareViewports(
           options.design,
           options.implementation,
-          options.selector
+          options.selector,
+          options.viewports ? options.viewports.split(',').map(name => name.trim()) : null
         );
         
-        spinner.succeed('Comparison completed!');
+        const run = viewportResults.length > 0 ? viewportResults[0].run : null;
+        spinner.succeed(run ? `Comparison completed! Run ${run.id}` : 'Comparison completed!');
         
-        // Display results
-        console.log(boxen(
-          `${chalk.bold('Comparison Results')}
+        let fixGenerated = false;
+        for (const comparisonResults of viewportResults) {
+          const { viewport, state } = comparisonResults;
+          const variant = [viewportResults.length > 1 ? viewport.name : null, state].filter(Boolean).join(', ');
+          const componentName = variant
+            ? `${path.basename(options.implementation)} (${variant})`
+            : path.basename(options.implementation);
+        
+          // Display results
+          const { sizeDifference } = comparisonResults.pixelDiff;
+          const sizeLine = sizeDifference && sizeDifference.mismatch
+            ? `Size Mismatch: ${chalk.yellow(`design ${sizeDifference.design.width}x${sizeDifference.design.height}, implementation ${sizeDifference.implementation.width}x${sizeDifference.implementation.height}`)} (${sizeDifference.mode})\n`
+            : '';
+          const { regions = [] } = comparisonResults.pixelDiff;
+          const regionLines = regions.length > 0
+            ? `Changed Regions:\n${regions.slice(0, 5).map(region => `  ${describeRegion(region)}`).join('\n')}\n`
+            : '';
+          const { colorAnalysis } = comparisonResults.pixelDiff;
+          const swapLines = colorAnalysis && colorAnalysis.swaps.length > 0
+            ? `Color Swaps:\n${colorAnalysis.swaps.slice(0, 5).map(swap => `  ${describeColorSwap(swap)}`).join('\n')}\n`
+            : '';
+          const { geometryAnalysis } = comparisonResults;
+          const geometryLines = geometryAnalysis && geometryAnalysis.changes.length > 0
+            ? `Geometry Changes:\n${geometryAnalysis.changes.slice(0, 5).map(change => `  ${describeGeometryChange(change)}`).join('\n')}\n`
+            : '';
+          const { figmaAnalysis } = comparisonResults;
+          const figmaLines = figmaAnalysis && figmaAnalysis.totalFindings > 0
+            ? `Figma Spec Mismatches:\n${figmaAnalysis.findings.slice(0, 5).map(finding => `  ${describeFigmaFinding(finding)}`).join('\n')}\n`
+            : '';
+        
+          log(boxen(
+            `${chalk.bold('Comparison Results')} ${chalk.dim(`${viewport.name} ${viewport.width}x${viewport.height} @${viewport.deviceScaleFactor}x${state ? ` ${state}` : ''}`)}
           
 Pixel Difference: ${chalk.yellow(comparisonResults.pixelDiff.diffPercentage * 100)}%
-Structural Difference: ${chalk.yellow(comparisonResults.structuralDiff.structuralDiffPercentage * 100)}%
-
+Structural Difference: ${chalk.yellow(comparisonResults.structuralDiff.structuralDiffPercentage * 100)}% (SSIM ${comparisonResults.structuralDiff.ssim.toFixed(4)})
+${sizeLine}${regionLines}${swapLines}${geometryLines}${figmaLines}
 ${comparisonResults.hasSignificantDifferences 
   ? chalk.red('✘ Significant visual discrepancies detected!') 
   : chalk.green('✓ No significant visual discrepancies detected.')}
 
-Diff Image: ${chalk.cyan(comparisonResults.pixelDiff.diffImagePath)}`,
-          { padding: 1, borderColor: comparisonResults.hasSignificantDifferences ? 'red' : 'green', margin: 1 }
-        ));
+Diff Image: ${chalk.cyan(comparisonResults.pixelDiff.diffImagePath)}
+Structural Heatmap: ${chalk.cyan(comparisonResults.structuralDiff.diffImagePath)}`,
+            { padding: 1, borderColor: comparisonResults.hasSignificantDifferences ? 'red' : 'green', margin: 1 }
+          ));
         
-        // Create GitHub issue if enabled and discrepancies exist
-        if (options.issue && comparisonResults.hasSignificantDifferences) {
-          spinner.text = 'Creating GitHub issue...';
-          spinner.start();
+          // Create GitHub issue if enabled and discrepancies exist
+          if (options.issue && comparisonResults.hasSignificantDifferences) {
+            spinner.text = 'Creating GitHub issue...';
+            spinner.start();
           
-          const issueTracker = new IssueTracker(config.github);
-          const issueResult = await issueTracker.createIssue(comparisonResults, {
-            componentName: path.basename(options.implementation),
-            pageUrl: options.implementation,
-            selector: options.selector
-          });
+            const issueTracker = new IssueTracker(config.github);
+            const issueResult = await issueTracker.createIssue(comparisonResults, {
+              componentName,
+              pageUrl: options.implementation,
+              selector: options.selector
+            });
           
-          spinner.succeed(`GitHub issue created: #${issueResult.issueNumber}`);
-          console.log(`Issue URL: ${chalk.cyan(issueResult.issueUrl)}`);
-        }
+            spinner.succeed(`GitHub issue created: #${issueResult.issueNumber}`);
+            log(`Issue URL: ${chalk.cyan(issueResult.issueUrl)}`);
+          }
         
-        // Generate fix if enabled and discrepancies exist
-        if (options.fix && comparisonResults.hasSignificantDifferences) {
-          spinner.text = 'Generating fix...';
-          spinner.start();
+          // Generate fix if enabled and discrepancies exist (once, for the first failing viewport)
+          if (options.fix && !fixGenerated && comparisonResults.hasSignificantDifferences) {
+            fixGenerated = true;
+            spinner.text = 'Generating fix...';
+            spinner.start();
           
-          try {
-            // For this demo, we'll assume we have the source code
-            const sourceCode = await fs.readFile(options.implementation, 'utf8');
+            try {
+              // For this demo, we'll assume we have the source code
+              const sourceCode = await fs.readFile(options.implementation, 'utf8');
             
-            const fixGenerator = new FixGenerator(config.llm);
-            const fixResult = await fixGenerator.generateFix(comparisonResults, sourceCode, {
-              componentName: path.basename(options.implementation),
-              filePath: options.implementation
-            });
+              const fixGenerator = new FixGenerator(config.llm);
+              const fixResult = await fixGenerator.generateFix(comparisonResults, sourceCode, {
+                componentName: path.basename(options.implementation),
+                filePath: options.implementation
+              });
             
-            spinner.succeed(`Fix generated: ${fixResult.filePath}`);
+              spinner.succeed(`Fix generated: ${fixResult.filePath}`);
             
-            console.log(boxen(
-              `${chalk.bold('Generated Fix')}
+              log(boxen(
+                `${chalk.bold('Generated Fix')}
               
 ${chalk.green('✓')} Fix has been saved to: ${chalk.cyan(fixResult.filePath)}
 
 ${chalk.bold('Reasoning:')}
 ${fixResult.reasoning}`,
-              { padding: 1, borderColor: 'cyan', margin: 1 }
-            ));
-          } catch (error) {
-            spinner.warn(`Unable to generate fix: ${error.message}`);
+                { padding: 1, borderColor: 'cyan', margin: 1 }
+              ));
+            } catch (error) {
+              spinner.warn(`Unable to generate fix: ${error.message}`);
+            }
           }
         }
+        
+        if (options.report) {
+          const reportPath = await generateHtmlReport(viewportResults, {
+            outputPath: typeof options.report === 'string'
+              ? options.report
+              : path.join(run ? run.dir : comparisonEngine.config.outputDir, 'report.html'),
+            title: `Visual QA: ${path.basename(options.implementation)}`
+          });
+          log(`HTML Report: ${chalk.cyan(reportPath)}`);
+        }
+        
+        await reportForCI(viewportResults, options, config, log);
       } catch (error) {
         spinner.fail(`Comparison failed: ${error.message}`);
+        if (options.json) {
+          process.stdout.write(`${JSON.stringify({ exitCode: EXIT_CODES.error, error: error.message }, null, 2)}\n`);
+        }
+        process.exitCode = EXIT_CODES.error;
+      }
+    });
+  
+  // Design token command
+  program
+    .command('tokens')
+    .description('Check a page\'s computed styles against a design tokens file')
+    .option('-u, --url <url>', 'URL of the page to check')
+    .option('-t, --tokens <path>', 'Path to a W3C or Style Dictionary design tokens JSON file')
+    .option('-s, --selector <selector>', 'CSS selector to check', 'body')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .action(async (options) => {
+      const spinner = ora('Loading configuration...').start();
+      
+      try {
+        // Load configuration
+        const config = await loadConfig(options.config);
+        const comparisonConfig = config.comparison || {};
+        const comparisonEngine = new VisualComparisonEngine({
+          ...comparisonConfig,
+          llm: { ...comparisonConfig.llm, enabled: false },
+          tokens: {
+            ...comparisonConfig.tokens,
+            ...(options.tokens ? { file: options.tokens } : {})
+          }
+        });
+        
+        spinner.text = 'Checking computed styles against design tokens...';
+        const results = await comparisonEngine.checkDesignTokens(options.url, options.selector);
+        spinner.succeed('Token check completed!');
+        
+        console.log(boxen(
+          `${chalk.bold('Design Token Conformance')}
+          
+Tokens: ${chalk.cyan(results.tokenCount)}
+Checked Values: ${chalk.cyan(results.checkedValues)}
+${results.totalViolations > 0
+  ? chalk.red(`✘ ${results.totalViolations} values are not design tokens:`)
+  : chalk.green('✓ All checked values match design tokens.')}
+${results.violations.slice(0, 15).map(violation => `  ${describeTokenViolation(violation)}`).join('\n')}`,
+          { padding: 1, borderColor: results.totalViolations > 0 ? 'red' : 'green', margin: 1 }
+        ));
+      } catch (error) {
+        spinner.fail(`Token check failed: ${error.message}`);
+        process.exitCode = EXIT_CODES.error;
+      }
+    });
+  
+  // Figma spec command
+  program
+    .command('figma')
+    .description('Check a page\'s element geometry and styles against a frame of a Figma JSON export')
+    .option('-f, --file <path>', 'Path to a Figma REST API JSON export (GET /v1/files/:key)')
+    .option('--frame <name>', 'Frame name or id (default: the first frame)')
+    .option('--list', 'List the frames of the export and exit')
+    .option('-u, --url <url>', 'URL of the page to check')
+    .option('-s, --selector <selector>', 'CSS selector of the element the frame maps to', 'body')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .action(async (options) => {
+      const spinner = ora('Loading configuration...').start();
+      
+      try {
+        // Load configuration
+        const config = await loadConfig(options.config);
+        const comparisonConfig = config.comparison || {};
+        const figmaConfig = {
+          ...comparisonConfig.figma,
+          ...(options.file ? { file: options.file } : {}),
+          ...(options.frame ? { frame: options.frame } : {})
+        };
+        
+        if (options.list) {
+          if (!figmaConfig.file) {
+            throw new Error('No Figma export given (--file or figma.file)');
+          }
+          const { frames } = await loadFigmaFile(figmaConfig.file);
+          spinner.succeed(`${frames.length} frames in ${figmaConfig.file}`);
+          for (const frame of frames) {
+            console.log(`  ${frame.name} ${chalk.dim(`${frame.id}, ${frame.box.width}x${frame.box.height}, ${frame.layers.length} layers${frame.page ? `, page ${frame.page}` : ''}`)}`);
+          }
+          return;
+        }
+        
+        const comparisonEngine = new VisualComparisonEngine({
+          ...comparisonConfig,
+          llm: { ...comparisonConfig.llm, enabled: false },
+          figma: figmaConfig
+        });
+        
+        spinner.text = 'Checking the page against the Figma frame...';
+        const results = await comparisonEngine.checkFigmaFrame(options.url, options.selector);
+        spinner.succeed('Figma spec check completed!');
+        
+        console.log(boxen(
+          `${chalk.bold('Figma Spec Check')} ${chalk.dim(results.frame)}
+          
+Layers: ${chalk.cyan(results.layers)} (${chalk.cyan(results.matched)} matched to elements)
+${results.unmatched.length > 0
+  ? chalk.yellow(`No element for ${results.unmatched.length} mapped layers: ${results.unmatched.slice(0, 5).map(entry => `${entry.layer} (${entry.selector})`).join(', ')}\n`)
+  : ''}${results.totalFindings > 0
+  ? chalk.red(`✘ ${results.totalFindings} values differ from the design:`)
+  : chalk.green('✓ All matched elements follow the design specs.')}
+${results.findings.slice(0, 15).map(finding => `  ${describeFigmaFinding(finding)}`).join('\n')}`,
+          { padding: 1, borderColor: results.totalFindings > 0 ? 'red' : 'green', margin: 1 }
+        ));
+      } catch (error) {
+        spinner.fail(`Figma spec check failed: ${error.message}`);
+        process.exitCode = EXIT_CODES.error;
+      }
+    });
+  
+  // Batch command
+  program
+    .command('batch')
+    .description('Run the comparisons listed in a manifest file in parallel')
+    .option('-m, --manifest <path>', 'Path to a YAML or JSON batch manifest')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .option('-j, --concurrency <n>', 'Number of comparisons to run at once')
+    .option('-o, --output <dir>', 'Directory for per-comparison results and summary.json')
+    .option('--stabilize', 'Render deterministically: no animations, frozen clock, loaded fonts and images')
+    .action(async (options) => {
+      const spinner = ora('Loading configuration...').start();
+      
+      try {
+        // Load configuration
+        const config = await loadConfig(options.config);
+        if (options.stabilize) {
+          config.comparison = {
+            ...config.comparison,
+            stabilize: { ...(config.comparison && config.comparison.stabilize), enabled: true }
+          };
+        }
+        
+        const batchRunner = new BatchRunner({
+          ...config.batch,
+          ...(options.concurrency ? { concurrency: parseInt(options.concurrency, 10) } : {}),
+          ...(options.output ? { outputDir: path.resolve(process.cwd(), options.output) } : {}),
+          comparison: config.comparison
+        });
+        
+        watchBatchProgress(batchRunner, spinner);
+        
+        spinner.text = 'Running comparisons...';
+        const summary = await batchRunner.run(options.manifest);
+        spinner.stop();
+        
+        printBatchSummary(summary);
+        process.exitCode = summary.totals.errored > 0
+          ? EXIT_CODES.error
+          : summary.totals.failed > 0 ? EXIT_CODES.failed : EXIT_CODES.passed;
+      } catch (error) {
+        spinner.fail(`Batch run failed: ${error.message}`);
+        process.exitCode = EXIT_CODES.error;
+      }
+    });
+  
+  // Storybook command
+  program
+    .command('storybook')
+    .description('Compare every story of a static Storybook build with its design image')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .option('--static-dir <dir>', 'Static Storybook build with index.json or stories.json')
+    .option('--design-dir <dir>', 'Directory of design images named after the stories')
+    .option('--include <patterns>', 'Comma-separated story ids or titles to compare (* wildcards)')
+    .option('-j, --concurrency <n>', 'Number of stories to compare at once')
+    .option('-o, --output <dir>', 'Directory for per-story results and summary.json')
+    .option('--stabilize', 'Render deterministically: no animations, frozen clock, loaded fonts and images')
+    .action(async (options) => {
+      const spinner = ora('Loading configuration...').start();
+      let server = null;
+      
+      try {
+        // Load configuration
+        const config = await loadConfig(options.config);
+        if (options.stabilize) {
+          config.comparison = {
+            ...config.comparison,
+            stabilize: { ...(config.comparison && config.comparison.stabilize), enabled: true }
+          };
+        }
+        const storybookConfig = {
+          ...config.storybook,
+          ...(options.staticDir ? { staticDir: options.staticDir } : {}),
+          ...(options.designDir ? { designDir: options.designDir } : {}),
+          ...(options.include ? { include: options.include.split(',').map(pattern => pattern.trim()) } : {})
+        };
+        
+        spinner.text = 'Serving Storybook build...';
+        server = await startStaticServer(storybookConfig.staticDir || DEFAULT_STORYBOOK_OPTIONS.staticDir);
+        
+        spinner.text = 'Discovering stories...';
+        const { jobs, unmatched, stories } = await discoverStoryComparisons(server.url, storybookConfig);
+        spinner.succeed(`Found ${stories} stories, ${jobs.length} comparisons with designs`);
+        if (unmatched.length > 0) {
+          console.log(chalk.yellow(`No design for ${unmatched.length} stories: ${unmatched.slice(0, 10).map(story => story.name).join(', ')}${unmatched.length > 10 ? ', ...' : ''}`));
+        }
+        if (jobs.length === 0) {
+          return;
+        }
+        
+        const batchRunner = new BatchRunner({
+          ...config.batch,
+          outputDir: path.resolve(process.cwd(), options.output || storybookConfig.outputDir || 'storybook-results'),
+          ...(storybookConfig.concurrency ? { concurrency: storybookConfig.concurrency } : {}),
+          ...(options.concurrency ? { concurrency: parseInt(options.concurrency, 10) } : {}),
+          comparison: config.comparison
+        });
+        watchBatchProgress(batchRunner, spinner);
+        
+        spinner.start('Comparing stories...');
+        const summary = await batchRunner.runComparisons(jobs, { source: server.url });
+        spinner.stop();
+        
+        printBatchSummary(summary, 'Storybook Results');
+      } catch (error) {
+        spinner.fail(`Storybook comparison failed: ${error.message}`);
+        process.exitCode = EXIT_CODES.error;
+      } finally {
+        if (server) {
+          await server.close();
+        }
+      }
+    });
+  
+  // Runs command
+  const runsCommand = program
+    .command('runs')
+    .description('List, inspect, diff and prune past compare runs');
+  
+  /**
+   * Run store of the configured comparison engine
+   */
+  const openRunStore = async (configPath) => {
+    const config = await loadConfig(configPath);
+    return new VisualComparisonEngine({ ...config.comparison, llm: { enabled: false } }).runStore;
+  };
+  
+  runsCommand
+    .command('list')
+    .description('List runs, newest first')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .option('-n, --limit <n>', 'Number of runs to show', '20')
+    .action(async (options) => {
+      try {
+        const runs = await (await openRunStore(options.config)).listRuns();
+        if (runs.length === 0) {
+          console.log(chalk.yellow('No runs recorded yet.'));
+          return;
+        }
+        for (const run of runs.slice(0, parseInt(options.limit, 10))) {
+          const status = { passed: chalk.green, failed: chalk.red, error: chalk.red }[run.status] || chalk.yellow;
+          const totals = run.totals ? `${run.totals.failed}/${run.totals.results} failing` : '';
+          console.log(`${chalk.cyan(run.id)}  ${status(run.status.padEnd(7))}  ${totals.padEnd(14)}  ${run.inputs.implementation || ''} ${chalk.dim(run.inputs.selector || '')}`);
+        }
+      } catch (error) {
+        console.error(chalk.red(`Unable to list runs: ${error.message}`));
+        process.exitCode = EXIT_CODES.error;
+      }
+    });
+  
+  runsCommand
+    .command('show <id>')
+    .description('Print the manifest of a run (ID prefix or "latest")')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .action(async (id, options) => {
+      try {
+        const run = await (await openRunStore(options.config)).getRun(id);
+        console.log(JSON.stringify(run, null, 2));
+      } catch (error) {
+        console.error(chalk.red(`Unable to show run: ${error.message}`));
+        process.exitCode = EXIT_CODES.error;
+      }
+    });
+  
+  runsCommand
+    .command('diff <from> <to>')
+    .description('Compare the inputs, environment, configuration and results of two runs')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .option('--json', 'Print the diff as JSON')
+    .action(async (from, to, options) => {
+      try {
+        const diff = await (await openRunStore(options.config)).diffRuns(from, to);
+        if (options.json) {
+          console.log(JSON.stringify(diff, null, 2));
+          return;
+        }
+        
+        const changeLines = changes => changes.map(change => `  ${change.key}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+        const percentage = value => (typeof value === 'number' ? `${(value * 100).toFixed(2)}%` : '–');
+        console.log(boxen(
+          `${chalk.bold('Run Diff')} ${chalk.cyan(diff.from.id)} → ${chalk.cyan(diff.to.id)}
+
+${chalk.bold('Inputs')}
+${changeLines(diff.inputs).join('\n') || '  unchanged'}
+${chalk.bold('Git')}
+${changeLines(diff.git).join('\n') || '  unchanged'}
+${chalk.bold('Browsers')}
+${changeLines(diff.browsers).join('\n') || '  unchanged'}
+${chalk.bold('Configuration')}
+${changeLines(diff.config).slice(0, 20).join('\n') || '  unchanged'}
+${chalk.bold('Results')}
+${diff.results.map(result => `  ${result.viewport}${result.state ? ` ${result.state}` : ''} ${result.selector}: ${percentage(result.from && result.from.pixelDiffPercentage)} → ${percentage(result.to && result.to.pixelDiffPercentage)}`).join('\n')}`,
+          { padding: 1, borderColor: 'cyan', margin: 1 }
+        ));
+      } catch (error) {
+        console.error(chalk.red(`Unable to diff runs: ${error.message}`));
+        process.exitCode = EXIT_CODES.error;
+      }
+    });
+  
+  runsCommand
+    .command('prune')
+    .description('Remove runs beyond the configured retention')
+    .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
+    .action(async (options) => {
+      try {
+        const removed = await (await openRunStore(options.config)).prune();
+        console.log(chalk.green(`✓ Removed ${removed.length} runs.`));
+      } catch (error) {
+        console.error(chalk.red(`Unable to prune runs: ${error.message}`));
+        process.exitCode = EXIT_CODES.error;
       }
     });
   
@@ -287,12 +779,32 @@ ${fixResult.reasoning}`,
     .option('-c, --config <path>', 'Path to configuration file', DEFAULT_CONFIG_PATH)
     .option('--create-baselines', 'Create baseline snapshots before starting monitoring')
     .option('--once', 'Run a single check instead of continuous monitoring')
+    .option('--stabilize', 'Render deterministically: no animations, frozen clock, loaded fonts and images')
+    .option('--full-page', 'Scroll and stitch content hidden in scroll containers')
+    .option('--report [path]', 'Write a self-contained HTML report after each check (default: report.html in the storage directory)')
+    .option('--fail-on <level>', 'Exit with code 1 on results of this severity or higher: any, high, medium or low', 'any')
+    .option('--json', 'Print machine-readable results to stdout (other output goes to stderr)')
+    .option('--junit <path>', 'Write a JUnit XML report with one testcase per url, viewport and selector (with --once)')
+    .option('--sarif <path>', 'Write a SARIF report for code-scanning annotations (with --once)')
     .action(async (options) => {
+      const log = options.json ? console.error : console.log;
       const spinner = ora('Loading configuration...').start();
       
       try {
         // Load configuration
         const config = await loadConfig(options.config);
+        if (options.stabilize) {
+          config.monitoring = {
+            ...config.monitoring,
+            stabilize: { ...(config.monitoring && config.monitoring.stabilize), enabled: true }
+          };
+        }
+        if (options.fullPage) {
+          config.monitoring = {
+            ...config.monitoring,
+            fullPage: { ...(config.monitoring && config.monitoring.fullPage), enabled: true }
+          };
+        }
         
         spinner.text = 'Initializing monitoring system...';
         const liveMonitor = new LiveMonitor(config.monitoring);
@@ -300,21 +812,22 @@ ${fixResult.reasoning}`,
         // Set up event handlers
         liveMonitor.on('started', (data) => {
           spinner.succeed(`Monitoring started with schedule: ${data.schedule}`);
-          console.log(`Monitoring ${data.urls} URLs across multiple viewports.`);
+          log(`Monitoring ${data.urls} URLs across multiple viewports.`);
         });
         
         liveMonitor.on('baselines-created', (data) => {
-          console.log(chalk.green(`✓ Created ${data.count} baseline snapshots.`));
+          log(chalk.green(`✓ Created ${data.count} baseline snapshots.`));
         });
         
         liveMonitor.on('visual-regression-detected', (data) => {
-          console.log(boxen(
+          log(boxen(
             `${chalk.red('🚨 Visual Regression Detected!')}
             
 URL: ${chalk.cyan(data.url)}
 Viewport: ${chalk.yellow(data.viewport)}
-Selector: ${chalk.magenta(data.selector)}
+Selector: ${chalk.magenta(data.selector)}${data.state ? ` (${data.state})` : ''}
 Difference: ${chalk.red(data.diffPercentage * 100)}%
+${(data.regions || []).slice(0, 3).map(region => `Region ${describeRegion(region)}`).join('\n')}
 
 Diff Image: ${chalk.cyan(data.diffImagePath)}`,
             { padding: 1, borderColor: 'red', margin: 1 }
@@ -324,11 +837,22 @@ Diff Image: ${chalk.cyan(data.diffImagePath)}`,
         liveMonitor.on('check-completed', (data) => {
           const alertCount = data.results.filter(r => r.status === 'alert').length;
           
-          console.log(
+          log(
             alertCount > 0
               ? chalk.red(`✘ Check completed with ${alertCount} alerts.`)
               : chalk.green('✓ Check completed with no visual regressions.')
           );
+          
+          if (options.report) {
+            generateHtmlReport(data.results, {
+              outputPath: typeof options.report === 'string'
+                ? options.report
+                : path.join(liveMonitor.config.storage.baseDir, 'report.html'),
+              title: `Visual Regression Check ${data.timestamp}`
+            })
+              .then(reportPath => log(`HTML Report: ${chalk.cyan(reportPath)}`))
+              .catch(error => console.error(chalk.red(`Unable to write HTML report: ${error.message}`)));
+          }
         });
         
         // Create baselines if requested
@@ -345,7 +869,7 @@ Diff Image: ${chalk.cyan(data.diffImagePath)}`,
           
           // Display results summary
           const alertCount = results.filter(r => r.status === 'alert').length;
-          console.log(boxen(
+          log(boxen(
             `${chalk.bold('Visual Check Results')}
             
 ${alertCount > 0 
@@ -355,26 +879,32 @@ ${alertCount > 0
 Checked ${results.length} URL/viewport/selector combinations.`,
             { padding: 1, borderColor: alertCount > 0 ? 'red' : 'green', margin: 1 }
           ));
+          
+          await reportForCI(results, options, config, log);
         } else {
           // Start continuous monitoring
           spinner.text = 'Starting continuous monitoring...';
           await liveMonitor.start();
           
-          console.log(chalk.yellow('\nPress Ctrl+C to stop monitoring.\n'));
+          log(chalk.yellow('\nPress Ctrl+C to stop monitoring.\n'));
           
           // Keep process running
           process.stdin.resume();
           
           // Handle graceful shutdown
           process.on('SIGINT', async () => {
-            console.log(chalk.yellow('\nStopping monitoring...'));
+            log(chalk.yellow('\nStopping monitoring...'));
             await liveMonitor.stop();
-            console.log(chalk.green('Monitoring stopped.'));
+            log(chalk.green('Monitoring stopped.'));
             process.exit(0);
           });
         }
       } catch (error) {
         spinner.fail(`Monitoring failed: ${error.message}`);
+        if (options.json) {
+          process.stdout.write(`${JSON.stringify({ exitCode: EXIT_CODES.error, error: error.message }, null, 2)}\n`);
+        }
+        process.exitCode = EXIT_CODES.error;
       }
     });
   
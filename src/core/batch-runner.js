@@ -0,0 +1,233 @@
+import { chromium } from 'playwright';
+import { promises as fs } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { EventEmitter } from 'events';
+import { VisualComparisonEngine } from './comparison-engine.js';
+import { isLocalPage } from './local-sources.js';
+
+const isURL = source => typeof source === 'string' && /^https?:\/\//.test(source);
+const slug = name => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'comparison';
+
+/**
+ * Reads a batch manifest (YAML or JSON):
+ *
+ *   concurrency: 4                  optional, overrides the runner's
+ *   defaults:                       optional, applied to every comparison
+ *     selectors: ["body"]
+ *     viewports: ["desktop"]
+ *   comparisons:
+ *     - name: "Button / primary"
+ *       design: "./design/button-primary.png"   image, local page or directory (relative to the manifest) or URL
+ *       url: "http://localhost:6006/iframe.html?id=button--primary"
+ *       selectors: [".btn"]                      or `selector`
+ *       viewports: ["desktop", "mobile"]         configured viewport or device names
+ *       states:                                  replaces comparison.states
+ *         - { selector: ".btn", state: "hover" }
+ *
+ * Returns { concurrency, comparisons } with one job per comparison and
+ * selector.
+ */
+export async function loadManifest(manifestPath) {
+  let manifest;
+  try {
+    manifest = yaml.load(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read batch manifest ${manifestPath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(manifest) ? manifest : manifest && manifest.comparisons;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Batch manifest ${manifestPath} lists no comparisons`);
+  }
+
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const defaults = (manifest && manifest.defaults) || {};
+  const resolveSource = source => (isURL(source) || source.startsWith('file://') ? source : path.resolve(baseDir, source));
+
+  // Directories are named after the comparison, numbered when names collide
+  const directories = new Map();
+  const comparisons = [];
+  entries.forEach((raw, index) => {
+    const entry = { ...defaults, ...raw };
+    const implementation = entry.url || entry.implementation;
+    if (!entry.design || !implementation) {
+      throw new Error(`Comparison ${index + 1} in ${manifestPath} needs a design and a url`);
+    }
+
+    const name = entry.name || path.parse(entry.design).name;
+    const count = (directories.get(slug(name)) || 0) + 1;
+    directories.set(slug(name), count);
+    const directory = count > 1 ? `${slug(name)}-${count}` : slug(name);
+
+    const selectors = entry.selectors || [entry.selector || 'body'];
+    for (const selector of selectors) {
+      comparisons.push({
+        name,
+        selector,
+        design: resolveSource(entry.design),
+        implementation: resolveSource(implementation),
+        viewports: entry.viewports || null,
+        states: entry.states,
+        directory: selectors.length > 1 ? path.join(directory, slug(selector)) : directory
+      });
+    }
+  });
+
+  return { concurrency: manifest && manifest.concurrency, comparisons };
+}
+
+/**
+ * Runs the comparisons of a manifest with a bounded pool of workers that
+ * share one browser. Every comparison writes to its own directory under
+ * `outputDir`, and an aggregated summary.json is written at the end.
+ *
+ * Events: 'comparison-started', 'comparison-completed' (with the summary
+ * entry) and 'completed' (with the summary).
+ */
+export class BatchRunner extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      concurrency: 4,
+      outputDir: path.resolve(process.cwd(), 'batch-results'),
+      ...config,
+      comparison: {
+        ...config.comparison
+      }
+    };
+    this.config.outputDir = path.resolve(this.config.outputDir);
+  }
+
+  /**
+   * Runs a manifest file and returns the summary
+   */
+  async run(manifestPath) {
+    const manifest = await loadManifest(manifestPath);
+    return this.runComparisons(manifest.comparisons, {
+      concurrency: manifest.concurrency,
+      manifest: path.resolve(manifestPath)
+    });
+  }
+
+  /**
+   * Runs comparison jobs as returned by loadManifest() (name, selector,
+   * design, implementation, viewports, states and directory). Options:
+   * `concurrency` overriding the configured one, and `manifest` (the
+   * manifest's path) or `source` (where else the jobs came from) to record
+   * in the summary. `source` defaults to `manifest`.
+   */
+  async runComparisons(comparisons, options = {}) {
+    const concurrency = Math.max(1, Number(options.concurrency || this.config.concurrency));
+    const startedAt = Date.now();
+
+    await fs.mkdir(this.config.outputDir, { recursive: true });
+
+    let needsBrowser = false;
+    for (const job of comparisons) {
+      needsBrowser = needsBrowser || isURL(job.design) || isURL(job.implementation) ||
+        await isLocalPage(job.design) || await isLocalPage(job.implementation);
+    }
+    const browser = needsBrowser
+      ? await chromium.launch({ headless: true, ...this.config.comparison.browser })
+      : null;
+
+    const entries = new Array(comparisons.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < comparisons.length) {
+        const index = next++;
+        entries[index] = await this._runComparison(comparisons[index], browser, index, comparisons.length);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(concurrency, comparisons.length) }, worker));
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+
+    const count = status => entries.filter(entry => entry.status === status).length;
+    const summary = {
+      manifest: options.manifest || null,
+      source: options.source || options.manifest || null,
+      timestamp: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      concurrency,
+      outputDir: this.config.outputDir,
+      totals: {
+        comparisons: entries.length,
+        passed: count('passed'),
+        failed: count('failed'),
+        errored: count('error')
+      },
+      comparisons: entries
+    };
+
+    const summaryPath = path.join(this.config.outputDir, 'summary.json');
+    await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+    summary.summaryPath = summaryPath;
+
+    this.emit('completed', summary);
+    return summary;
+  }
+
+  /**
+   * Runs one comparison (all its viewports and states) and returns its
+   * summary entry; failures are recorded instead of thrown
+   */
+  async _runComparison(job, browser, index, total) {
+    const outputDir = path.join(this.config.outputDir, job.directory);
+    const startedAt = Date.now();
+    const entry = {
+      name: job.name,
+      selector: job.selector,
+      design: job.design,
+      implementation: job.implementation,
+      outputDir,
+      status: 'passed',
+      durationMs: 0,
+      results: []
+    };
+
+    this.emit('comparison-started', { name: job.name, selector: job.selector, index, total });
+
+    try {
+      const engine = new VisualComparisonEngine({
+        ...this.config.comparison,
+        outputDir,
+        states: job.states || this.config.comparison.states || []
+      });
+      const results = await engine.compareViewports(
+        job.design,
+        job.implementation,
+        job.selector,
+        job.viewports,
+        { outputDir, browser }
+      );
+
+      entry.results = results.map(result => ({
+        viewport: result.viewport.name,
+        state: result.state,
+        pixelDiffPercentage: result.pixelDiff.diffPercentage,
+        structuralDiffPercentage: result.structuralDiff.structuralDiffPercentage,
+        ssim: result.structuralDiff.ssim,
+        hasSignificantDifferences: result.hasSignificantDifferences,
+        findings: result.llmAnalysis && result.llmAnalysis.findings ? result.llmAnalysis.findings.length : undefined,
+        tokenViolations: result.tokenAnalysis ? result.tokenAnalysis.totalViolations : undefined,
+        resultsPath: path.join(result.outputDir, 'comparison-results.json')
+      }));
+      entry.status = results.some(result => result.hasSignificantDifferences) ? 'failed' : 'passed';
+    } catch (error) {
+      entry.status = 'error';
+      entry.error = error.message;
+    }
+
+    entry.durationMs = Date.now() - startedAt;
+    this.emit('comparison-completed', { ...entry, index, total });
+    return entry;
+  }
+}
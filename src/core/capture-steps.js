@@ -0,0 +1,143 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { matchesPattern } from './ignore-masks.js';
+
+/**
+ * Capture steps prepare a page before it is snapshotted, e.g. to log in,
+ * dismiss a cookie banner or walk through a multi-step flow:
+ *
+ *   {
+ *     url: 'https://example.com/dashboard*',
+ *     storageState: './auth/state.json',      Playwright storage state file
+ *     steps: [
+ *       { setCookie: { name: 'consent', value: 'yes' } },
+ *       { click: '#accept-cookies', optional: true },   failures of optional steps are ignored
+ *       { fill: '#email', value: '${LOGIN_EMAIL}' },
+ *       { press: 'Enter', selector: '#password' },
+ *       { waitForSelector: '.dashboard', state: 'visible' },
+ *       { evaluate: 'window.scrollTo(0, 0)' },
+ *       { goto: 'https://example.com/dashboard/reports' },
+ *       { wait: 500 }
+ *     ],
+ *     script: './scripts/before-capture.js'   module exporting beforeCapture(page, { url, viewport })
+ *   }
+ *
+ * `url` is an exact URL or '*' pattern (or a list of them); entries without
+ * one apply everywhere. Cookies and storage state are added to the browser
+ * context before the page loads, the other steps run in order after it has
+ * loaded, followed by the script. "${NAME}" in string values is replaced by
+ * the environment variable NAME, so credentials can stay in .env.
+ */
+export const CAPTURE_STEP_ACTIONS = ['click', 'fill', 'press', 'waitForSelector', 'evaluate', 'setCookie', 'goto', 'wait'];
+
+const expandEnv = value => (typeof value === 'string'
+  ? value.replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable ${name} used in a capture step is not set`);
+    }
+    return process.env[name];
+  })
+  : value);
+
+/**
+ * Collects the capture steps that apply to a URL into a single setup
+ * ({ storageState, cookies, steps, scripts })
+ */
+export function captureSetupFor(entries = [], url) {
+  const setup = { storageState: null, cookies: [], steps: [], scripts: [] };
+
+  for (const entry of entries.filter(entry => matchesPattern(url, entry.url))) {
+    if (entry.storageState) {
+      setup.storageState = path.resolve(entry.storageState);
+    }
+    for (const step of entry.steps || []) {
+      const action = CAPTURE_STEP_ACTIONS.find(name => name in step);
+      if (!action) {
+        throw new Error(`Unknown capture step ${JSON.stringify(step)} (expected one of ${CAPTURE_STEP_ACTIONS.join(', ')})`);
+      }
+      if (action === 'setCookie') {
+        setup.cookies.push(step.setCookie);
+      } else {
+        setup.steps.push({ ...step, action });
+      }
+    }
+    if (entry.script) {
+      setup.scripts.push(path.resolve(entry.script));
+    }
+  }
+
+  return setup;
+}
+
+/**
+ * Creates a browser context with the setup's storage state and cookies.
+ * Cookies without a domain are scoped to `url`.
+ */
+export async function newCaptureContext(browser, contextOptions, setup, url) {
+  const context = await browser.newContext(
+    setup.storageState ? { ...contextOptions, storageState: setup.storageState } : contextOptions
+  );
+
+  if (setup.cookies.length > 0) {
+    await context.addCookies(setup.cookies.map(cookie => {
+      const resolved = { ...cookie, value: expandEnv(cookie.value) };
+      return resolved.domain ? { path: '/', ...resolved } : { ...resolved, url };
+    }));
+  }
+
+  return context;
+}
+
+/**
+ * Runs the setup's steps and scripts on a loaded page
+ */
+export async function runCaptureSteps(page, setup, context = {}) {
+  for (const [index, step] of setup.steps.entries()) {
+    try {
+      switch (step.action) {
+        case 'click':
+          await page.click(step.click, { timeout: step.timeout });
+          break;
+        case 'fill':
+          await page.fill(step.fill, String(expandEnv(step.value === undefined ? '' : step.value)), { timeout: step.timeout });
+          break;
+        case 'press':
+          if (step.selector) {
+            await page.press(step.selector, step.press, { timeout: step.timeout });
+          } else {
+            await page.keyboard.press(step.press);
+          }
+          break;
+        case 'waitForSelector':
+          await page.waitForSelector(step.waitForSelector, { state: step.state, timeout: step.timeout });
+          break;
+        case 'evaluate':
+          await page.evaluate(step.evaluate);
+          break;
+        case 'goto':
+          await page.goto(expandEnv(step.goto), { waitUntil: 'networkidle', timeout: step.timeout });
+          break;
+        case 'wait':
+          await page.waitForTimeout(step.wait);
+          break;
+      }
+    } catch (error) {
+      if (step.optional) continue;
+      throw new Error(`Capture step ${index + 1} (${step.action}) failed: ${error.message}`);
+    }
+
+    // Let navigations triggered by a step (e.g. submitting a login form) settle
+    if (step.action === 'click' || step.action === 'press') {
+      await page.waitForLoadState('networkidle').catch(() => {});
+    }
+  }
+
+  for (const script of setup.scripts) {
+    const module = await import(pathToFileURL(script).href);
+    const beforeCapture = module.beforeCapture || (module.default && module.default.beforeCapture);
+    if (typeof beforeCapture !== 'function') {
+      throw new Error(`${script} does not export a beforeCapture(page) function`);
+    }
+    await beforeCapture(page, context);
+  }
+}
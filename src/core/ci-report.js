@@ -0,0 +1,245 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { FINDING_SEVERITIES, describeFinding } from './llm-findings.js';
+import { collectFindings } from './findings.js';
+
+/**
+ * CI outputs for runComparison() and LiveMonitor.runCheck() results.
+ *
+ * Every result gets a severity (high, medium, low or null): the higher of its
+ * difference level, judged against the same thresholds as GitHub issue
+ * priorities, and its most severe finding from the LLM or the element checks
+ * (see findings.js). Monitoring results list their changed regions and
+ * color swaps as findings too; those describe the difference rather than
+ * rate it. A result fails when it has a severity at or above `failOn`; with
+ * `failOn: 'any'` (the default) every significant difference or monitoring
+ * alert fails.
+ *
+ * Exit codes: 0 when nothing fails, 1 when results fail, 2 when the run
+ * itself errored.
+ */
+export const EXIT_CODES = {
+  passed: 0,
+  failed: 1,
+  error: 2
+};
+
+export const FAIL_ON_LEVELS = ['any', ...FINDING_SEVERITIES];
+
+const DEFAULT_THRESHOLDS = {
+  high: 0.15,
+  medium: 0.08,
+  low: 0.03
+};
+
+const { version: TOOL_VERSION } = createRequire(import.meta.url)('../../package.json');
+
+const SARIF_LEVELS = {
+  high: 'error',
+  medium: 'warning',
+  low: 'note'
+};
+
+const rank = severity => (severity ? FINDING_SEVERITIES.length - FINDING_SEVERITIES.indexOf(severity) : 0);
+const highest = severities => severities.reduce((max, severity) => (rank(severity) > rank(max) ? severity : max), null);
+// Findings of the LLM and element checks, as opposed to monitoring's pixel findings
+const ratesResult = finding => finding.check !== 'pixels';
+
+const escapeXML = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Brings a comparison or monitoring result to the shape used by all CI
+ * outputs
+ */
+function normalizeResult(result, options) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+  const comparison = Boolean(result.pixelDiff);
+  const difference = comparison
+    ? Math.max(result.pixelDiff.diffPercentage, result.structuralDiff.structuralDiffPercentage)
+    : result.diffPercentage;
+  const regression = comparison ? result.hasSignificantDifferences : result.status === 'alert';
+  const findings = collectFindings(result);
+
+  const differenceSeverity = typeof difference !== 'number'
+    ? null
+    : FINDING_SEVERITIES.find(severity => difference >= thresholds[severity]) || null;
+  const severity = highest([differenceSeverity, ...findings.filter(ratesResult).map(finding => finding.severity)]);
+
+  return {
+    target: comparison
+      ? (result.sources && typeof result.sources.implementation === 'string' ? result.sources.implementation : 'implementation')
+      : result.url,
+    viewport: comparison ? result.viewport.name : result.viewport,
+    selector: result.selector || 'body',
+    state: result.state || null,
+    status: comparison ? (regression ? 'alert' : 'ok') : result.status,
+    regression,
+    severity: severity || (regression ? 'low' : null),
+    difference: typeof difference === 'number' ? difference : null,
+    pixelDiffPercentage: comparison ? result.pixelDiff.diffPercentage : result.diffPercentage,
+    structuralDiffPercentage: comparison ? result.structuralDiff.structuralDiffPercentage : undefined,
+    diffImagePath: comparison ? result.pixelDiff.diffImagePath : result.diffImagePath,
+    findings
+  };
+}
+
+/**
+ * Whether a normalized result fails at the given level
+ */
+function fails(entry, failOn) {
+  if (failOn === 'any') {
+    return entry.regression || (entry.severity !== null && entry.findings.some(ratesResult));
+  }
+  return rank(entry.severity) >= rank(failOn);
+}
+
+function testName(entry) {
+  return `${entry.viewport} ${entry.selector}${entry.state ? ` (${entry.state})` : ''}`;
+}
+
+function failureMessage(entry) {
+  const lines = [
+    `Visual difference ${(entry.difference * 100).toFixed(2)}% (${entry.severity} severity) at ${testName(entry)}`,
+    ...entry.findings.map(finding => describeFinding(finding))
+  ];
+  if (entry.diffImagePath) {
+    lines.push(`Diff image: ${entry.diffImagePath}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Evaluates results for CI. Options: `failOn` (any, high, medium or low) and
+ * `thresholds` (difference fractions per severity).
+ *
+ * Returns { failOn, exitCode, totals, results } where each result carries its
+ * severity and whether it failed; this is also the `--json` output.
+ */
+export function evaluateResults(results, options = {}) {
+  const { failOn = 'any' } = options;
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    throw new Error(`Unknown fail-on level "${failOn}" (expected one of ${FAIL_ON_LEVELS.join(', ')})`);
+  }
+
+  const entries = results.map(result => {
+    const entry = normalizeResult(result, options);
+    return { ...entry, failed: fails(entry, failOn) };
+  });
+  const failed = entries.filter(entry => entry.failed).length;
+
+  return {
+    failOn,
+    exitCode: failed > 0 ? EXIT_CODES.failed : EXIT_CODES.passed,
+    totals: {
+      results: entries.length,
+      regressions: entries.filter(entry => entry.regression).length,
+      failed
+    },
+    results: entries
+  };
+}
+
+/**
+ * JUnit XML with one testcase per url (or implementation), viewport, selector
+ * and state
+ */
+export function toJUnit(evaluation, options = {}) {
+  const { name = 'oculus-qasum' } = options;
+  const cases = evaluation.results.map(entry => {
+    const body = entry.failed
+      ? `\n      <failure message="${escapeXML(`${entry.severity} visual regression`)}" type="visual-regression">${escapeXML(failureMessage(entry))}</failure>\n    `
+      : entry.status === 'new-baseline'
+        ? '\n      <skipped message="New baseline created"/>\n    '
+        : '';
+    return `    <testcase classname="${escapeXML(entry.target)}" name="${escapeXML(testName(entry))}">${body}</testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXML(name)}" tests="${evaluation.totals.results}" failures="${evaluation.totals.failed}">
+  <testsuite name="${escapeXML(name)}" tests="${evaluation.totals.results}" failures="${evaluation.totals.failed}" skipped="${evaluation.results.filter(entry => entry.status === 'new-baseline').length}">
+${cases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * SARIF 2.1.0 log with one result per failing comparison and one per
+ * finding. Implementation files under `baseDir` (default: the working
+ * directory, which should be the repository root) are reported relative to
+ * %SRCROOT%; URLs and other files as logical locations only.
+ */
+export function toSARIF(evaluation, options = {}) {
+  const { baseDir = process.cwd(), toolVersion = TOOL_VERSION } = options;
+  // Files in the repository are physical locations; URLs and files elsewhere
+  // can only be named, as the target plus viewport and selector
+  const location = entry => {
+    const logicalLocations = [{ name: testName(entry), fullyQualifiedName: `${entry.target} ${testName(entry)}`, kind: 'element' }];
+    const relative = /^https?:\/\//.test(entry.target) ? null : path.relative(baseDir, path.resolve(baseDir, entry.target));
+    if (relative === null || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return [{ logicalLocations }];
+    }
+    return [{
+      physicalLocation: { artifactLocation: { uri: relative.split(path.sep).join('/'), uriBaseId: '%SRCROOT%' } },
+      logicalLocations
+    }];
+  };
+
+  const rules = new Map([['visual-regression', {
+    id: 'visual-regression',
+    shortDescription: { text: 'Implementation differs visually from the design or baseline' }
+  }]]);
+  const results = [];
+
+  for (const entry of evaluation.results.filter(result => result.failed)) {
+    const fingerprint = `${entry.target}|${entry.viewport}|${entry.selector}|${entry.state || ''}`;
+    results.push({
+      ruleId: 'visual-regression',
+      level: SARIF_LEVELS[entry.severity],
+      message: { text: failureMessage(entry) },
+      locations: location(entry),
+      partialFingerprints: { visualTarget: fingerprint },
+      properties: { severity: entry.severity, difference: entry.difference, diffImagePath: entry.diffImagePath }
+    });
+
+    for (const finding of entry.findings) {
+      const ruleId = `visual-${finding.category}`;
+      if (!rules.has(ruleId)) {
+        rules.set(ruleId, { id: ruleId, shortDescription: { text: `Visual ${finding.category} difference` } });
+      }
+      results.push({
+        ruleId,
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: `${describeFinding(finding)} at ${testName(entry)}` },
+        locations: location(entry),
+        partialFingerprints: { visualTarget: `${fingerprint}|${finding.category}|${finding.selector || ''}` },
+        properties: { severity: finding.severity, bbox: finding.bbox }
+      });
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'oculus-qasum',
+          version: toolVersion,
+          informationUri: 'https://github.com/scottvr/oculus-qasum',
+          rules: [...rules.values()]
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: pathToFileURL(`${path.resolve(baseDir)}${path.sep}`).href }
+      },
+      results
+    }]
+  };
+}
@@ -0,0 +1,287 @@
+import pixelmatch from 'pixelmatch';
+import { DIFF_COLOR } from './diff-regions.js';
+
+// Perceptibility levels for ΔE2000 (pixels at or above each level are counted)
+export const DEFAULT_JND_LEVELS = {
+  closeInspection: 1, // perceptible only through close observation
+  glance: 2.3, // perceptible at a glance
+  obvious: 10 // clearly a different color
+};
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+/**
+ * Converts an sRGB color (0-255 channels) to CIE L*a*b* (D65)
+ */
+export function rgbToLab(r, g, b) {
+  const linear = channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  const lr = linear(r);
+  const lg = linear(g);
+  const lb = linear(b);
+
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+  const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * CIEDE2000 color difference between two L*a*b* colors
+ */
+export function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const meanC = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + 25 ** 7)));
+
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const hue = (a, b) => (a === 0 && b === 0 ? 0 : (toDegrees(Math.atan2(b, a)) + 360) % 360);
+  const h1p = hue(a1p, b1);
+  const h2p = hue(a2p, b2);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanHp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      meanHp += h1p + h2p < 360 ? 360 : -360;
+    }
+    meanHp /= 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(toRadians(meanHp - 30)) +
+    0.24 * Math.cos(toRadians(2 * meanHp)) +
+    0.32 * Math.cos(toRadians(3 * meanHp + 6)) -
+    0.20 * Math.cos(toRadians(4 * meanHp - 63));
+  const dTheta = 30 * Math.exp(-(((meanHp - 275) / 25) ** 2));
+  const Rc = 2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + 25 ** 7));
+  const Sl = 1 + (0.015 * (meanLp - 50) ** 2) / Math.sqrt(20 + (meanLp - 50) ** 2);
+  const Sc = 1 + 0.045 * meanCp;
+  const Sh = 1 + 0.015 * meanCp * T;
+  const Rt = -Math.sin(toRadians(2 * dTheta)) * Rc;
+
+  return Math.sqrt(
+    (dLp / Sl) ** 2 +
+    (dCp / Sc) ** 2 +
+    (dHp / Sh) ** 2 +
+    Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/**
+ * Formats packed 0xRRGGBB as "#rrggbb"
+ */
+export function toHex(rgb) {
+  return `#${rgb.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Compares two images of equal size and paints changed pixels into `diffImg`.
+ *
+ * Modes:
+ * - pixelmatch (default): YIQ distance with anti-aliasing detection,
+ *   `threshold` 0-1
+ * - ciede2000: perceptual ΔE2000 per pixel; pixels above `jnd` count as
+ *   changed. Also reports a ΔE histogram by `levels` and dominant color swaps.
+ *
+ * Returns { diffPixelCount, colorAnalysis } (colorAnalysis is null for pixelmatch).
+ */
+export function diffImages(imgA, imgB, diffImg, width, height, options = {}) {
+  const {
+    mode = 'pixelmatch',
+    threshold = 0.1,
+    jnd = 2.3,
+    levels = DEFAULT_JND_LEVELS,
+    swaps = {}
+  } = options;
+
+  if (mode === 'pixelmatch') {
+    const diffPixelCount = pixelmatch(
+      imgA.data,
+      imgB.data,
+      diffImg.data,
+      width,
+      height,
+      { threshold, diffColor: DIFF_COLOR }
+    );
+    return { diffPixelCount, colorAnalysis: null };
+  }
+
+  if (mode !== 'ciede2000') {
+    throw new Error(`Unknown pixel comparison mode: ${mode}`);
+  }
+
+  const deltaCache = new Map();
+  const designColorPixels = new Map();
+  const changedPairs = new Map();
+  const levelCounts = Object.fromEntries(Object.keys(levels).map(name => [name, 0]));
+  let diffPixelCount = 0;
+  let deltaSum = 0;
+  let maxDeltaE = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const rgbA = (imgA.data[i] << 16) | (imgA.data[i + 1] << 8) | imgA.data[i + 2];
+      const rgbB = (imgB.data[i] << 16) | (imgB.data[i + 1] << 8) | imgB.data[i + 2];
+      designColorPixels.set(rgbA, (designColorPixels.get(rgbA) || 0) + 1);
+
+      let delta = 0;
+      if (rgbA !== rgbB) {
+        const key = rgbA * 0x1000000 + rgbB;
+        delta = deltaCache.get(key);
+        if (delta === undefined) {
+          delta = deltaE2000(
+            rgbToLab(imgA.data[i], imgA.data[i + 1], imgA.data[i + 2]),
+            rgbToLab(imgB.data[i], imgB.data[i + 1], imgB.data[i + 2])
+          );
+          deltaCache.set(key, delta);
+        }
+      }
+
+      deltaSum += delta;
+      maxDeltaE = Math.max(maxDeltaE, delta);
+      for (const [name, level] of Object.entries(levels)) {
+        if (delta >= level) levelCounts[name]++;
+      }
+
+      if (delta > jnd) {
+        diffPixelCount++;
+        diffImg.data[i] = DIFF_COLOR[0];
+        diffImg.data[i + 1] = DIFF_COLOR[1];
+        diffImg.data[i + 2] = DIFF_COLOR[2];
+        diffImg.data[i + 3] = 255;
+
+        const key = rgbA * 0x1000000 + rgbB;
+        let pair = changedPairs.get(key);
+        if (!pair) {
+          pair = { design: rgbA, implementation: rgbB, delta, pixels: 0, minX: x, minY: y, maxX: x, maxY: y };
+          changedPairs.set(key, pair);
+        }
+        pair.pixels++;
+        pair.minX = Math.min(pair.minX, x);
+        pair.minY = Math.min(pair.minY, y);
+        pair.maxX = Math.max(pair.maxX, x);
+        pair.maxY = Math.max(pair.maxY, y);
+      } else {
+        // Unchanged pixels are drawn as a faded grayscale copy, like pixelmatch
+        const luma = 0.299 * imgA.data[i] + 0.587 * imgA.data[i + 1] + 0.114 * imgA.data[i + 2];
+        const faded = Math.round(255 + (luma - 255) * 0.1 * (imgA.data[i + 3] / 255));
+        diffImg.data[i] = faded;
+        diffImg.data[i + 1] = faded;
+        diffImg.data[i + 2] = faded;
+        diffImg.data[i + 3] = 255;
+      }
+    }
+  }
+
+  return {
+    diffPixelCount,
+    colorAnalysis: {
+      mode,
+      jnd,
+      meanDeltaE: width * height > 0 ? deltaSum / (width * height) : 0,
+      maxDeltaE,
+      levels: levelCounts,
+      swaps: findColorSwaps(changedPairs, designColorPixels, width * height, swaps)
+    }
+  };
+}
+
+/**
+ * Picks design colors that were consistently rendered as another color.
+ *
+ * Pairs of exact colors are merged when both sides are within `mergeDeltaE`
+ * of an already picked swap, so slightly varying fills count as one swap.
+ * A swap must cover `minPixels` and at least `minConsistency` of the design
+ * color's pixels.
+ */
+function findColorSwaps(changedPairs, designColorPixels, totalPixels, options = {}) {
+  const {
+    minPixels = 50,
+    minConsistency = 0.5,
+    mergeDeltaE = 1,
+    maxSwaps = 10
+  } = options;
+
+  const labOf = rgb => rgbToLab((rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff);
+  const swaps = [];
+
+  const pairs = [...changedPairs.values()].sort((a, b) => b.pixels - a.pixels);
+  for (const pair of pairs) {
+    const designLab = labOf(pair.design);
+    const implLab = labOf(pair.implementation);
+    const existing = swaps.find(swap =>
+      deltaE2000(swap.designLab, designLab) <= mergeDeltaE &&
+      deltaE2000(swap.implementationLab, implLab) <= mergeDeltaE
+    );
+
+    if (existing) {
+      existing.pixels += pair.pixels;
+      existing.designPixels += existing.designColors.has(pair.design) ? 0 : designColorPixels.get(pair.design);
+      existing.designColors.add(pair.design);
+      existing.minX = Math.min(existing.minX, pair.minX);
+      existing.minY = Math.min(existing.minY, pair.minY);
+      existing.maxX = Math.max(existing.maxX, pair.maxX);
+      existing.maxY = Math.max(existing.maxY, pair.maxY);
+    } else if (pair.pixels >= minPixels / 10) {
+      swaps.push({
+        ...pair,
+        designLab,
+        implementationLab: implLab,
+        designColors: new Set([pair.design]),
+        designPixels: designColorPixels.get(pair.design)
+      });
+    }
+  }
+
+  return swaps
+    .map(swap => ({
+      design: toHex(swap.design),
+      implementation: toHex(swap.implementation),
+      deltaE: Number(swap.delta.toFixed(2)),
+      pixels: swap.pixels,
+      area: Number((swap.pixels / totalPixels).toFixed(4)),
+      consistency: Number((swap.pixels / swap.designPixels).toFixed(2)),
+      bbox: {
+        x: swap.minX,
+        y: swap.minY,
+        width: swap.maxX - swap.minX + 1,
+        height: swap.maxY - swap.minY + 1
+      }
+    }))
+    .filter(swap => swap.pixels >= minPixels && swap.consistency >= minConsistency)
+    .sort((a, b) => b.pixels - a.pixels)
+    .slice(0, maxSwaps);
+}
+
+/**
+ * Formats a color swap, e.g. "#4a6cf7 → #6a7cf7 (ΔE 5.12, 3.20% of pixels)"
+ */
+export function describeColorSwap(swap) {
+  return `${swap.design} → ${swap.implementation} (ΔE ${swap.deltaE}, ${(swap.area * 100).toFixed(2)}% of pixels)`;
+}
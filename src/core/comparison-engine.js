@@ -2,22 +2,50 @@ import { chromium } from 'playwright';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { PNG } from 'pngjs';
-import pixelmatch from 'pixelmatch';
-import resemblejs from 'resemblejs';
 import { createCanvas, loadImage } from 'canvas';
-import { OpenAI } from 'openai';
 import { fileURLToPath } from 'url';
+import { toPNG, reconcileImageSizes, placeRect, resizeImage } from './image-utils.js';
+import { findDiffRegions } from './diff-regions.js';
+import { diffImages } from './color-diff.js';
+import { collectElementBoxes, mapRegionsToElements, changedSelectors } from './dom-mapper.js';
+import { ignoreEntriesFor, resolveIgnoreSelectors, buildIgnoreMask, applyIgnoreMask } from './ignore-masks.js';
+import { collectComputedStyles, diffComputedStyles, DEFAULT_STYLE_PROPERTIES } from './style-diff.js';
+import { collectDomTree, diffDomTrees } from './dom-diff.js';
+import { DEFAULT_GEOMETRY_OPTIONS, collectElementGeometry, diffElementGeometry } from './geometry-diff.js';
+import { computeSSIM, renderSSIMHeatmap, worstTiles } from './ssim.js';
+import { loadDesignTokens, checkTokenConformance, DEFAULT_TOKEN_PROPERTIES } from './token-check.js';
+import { DEFAULT_VIEWPORT, selectViewports, contextOptionsFor, pairViewportFile, designScaleOf } from './viewports.js';
+import { statesFor, stateName, applyInteractionState } from './interaction-states.js';
+import { captureSetupFor, newCaptureContext, runCaptureSteps } from './capture-steps.js';
+import { DEFAULT_STABILIZE_OPTIONS, stabilizeContext, stabilizePage, waitForStableFrames } from './stabilize.js';
+import { captureFullPage } from './full-page.js';
+import { DEFAULT_RUN_OPTIONS, RunStore } from './run-store.js';
+import { isLocalPage, localPath, LocalSourceServer } from './local-sources.js';
+import { DEFAULT_DESIGN_LOADER_OPTIONS, detectImageFormat, loadDesign } from './design-loaders.js';
+import { createVisionProvider } from '../integrations/vision-providers.js';
+import { DEFAULT_FIGMA_OPTIONS, loadFigmaFrame, collectFigmaElements, checkFigmaSpecs } from '../integrations/figma.js';
+import { FINDINGS_INSTRUCTIONS, parseFindings, repairPrompt, describeFinding } from './llm-findings.js';
 
 // Get directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const isURL = source => typeof source === 'string' && /^https?:\/\//.test(source);
+
 export class VisualComparisonEngine {
   constructor(config = {}) {
     this.config = {
+      outputDir: path.resolve(process.cwd(), 'comparison-results'),
+      ignore: [], // selectors, rects or colors to mask out (see ignore-masks.js)
+      viewports: [DEFAULT_VIEWPORT], // { name, width, height, deviceScaleFactor } or { device: 'iPhone 13' }
+      designScale: null, // export scale of design files; null reads "@2x" from the file name
+      states: [], // interaction states to compare as well (see interaction-states.js)
+      captureSteps: [], // login, cookie and navigation steps run before capture (see capture-steps.js)
+      ...config,
       thresholds: {
         pixelDifference: 0.05, // 5% threshold for pixel differences
-        structuralDifference: 0.1, // 10% threshold for structural differences
+        structuralDifference: 0.1, // 10% threshold for structural differences (1 - SSIM)
+        minTileSimilarity: 0.5, // any SSIM tile below this counts as significant
         ...config.thresholds
       },
       browser: {
@@ -27,139 +55,393 @@ export class VisualComparisonEngine {
       },
       llm: {
         enabled: true,
-        model: 'gpt-4-vision-preview',
+        provider: 'openai', // openai, anthropic, local (OpenAI-compatible) or fake (see vision-providers.js)
+        model: null, // provider default when null
+        baseURL: null, // endpoint of the local provider, e.g. http://localhost:11434/v1
+        apiKey: null, // read from the provider's environment variable when null
+        timeout: 60000, // ms per request
+        retries: 2, // retries of timeouts, rate limits and server errors
+        retryDelay: 1000, // ms before the first retry, doubled for each further retry
+        maxTokens: 2000,
+        repairAttempts: 1, // re-asks when the answer does not match the findings schema
         ...config.llm
       },
-      outputDir: path.resolve(process.cwd(), 'comparison-results'),
-      ...config
+      pixelComparison: {
+        mode: 'pixelmatch', // pixelmatch or ciede2000 (perceptual ΔE per pixel)
+        threshold: 0.1, // pixelmatch matching threshold (0-1)
+        jnd: 2.3, // ciede2000: ΔE above which a pixel counts as changed
+        ...config.pixelComparison
+      },
+      sizeReconciliation: {
+        mode: 'pad', // pad, crop or scale
+        anchor: 'top-left', // top-left or center (pad and crop only)
+        padColor: [0, 0, 0, 0],
+        ...config.sizeReconciliation
+      },
+      regions: {
+        cellSize: 8, // diff pixels within one cell of each other are merged
+        minArea: 4, // ignore regions with fewer changed pixels
+        maxRegions: 25,
+        ...config.regions
+      },
+      domMapping: {
+        enabled: true, // map diff regions to DOM elements when pages are captured
+        maxElements: 2000,
+        maxElementsPerRegion: 3,
+        minCoverage: 0.3,
+        ...config.domMapping
+      },
+      styleDiff: {
+        enabled: true,
+        properties: DEFAULT_STYLE_PROPERTIES,
+        tolerance: 0.5, // numeric values closer than this (px, em, ...) are equal
+        maxElements: 2000,
+        maxDifferences: 200,
+        ...config.styleDiff
+      },
+      domDiff: {
+        enabled: true,
+        maxElements: 3000,
+        maxChanges: 100, // per change type
+        ...config.domDiff
+      },
+      geometry: {
+        ...DEFAULT_GEOMETRY_OPTIONS, // element boxes and gaps matched by selector, data-testid or name (see geometry-diff.js)
+        ...config.geometry,
+        tolerance: {
+          ...DEFAULT_GEOMETRY_OPTIONS.tolerance,
+          ...(config.geometry && config.geometry.tolerance)
+        }
+      },
+      tokens: {
+        file: null, // design tokens JSON (W3C or Style Dictionary); enables the check
+        properties: DEFAULT_TOKEN_PROPERTIES, // property -> token type
+        tolerance: 0.5, // px
+        colorTolerance: 1, // ΔE2000
+        remSize: 16,
+        maxElements: 2000,
+        maxViolations: 100,
+        ...config.tokens
+      },
+      ssim: {
+        windowSize: 8, // SSIM window in pixels
+        tileSize: 64, // tile size of the reported score map
+        scales: 1, // 1 for SSIM, up to 5 for multi-scale SSIM
+        worstTiles: 5,
+        ...config.ssim
+      },
+      stabilize: {
+        ...DEFAULT_STABILIZE_OPTIONS, // see stabilize.js
+        ...config.stabilize
+      },
+      fullPage: {
+        enabled: false, // scroll and stitch content hidden in scroll containers (see full-page.js)
+        container: null, // scroll container selector; detected when null
+        maxHeight: 20000, // CSS px
+        settle: 150, // ms to wait after each scroll
+        ...config.fullPage
+      },
+      runs: {
+        ...DEFAULT_RUN_OPTIONS, // isolated run directories and history (see run-store.js)
+        ...config.runs
+      },
+      localSources: {
+        root: null, // directory to serve local pages from when they lie inside it (see local-sources.js)
+        ...config.localSources
+      },
+      designLoader: {
+        ...DEFAULT_DESIGN_LOADER_OPTIONS, // SVG, PDF, JPEG and WebP files (see design-loaders.js)
+        ...config.designLoader
+      },
+      figma: {
+        ...DEFAULT_FIGMA_OPTIONS, // layer specs from a Figma JSON export (see figma.js)
+        ...config.figma
+      }
     };
     
-    // Initialize OpenAI if LLM is enabled
+    this.runStore = new RunStore({
+      ...this.config.runs,
+      dir: this.config.runs.dir || path.join(this.config.outputDir, 'runs')
+    });
+    
+    // Initialize the vision provider if LLM analysis is enabled
     if (this.config.llm.enabled) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
+      this.visionProvider = createVisionProvider(this.config.llm);
     }
   }
   
   /**
-   * Captures screenshots of both design mockup and actual implementation
+   * Captures screenshots of the design mockup and/or the implementation.
+   * Pass null for a side that is not a URL (e.g. a design PNG); only the
+   * other page is captured then.
+   *
+   * Each page first runs the capture steps configured for its URL (see
+   * capture-steps.js) and, with config.stabilize.enabled, is rendered
+   * deterministically (see stabilize.js).
+   *
+   * Options: `viewport` (see viewports.js), `state` to put both pages into
+   * before the screenshot (see interaction-states.js), `outputDir` for the
+   * screenshots and `browser` to open the pages in instead of launching one
+   * (it is left open).
    */
-  async captureScreenshots(designURL, implementationURL, selector = 'body') {
-    const browser = await chromium.launch(this.config.browser);
+  async captureScreenshots(designURL, implementationURL, selector = 'body', options = {}) {
+    const {
+      viewport = selectViewports(this.config.viewports)[0],
+      state = null,
+      outputDir = this.config.outputDir,
+      browser: sharedBrowser = null
+    } = options;
+    const browser = sharedBrowser || await chromium.launch(this.config.browser);
+    const contexts = [];
     const results = {};
     
     try {
-      // Capture design mockup
-      const designContext = await browser.newContext({
-        viewport: { width: 1920, height: 1080 }
-      });
-      const designPage = await designContext.newPage();
-      await designPage.goto(designURL, { waitUntil: 'networkidle' });
-      const designElement = await designPage.$(selector);
-      results.design = await designElement.screenshot({
-        path: path.join(this.config.outputDir, 'design.png')
-      });
+      const pages = {};
       
-      // Capture implementation
-      const implContext = await browser.newContext({
-        viewport: { width: 1920, height: 1080 }
-      });
-      const implPage = await implContext.newPage();
-      await implPage.goto(implementationURL, { waitUntil: 'networkidle' });
-      const implElement = await implPage.$(selector);
-      results.implementation = await implElement.screenshot({
-        path: path.join(this.config.outputDir, 'implementation.png')
-      });
-      
-      // Capture DOM snapshots for structural analysis
-      results.designDOM = await designPage.evaluate(() => document.body.innerHTML);
-      results.implementationDOM = await implPage.evaluate(() => document.body.innerHTML);
+      for (const [side, url] of [['design', designURL], ['implementation', implementationURL]]) {
+        if (!url) continue;
+        
+        const setup = captureSetupFor(this.config.captureSteps, url);
+        const context = await newCaptureContext(browser, contextOptionsFor(viewport), setup, url);
+        contexts.push(context);
+        if (this.config.stabilize.enabled) {
+          await stabilizeContext(context, this.config.stabilize);
+        }
+        const page = await context.newPage();
+        await page.goto(url, { waitUntil: 'networkidle' });
+        await runCaptureSteps(page, setup, { url, viewport });
+        if (this.config.stabilize.enabled) {
+          await stabilizePage(page, this.config.stabilize);
+        }
+        if (state) {
+          await applyInteractionState(page, state);
+        }
+        if (this.config.stabilize.enabled && !(await waitForStableFrames(page, this.config.stabilize))) {
+          console.warn(`${url} (${viewport.name}) did not settle within ${this.config.stabilize.timeout}ms; capturing anyway`);
+        }
+        const element = await page.$(selector);
+        if (!element) {
+          throw new Error(`Element not found: ${selector} on ${url} (${viewport.name})`);
+        }
+        const screenshotPath = path.join(outputDir, `${side}.png`);
+        results[side] = this.config.fullPage.enabled
+          ? await captureFullPage(page, selector, { ...this.config.fullPage, path: screenshotPath })
+          : await element.screenshot({ path: screenshotPath });
+        pages[side] = { page, url };
+      }
+      results.browserVersion = browser.version();
       
-      // Capture computed styles for components if selector is specific
-      if (selector !== 'body') {
-        results.designStyles = await designPage.evaluate(sel => {
-          const element = document.querySelector(sel);
-          return window.getComputedStyle(element);
-        }, selector);
+      for (const [side, { page, url }] of Object.entries(pages)) {
+        // Resolve ignored elements on each page so they can be masked out
+        results[`${side}IgnoreRects`] = await resolveIgnoreSelectors(
+          page,
+          selector,
+          ignoreEntriesFor(this.config.ignore, { url, selector })
+        );
         
-        results.implementationStyles = await implPage.evaluate(sel => {
-          const element = document.querySelector(sel);
-          return window.getComputedStyle(element);
-        }, selector);
+        // Capture element boxes so diff regions can be mapped back to the DOM
+        if (this.config.domMapping.enabled) {
+          results[`${side}Elements`] = await collectElementBoxes(page, selector, this.config.domMapping);
+        }
+        
+        // Capture element trees for the structural DOM diff
+        if (this.config.domDiff.enabled) {
+          results[`${side}DOM`] = await collectDomTree(page, selector, this.config.domDiff);
+        }
+        
+        // Capture the boxes of identifiable elements for the geometry diff
+        if (this.config.geometry.enabled) {
+          results[`${side}Geometry`] = await collectElementGeometry(page, selector, this.config.geometry);
+        }
+        
+        // Capture computed styles of every element under the selector
+        if (this.config.styleDiff.enabled) {
+          results[`${side}Styles`] = await collectComputedStyles(page, selector, this.config.styleDiff);
+        }
+      }
+      
+      // Capture the implementation's styles for the design token check
+      if (this.config.tokens.file && pages.implementation) {
+        results.implementationTokenStyles = await collectComputedStyles(pages.implementation.page, selector, {
+          properties: Object.keys(this.config.tokens.properties),
+          maxElements: this.config.tokens.maxElements
+        });
+      }
+      
+      // Measure the elements the Figma frame's layers map to
+      if (this.config.figma.file && pages.implementation) {
+        results.implementationFigmaElements = await collectFigmaElements(
+          pages.implementation.page,
+          selector,
+          await this.loadFigmaFrame(),
+          this.config.figma.selectors
+        );
       }
       
       return results;
     } finally {
-      await browser.close();
+      if (sharedBrowser) {
+        await Promise.all(contexts.map(context => context.close()));
+      } else {
+        await browser.close();
+      }
     }
   }
   
   /**
-   * Performs pixel-by-pixel comparison of images
+   * Performs pixel-by-pixel comparison of images.
+   * Images of different sizes are reconciled first (see config.sizeReconciliation)
+   * and the mismatch is reported as sizeDifference.
+   *
+   * `mask` lists areas to ignore: `design`/`implementation` rects measured on
+   * the source images, `rects` in comparison space and `colors` to match.
+   * Masked pixels are painted out in both images and excluded from totalPixels.
+   *
+   * `options.outputDir` overrides where pixel-diff.png is written.
    */
-  async comparePixels(design, implementation) {
-    // Load images if paths were provided
-    const designImg = typeof design === 'string' 
-      ? PNG.sync.read(await fs.readFile(design))
-      : PNG.sync.read(design);
-      
-    const implImg = typeof implementation === 'string'
-      ? PNG.sync.read(await fs.readFile(implementation))
-      : PNG.sync.read(implementation);
+  async comparePixels(design, implementation, mask = {}, options = {}) {
+    const { outputDir = this.config.outputDir } = options;
+    const {
+      designImg,
+      implImg,
+      width,
+      height,
+      sizeDifference,
+      placement,
+      maskedPixels
+    } = await this.prepareImages(design, implementation, mask);
     
     // Create output image for differences
-    const { width, height } = designImg;
     const diffImg = new PNG({ width, height });
     
     // Compare images
-    const diffPixelCount = pixelmatch(
-      designImg.data,
-      implImg.data,
-      diffImg.data,
+    const { diffPixelCount, colorAnalysis } = diffImages(
+      designImg,
+      implImg,
+      diffImg,
       width,
       height,
-      { threshold: 0.1 }
+      this.config.pixelComparison
     );
     
-    // Calculate difference percentage
-    const totalPixels = width * height;
-    const diffPercentage = diffPixelCount / totalPixels;
+    // Group changed pixels into regions
+    const { regions, totalRegions } = findDiffRegions(
+      designImg,
+      implImg,
+      diffImg,
+      width,
+      height,
+      this.config.regions
+    );
+    
+    // Calculate difference percentage over the pixels that were compared
+    const totalPixels = width * height - maskedPixels;
+    const diffPercentage = totalPixels > 0 ? diffPixelCount / totalPixels : 0;
     
     // Save diff image
-    const diffOutput = path.join(this.config.outputDir, 'pixel-diff.png');
+    const diffOutput = path.join(outputDir, 'pixel-diff.png');
     await fs.writeFile(diffOutput, PNG.sync.write(diffImg));
     
     return {
       diffPercentage,
       diffPixelCount,
       totalPixels,
+      maskedPixels,
       diffImagePath: diffOutput,
+      sizeDifference,
+      placement,
+      regions,
+      totalRegions,
+      colorAnalysis,
       exceedsThreshold: diffPercentage > this.config.thresholds.pixelDifference
     };
   }
   
   /**
-   * Performs structural comparison using resemblejs
+   * Loads both images, brings them to a common size and paints ignored
+   * areas out of both
    */
-  async compareStructure(design, implementation) {
-    return new Promise((resolve) => {
-      resemble(design)
-        .compareTo(implementation)
-        .ignoreColors() // Focus on structure, not colors
-        .onComplete(data => {
-          resolve({
-            structuralDiffPercentage: data.misMatchPercentage / 100,
-            diffImagePath: path.join(this.config.outputDir, 'structural-diff.png'),
-            analysisTime: data.analysisTime,
-            exceedsThreshold: (data.misMatchPercentage / 100) > this.config.thresholds.structuralDifference
-          });
-        });
-    });
+  async prepareImages(design, implementation, mask = {}) {
+    // Load images if paths were provided
+    const designSource = toPNG(typeof design === 'string' ? await fs.readFile(design) : design);
+    const implSource = toPNG(typeof implementation === 'string' ? await fs.readFile(implementation) : implementation);
+    
+    // Bring both images to a common size before comparing
+    const {
+      design: designImg,
+      implementation: implImg,
+      width,
+      height,
+      sizeDifference,
+      placement
+    } = reconcileImageSizes(designSource, implSource, this.config.sizeReconciliation);
+    
+    // Paint ignored areas out of both images
+    const ignoreMask = buildIgnoreMask(width, height, {
+      rects: [
+        ...(mask.design || []).map(rect => placeRect(rect, placement.design)),
+        ...(mask.implementation || []).map(rect => placeRect(rect, placement.implementation)),
+        ...(mask.rects || [])
+      ],
+      colors: mask.colors || []
+    }, designImg, implImg);
+    const maskedPixels = applyIgnoreMask(ignoreMask, designImg, implImg);
+    
+    return {
+      designImg,
+      implImg,
+      width,
+      height,
+      sizeDifference,
+      placement,
+      ignoreMask,
+      maskedPixels
+    };
+  }
+  
+  /**
+   * Performs structural comparison using SSIM on grayscale images.
+   * Reports 1 - SSIM as the structural difference, a per-tile score map and
+   * writes a heatmap of dissimilar areas to structural-diff.png.
+   */
+  async compareStructure(design, implementation, mask = {}, options = {}) {
+    const { outputDir = this.config.outputDir } = options;
+    const startTime = Date.now();
+    const { designImg, implImg, ignoreMask } = await this.prepareImages(design, implementation, mask);
+    
+    const result = computeSSIM(designImg, implImg, { ...this.config.ssim, ignoreMask });
+    
+    // Save structural heatmap over the implementation
+    const diffOutput = path.join(outputDir, 'structural-diff.png');
+    await fs.writeFile(diffOutput, PNG.sync.write(renderSSIMHeatmap(implImg, result)));
+    
+    const structuralDiffPercentage = Math.min(Math.max(1 - result.ssim, 0), 1);
+    const lowestTiles = worstTiles(result.tiles, this.config.ssim.worstTiles);
+    const { minTileSimilarity } = this.config.thresholds;
+    const dissimilarTiles = result.tiles.scores
+      .flat()
+      .filter(score => score !== null && score < minTileSimilarity).length;
+    
+    return {
+      ssim: result.ssim,
+      structuralDiffPercentage,
+      diffImagePath: diffOutput,
+      tiles: result.tiles,
+      worstTiles: lowestTiles,
+      dissimilarTiles,
+      analysisTime: Date.now() - startTime,
+      exceedsThreshold:
+        structuralDiffPercentage > this.config.thresholds.structuralDifference ||
+        dissimilarTiles > 0
+    };
   }
   
   /**
-   * Uses LLM to analyze visual differences and suggest fixes
+   * Asks the configured vision provider (config.llm, see vision-providers.js)
+   * for structured findings (see llm-findings.js). An answer that does not
+   * match the findings schema is sent back for repair up to
+   * `llm.repairAttempts` times; if it still fails, the raw answer is kept as
+   * `analysis` and `findings` is empty.
    */
   async analyzeDifferencesWithLLM(designImg, implImg, diffImg, comparisonResults) {
     if (!this.config.llm.enabled) {
@@ -171,13 +453,7 @@ export class VisualComparisonEngine {
     const implCanvas = await this._imageToBase64(implImg);
     const diffCanvas = await this._imageToBase64(diffImg);
     
-    // Create prompt with context and images
-    const response = await this.openai.chat.completions.create({
-      model: this.config.llm.model,
-      messages: [
-        {
-          role: "system",
-          content: `You are a visual UI expert that analyzes differences between design mockups and implementations.
+    const system = `You are a visual UI expert that analyzes differences between design mockups and implementations.
           Focus on identifying:
           1. Alignment issues
           2. Color discrepancies
@@ -185,56 +461,64 @@ export class VisualComparisonEngine {
           4. Spacing inconsistencies
           5. Missing elements
           
-          For each issue, suggest specific CSS or HTML fixes that could resolve the problem.`
-        },
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: `Here are three images: 
+          For each issue, suggest a specific CSS change that could resolve the problem.
+          
+          ${FINDINGS_INSTRUCTIONS}`;
+    
+    // Name the elements behind the changed regions so the model can point at selectors
+    const changedElements = changedSelectors(comparisonResults.pixelDiff.regions || []);
+    
+    // Create prompt with context and images
+    let response = await this.visionProvider.analyze({
+      system,
+      prompt: `Here are three images: 
               1. The original design mockup
               2. The actual implementation
               3. A diff visualization showing differences
               
               The pixel difference percentage is ${comparisonResults.pixelDiff.diffPercentage * 100}%.
               The structural difference percentage is ${comparisonResults.structuralDiff.structuralDiffPercentage * 100}%.
+              ${changedElements.length > 0 ? `Changed pixels were traced to these elements: ${changedElements.slice(0, 10).join(', ')}.` : ''}
               
-              Please identify the most significant UI inconsistencies and suggest specific code fixes.`
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: designCanvas,
-                detail: "high"
-              }
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: implCanvas,
-                detail: "high"
-              }
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: diffCanvas,
-                detail: "high"
-              }
-            }
-          ]
-        }
-      ],
-      max_tokens: 2000
+              Please identify the most significant UI inconsistencies and suggest specific code fixes.`,
+      images: [designCanvas, implCanvas, diffCanvas],
+      maxTokens: this.config.llm.maxTokens
     });
     
+    let promptTokens = response.promptTokens;
+    let completionTokens = response.completionTokens;
+    let parsed = parseFindings(response.text);
+    let repairAttempts = 0;
+    
+    while (parsed.errors.length > 0 && repairAttempts < this.config.llm.repairAttempts) {
+      repairAttempts++;
+      response = await this.visionProvider.analyze({
+        system,
+        prompt: repairPrompt(response.text, parsed.errors),
+        images: [],
+        maxTokens: this.config.llm.maxTokens
+      });
+      promptTokens += response.promptTokens || 0;
+      completionTokens += response.completionTokens || 0;
+      parsed = parseFindings(response.text);
+    }
+    
+    const valid = parsed.errors.length === 0;
+    
     return {
       enabled: true,
-      analysis: response.choices[0].message.content,
-      model: this.config.llm.model,
-      promptTokens: response.usage.prompt_tokens,
-      completionTokens: response.usage.completion_tokens
+      analysis: valid
+        ? [parsed.summary, ...parsed.findings.map(finding => `- ${describeFinding(finding)}`)].join('\n\n')
+        : response.text,
+      summary: parsed.summary,
+      findings: parsed.findings,
+      valid,
+      validationErrors: parsed.errors,
+      repairAttempts,
+      provider: this.visionProvider.name,
+      model: response.model,
+      promptTokens,
+      completionTokens
     };
   }
   
@@ -250,25 +534,284 @@ export class VisualComparisonEngine {
   }
   
   /**
-   * Run full comparison pipeline
+   * Loads the configured design tokens file (cached)
+   */
+  async loadTokens() {
+    if (!this.config.tokens.file) {
+      throw new Error('No design tokens file configured (tokens.file)');
+    }
+    
+    if (!this.designTokens) {
+      this.designTokens = await loadDesignTokens(this.config.tokens.file, this.config.tokens);
+    }
+    return this.designTokens;
+  }
+  
+  /**
+   * Checks a page's computed styles against the design tokens without
+   * comparing it to a design
+   */
+  async checkDesignTokens(url, selector = 'body') {
+    const tokens = await this.loadTokens();
+    const browser = await chromium.launch(this.config.browser);
+    
+    try {
+      const viewport = selectViewports(this.config.viewports)[0];
+      const setup = captureSetupFor(this.config.captureSteps, url);
+      const context = await newCaptureContext(browser, contextOptionsFor(viewport), setup, url);
+      const page = await context.newPage();
+      await page.goto(url, { waitUntil: 'networkidle' });
+      await runCaptureSteps(page, setup, { url, viewport });
+      
+      const styles = await collectComputedStyles(page, selector, {
+        properties: Object.keys(this.config.tokens.properties),
+        maxElements: this.config.tokens.maxElements
+      });
+      
+      return {
+        timestamp: new Date().toISOString(),
+        url,
+        selector,
+        ...checkTokenConformance(styles, tokens, this.config.tokens)
+      };
+    } finally {
+      await browser.close();
+    }
+  }
+  
+  /**
+   * Loads the configured frame of the Figma export (cached)
+   */
+  async loadFigmaFrame() {
+    if (!this.config.figma.file) {
+      throw new Error('No Figma export configured (figma.file)');
+    }
+    
+    if (!this.figmaFrame) {
+      this.figmaFrame = await loadFigmaFrame(this.config.figma.file, this.config.figma.frame);
+    }
+    return this.figmaFrame;
+  }
+  
+  /**
+   * Checks a page's element geometry and computed styles against the layer
+   * specs of the Figma frame without comparing screenshots
+   */
+  async checkFigmaFrame(url, selector = 'body') {
+    const frame = await this.loadFigmaFrame();
+    const browser = await chromium.launch(this.config.browser);
+    
+    try {
+      const viewport = selectViewports(this.config.viewports)[0];
+      const setup = captureSetupFor(this.config.captureSteps, url);
+      const context = await newCaptureContext(browser, contextOptionsFor(viewport), setup, url);
+      const page = await context.newPage();
+      await page.goto(url, { waitUntil: 'networkidle' });
+      await runCaptureSteps(page, setup, { url, viewport });
+      
+      const elements = await collectFigmaElements(page, selector, frame, this.config.figma.selectors);
+      
+      return {
+        timestamp: new Date().toISOString(),
+        url,
+        selector,
+        ...checkFigmaSpecs(frame, elements, this.config.figma)
+      };
+    } finally {
+      await browser.close();
+    }
+  }
+  
+  /**
+   * Resamples a design file exported at another scale (e.g. "hero@2x.png")
+   * to the viewport's device scale factor. Returns the path to compare.
+   * `scale` overrides the export scale for files rasterized at a known one.
+   */
+  async matchDesignScale(designPath, viewport, outputDir = this.config.outputDir, scale = null) {
+    const designScale = scale || viewport.designScale || this.config.designScale || designScaleOf(designPath);
+    const factor = viewport.deviceScaleFactor / designScale;
+    if (factor === 1) {
+      return designPath;
+    }
+    
+    const img = toPNG(await fs.readFile(designPath));
+    const scaled = resizeImage(img, Math.round(img.width * factor), Math.round(img.height * factor));
+    const scaledPath = path.join(outputDir, 'design-scaled.png');
+    await fs.writeFile(scaledPath, PNG.sync.write(scaled));
+    return scaledPath;
+  }
+  
+  /**
+   * Runs the comparison once per viewport (all configured viewports, or the
+   * ones named) and, within each viewport, once more per configured
+   * interaction state. Design and implementation files are paired with their
+   * variants, e.g. "homepage@mobile.png" or "homepage@mobile@hover-card.png".
+   * Each viewport (when there are several) and each state writes its output
+   * to a subdirectory named after it.
+   *
+   * Without an `outputDir` option, everything is written to config.outputDir
+   * or, with config.runs.enabled, to a new run directory (see run-store.js).
+   * Local pages (file:// URLs, .html files and directories) are served over
+   * HTTP and captured like URLs (see local-sources.js); file:// URLs of
+   * images are compared as image files.
+   *
+   * Options: `outputDir` to write to instead and `browser` to share (see
+   * captureScreenshots).
+   *
+   * Returns one result per viewport and state.
+   */
+  async compareViewports(designSource, implementationSource, selector = 'body', names = null, options = {}) {
+    if (options.outputDir === undefined && this.config.runs.enabled) {
+      return this._inRun(
+        { design: designSource, implementation: implementationSource, selector, viewports: names },
+        run => this.compareViewports(designSource, implementationSource, selector, names, { ...options, outputDir: run.dir, run })
+      );
+    }
+    if (await isLocalPage(designSource) || await isLocalPage(implementationSource)) {
+      return this._withLocalSources(
+        designSource,
+        implementationSource,
+        (design, implementation) => this.compareViewports(design, implementation, selector, names, {
+          ...options,
+          sources: { design: designSource, implementation: implementationSource }
+        })
+      );
+    }
+    
+    const { outputDir: baseDir = this.config.outputDir, browser = null, run = null, sources } = options;
+    // file:// URLs of images are paired and read as files
+    designSource = localPath(designSource);
+    implementationSource = localPath(implementationSource);
+    const viewports = selectViewports(this.config.viewports, names);
+    const states = [
+      null,
+      ...statesFor(this.config.states, isURL(implementationSource) ? implementationSource : undefined)
+    ];
+    const results = [];
+    
+    for (const viewport of viewports) {
+      for (const state of states) {
+        const name = state ? stateName(state) : null;
+        const outputDir = path.join(
+          baseDir,
+          viewports.length > 1 ? viewport.name : '',
+          name || ''
+        );
+        const pair = source => (typeof source === 'string' && !isURL(source)
+          ? pairViewportFile(source, viewport, name)
+          : source);
+        
+        results.push(await this.runComparison(
+          await pair(designSource),
+          await pair(implementationSource),
+          (state && state.capture) || selector,
+          { viewport, state, outputDir, browser, run, sources }
+        ));
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Run full comparison pipeline.
+   *
+   * Options: `viewport` to capture pages at (default: the first configured),
+   * an interaction `state` to capture them in, `outputDir` for
+   * screenshots, diff images and results (default: config.outputDir, or a
+   * new run directory with config.runs.enabled) and a `browser` to share.
+   * Local pages are served as in compareViewports.
    */
-  async runComparison(designSource, implementationSource, selector = 'body') {
+  async runComparison(designSource, implementationSource, selector = 'body', options = {}) {
+    if (options.outputDir === undefined && this.config.runs.enabled) {
+      return this._inRun(
+        { design: designSource, implementation: implementationSource, selector, viewports: options.viewport ? [options.viewport.name] : null },
+        run => this.runComparison(designSource, implementationSource, selector, { ...options, outputDir: run.dir, run })
+      );
+    }
+    if (await isLocalPage(designSource) || await isLocalPage(implementationSource)) {
+      return this._withLocalSources(
+        designSource,
+        implementationSource,
+        (design, implementation) => this.runComparison(design, implementation, selector, {
+          ...options,
+          sources: { design: designSource, implementation: implementationSource }
+        })
+      );
+    }
+    
+    const {
+      viewport = selectViewports(this.config.viewports)[0],
+      state = null,
+      outputDir = this.config.outputDir,
+      browser = null,
+      run = null,
+      sources = { design: designSource, implementation: implementationSource }
+    } = options;
+    
+    // file:// URLs of images are read as files
+    designSource = localPath(designSource);
+    implementationSource = localPath(implementationSource);
+    
     // Ensure output directory exists
-    await fs.mkdir(this.config.outputDir, { recursive: true });
+    await fs.mkdir(outputDir, { recursive: true });
+    
+    // Fixed rects and colors to ignore for this implementation and selector
+    const ignoreEntries = ignoreEntriesFor(this.config.ignore, {
+      url: typeof implementationSource === 'string' ? implementationSource : undefined,
+      selector
+    });
     
-    // Step 1: Capture screenshots if URLs provided
+    // Step 1: Capture screenshots of the sources that are URLs
     let captures;
-    if (typeof designSource === 'string' && designSource.startsWith('http')) {
-      captures = await this.captureScreenshots(designSource, implementationSource, selector);
-      designSource = path.join(this.config.outputDir, 'design.png');
-      implementationSource = path.join(this.config.outputDir, 'implementation.png');
+    const designIsURL = isURL(designSource);
+    if (designIsURL || isURL(implementationSource)) {
+      captures = await this.captureScreenshots(
+        designIsURL ? designSource : null,
+        isURL(implementationSource) ? implementationSource : null,
+        selector,
+        { viewport, state, outputDir, browser }
+      );
+      if (captures.design) {
+        designSource = path.join(outputDir, 'design.png');
+      }
+      if (captures.implementation) {
+        implementationSource = path.join(outputDir, 'implementation.png');
+      }
+    }
+    
+    // Bring exported design files to PNG and to the viewport's pixel density
+    if (!designIsURL && typeof designSource === 'string') {
+      const loaded = await this.loadImageFile(designSource, 'design', viewport, outputDir, browser);
+      designSource = await this.matchDesignScale(loaded.path, viewport, outputDir, loaded.scale);
+    }
+    if (typeof implementationSource === 'string') {
+      implementationSource = (await this.loadImageFile(implementationSource, 'implementation', viewport, outputDir, browser)).path;
     }
     
-    // Step 2: Run pixel comparison
-    const pixelDiff = await this.comparePixels(designSource, implementationSource);
+    // Step 2: Run pixel comparison, masking out ignored content
+    const mask = {
+      design: (captures && captures.designIgnoreRects) || [],
+      implementation: (captures && captures.implementationIgnoreRects) || [],
+      rects: ignoreEntries.filter(entry => entry.rect).map(entry => entry.rect),
+      colors: ignoreEntries.filter(entry => entry.color)
+    };
+    const pixelDiff = await this.comparePixels(designSource, implementationSource, mask, { outputDir });
+    
+    // Attach the DOM elements behind each changed region
+    if (captures && captures.implementationElements) {
+      pixelDiff.regions = mapRegionsToElements(
+        pixelDiff.regions,
+        {
+          implementation: captures.implementationElements,
+          design: captures.designElements
+        },
+        { ...this.config.domMapping, placement: pixelDiff.placement }
+      );
+    }
     
     // Step 3: Run structural comparison
-    const structuralDiff = await this.compareStructure(designSource, implementationSource);
+    const structuralDiff = await this.compareStructure(designSource, implementationSource, mask, { outputDir });
     
     // Step 4: LLM analysis if enabled
     const llmAnalysis = await this.analyzeDifferencesWithLLM(
@@ -278,34 +821,119 @@ export class VisualComparisonEngine {
       { pixelDiff, structuralDiff }
     );
     
+    // Step 5: Check the implementation's styles against the design tokens
+    const tokenAnalysis = captures && captures.implementationTokenStyles
+      ? checkTokenConformance(captures.implementationTokenStyles, await this.loadTokens(), this.config.tokens)
+      : null;
+    
+    // Step 6: Check element geometry and styles against the Figma layer specs
+    const figmaAnalysis = captures && captures.implementationFigmaElements
+      ? checkFigmaSpecs(await this.loadFigmaFrame(), captures.implementationFigmaElements, this.config.figma)
+      : null;
+    
     // Compile results
     const results = {
       timestamp: new Date().toISOString(),
+      run: run ? { id: run.id, dir: run.dir } : null,
       selector,
+      viewport: {
+        name: viewport.name,
+        width: viewport.width,
+        height: viewport.height,
+        deviceScaleFactor: viewport.deviceScaleFactor
+      },
+      state: state ? stateName(state) : null,
+      outputDir,
+      browserVersion: captures ? captures.browserVersion : null,
+      sources,
+      designPath: designSource,
+      implementationPath: implementationSource,
       pixelDiff,
+      changedSelectors: changedSelectors(pixelDiff.regions),
       structuralDiff,
       llmAnalysis,
       hasSignificantDifferences: 
         pixelDiff.exceedsThreshold || 
         structuralDiff.exceedsThreshold,
-      domAnalysis: captures ? {
-        designDOM: captures.designDOM,
-        implementationDOM: captures.implementationDOM
-      } : null,
-      styleAnalysis: captures && captures.designStyles ? {
-        designStyles: captures.designStyles,
-        implementationStyles: captures.implementationStyles  
-      } : null
+      domAnalysis: captures && captures.designDOM
+        ? diffDomTrees(captures.designDOM, captures.implementationDOM, this.config.domDiff)
+        : null,
+      geometryAnalysis: captures && captures.designGeometry && captures.implementationGeometry
+        ? diffElementGeometry(captures.designGeometry, captures.implementationGeometry, this.config.geometry)
+        : null,
+      styleAnalysis: captures && captures.designStyles
+        ? diffComputedStyles(captures.designStyles, captures.implementationStyles, this.config.styleDiff)
+        : null,
+      tokenAnalysis,
+      figmaAnalysis
     };
     
     // Save full results
     await fs.writeFile(
-      path.join(this.config.outputDir, 'comparison-results.json'),
+      path.join(outputDir, 'comparison-results.json'),
       JSON.stringify(results, null, 2)
     );
     
     return results;
   }
+  
+  /**
+   * Normalizes an image file other than PNG for comparison (see
+   * design-loaders.js): SVG and PDF are rasterized at config.designLoader.scale
+   * or the viewport's deviceScaleFactor, JPEG and WebP decoded, each to
+   * "<side>-source.png" in outputDir. The page and crop box only apply to
+   * the design. Returns { path, scale } with the export
+   * scale of converted files, which their new name no longer carries (null
+   * for PNG files).
+   */
+  async loadImageFile(filePath, side, viewport, outputDir = this.config.outputDir, browser = null) {
+    if (await detectImageFormat(filePath) === 'png') {
+      return { path: filePath, scale: null };
+    }
+    const loaded = await loadDesign(filePath, {
+      ...this.config.designLoader,
+      ...(side === 'design' ? {} : { page: 1, cropBox: null }),
+      scale: this.config.designLoader.scale || viewport.deviceScaleFactor,
+      outputPath: path.join(outputDir, `${side}-source.png`),
+      browser,
+      launchOptions: this.config.browser
+    });
+    return {
+      path: loaded.path,
+      scale: loaded.scale || viewport.designScale || this.config.designScale || designScaleOf(filePath)
+    };
+  }
+  
+  /**
+   * Serves the local pages among the sources for the duration of `work`,
+   * which gets their http:// URLs (other sources are passed through)
+   */
+  async _withLocalSources(designSource, implementationSource, work) {
+    const server = new LocalSourceServer(this.config.localSources);
+    try {
+      return await work(await server.resolve(designSource), await server.resolve(implementationSource));
+    } finally {
+      await server.close();
+    }
+  }
+  
+  /**
+   * Runs `work` in a new run directory and records its results (or error) in
+   * the run manifest. The run is finished however `work` ends, so no run is
+   * left "running", which retention would keep forever.
+   */
+  async _inRun(inputs, work) {
+    const run = await this.runStore.createRun({ command: 'compare', inputs, config: this.config });
+    let results = null;
+    let failure = null;
+    try {
+      results = await work(run);
+      return results;
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      await this.runStore.finishRun(run, Array.isArray(results) ? results : [results].filter(Boolean), failure);
+    }
+  }
 }
-
-module.exports = VisualComparisonEngine;
@@ -0,0 +1,281 @@
+import { chromium } from 'playwright';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+/**
+ * Design files other than PNG, normalized to PNG before comparing.
+ *
+ * SVG and PDF exports are rasterized in Chromium at `scale` (device pixels
+ * per SVG px or PDF point): SVGs are opened as documents, so linked images
+ * and fonts next to them load, and PDF pages are rendered with pdf.js (the
+ * optional pdfjs-dist package) inside the page. JPEG and WebP files are
+ * decoded by Chromium as they are, at their own pixel size.
+ *
+ * `cropBox` ({ x, y, width, height }) cuts a region out of the design, in SVG
+ * px, PDF points or, for JPEG and WebP, pixels. `background` fills
+ * transparent areas; null keeps them transparent.
+ */
+export const DEFAULT_DESIGN_LOADER_OPTIONS = {
+  scale: null, // null rasterizes at the viewport's deviceScaleFactor
+  page: 1, // PDF page, 1-based
+  cropBox: null,
+  background: '#ffffff'
+};
+
+export const VECTOR_FORMATS = ['svg', 'pdf'];
+
+const EXTENSION_FORMATS = {
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.webp': 'webp',
+  '.svg': 'svg',
+  '.pdf': 'pdf'
+};
+
+const CONTENT_TYPES = {
+  '.mjs': 'text/javascript',
+  '.js': 'text/javascript',
+  '.svg': 'image/svg+xml'
+};
+
+// Pages are opened on this origin; its requests are answered from disk
+const ORIGIN = 'http://oculus-design.local';
+
+/**
+ * Format of an image file from its first bytes, falling back to its
+ * extension: png, jpeg, webp, svg, pdf or null
+ */
+export async function detectImageFormat(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  let header;
+  try {
+    const buffer = Buffer.alloc(512);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    header = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (header.toString('latin1', 0, 5) === '%PDF-') {
+    return 'pdf';
+  }
+  if (/^\uFEFF?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(header.toString('utf8'))) {
+    return 'svg';
+  }
+  return EXTENSION_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Answers the page's requests to ORIGIN with files from `root`
+ */
+async function serveFiles(page, root, files = {}) {
+  await page.route(`${ORIGIN}/**`, async route => {
+    const pathname = decodeURIComponent(new URL(route.request().url()).pathname);
+    if (files[pathname] !== undefined) {
+      await route.fulfill(files[pathname]);
+      return;
+    }
+    const filePath = path.join(root, pathname);
+    if (!filePath.startsWith(root + path.sep)) {
+      await route.fulfill({ status: 403 });
+      return;
+    }
+    const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+    await route.fulfill({ path: filePath, ...(type ? { contentType: type } : {}) })
+      .catch(() => route.fulfill({ status: 404 }));
+  });
+}
+
+function checkCropBox(cropBox) {
+  if (cropBox && !(cropBox.width > 0 && cropBox.height > 0)) {
+    throw new Error(`Invalid crop box ${JSON.stringify(cropBox)}: width and height must be positive`);
+  }
+}
+
+/**
+ * Rasterizes an SVG document at `scale`. Its size comes from the width and
+ * height attributes of the root element, or from its viewBox.
+ */
+async function rasterizeSVG(browser, filePath, { scale, cropBox, background }) {
+  const context = await browser.newContext({ deviceScaleFactor: scale });
+  try {
+    const page = await context.newPage();
+    await serveFiles(page, path.dirname(filePath));
+    await page.goto(`${ORIGIN}/${encodeURIComponent(path.basename(filePath))}`, { waitUntil: 'networkidle' });
+
+    const size = await page.evaluate(async fill => {
+      const svg = document.documentElement;
+      const length = value => (value.unitType === SVGLength.SVG_LENGTHTYPE_PERCENTAGE ? 0 : value.value);
+      const viewBox = svg.viewBox && svg.viewBox.baseVal;
+      const width = length(svg.width.baseVal) || (viewBox ? viewBox.width : 0);
+      const height = length(svg.height.baseVal) || (viewBox ? viewBox.height : 0);
+      svg.setAttribute('width', width);
+      svg.setAttribute('height', height);
+      if (fill) {
+        svg.style.background = fill;
+      }
+      if (document.fonts) {
+        await document.fonts.ready;
+      }
+      return { width, height };
+    }, background);
+    if (!size.width || !size.height) {
+      throw new Error(`Cannot size ${filePath}: the SVG has no width and height or viewBox`);
+    }
+
+    await page.setViewportSize({ width: Math.ceil(size.width), height: Math.ceil(size.height) });
+    return await page.screenshot({
+      clip: cropBox || { x: 0, y: 0, width: size.width, height: size.height },
+      omitBackground: !background
+    });
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Renders one page of a PDF at `scale` with pdf.js
+ */
+async function rasterizePDF(browser, filePath, { scale, page: pageNumber, cropBox, background }) {
+  const require = createRequire(import.meta.url);
+  let pdfjsRoot;
+  try {
+    pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+  } catch (error) {
+    throw new Error('PDF designs are rendered with pdf.js; install it with "npm install pdfjs-dist"');
+  }
+
+  const context = await browser.newContext();
+  try {
+    const page = await context.newPage();
+    await serveFiles(page, pdfjsRoot, {
+      '/': { contentType: 'text/html', body: '<!DOCTYPE html><html><body></body></html>' },
+      '/design.pdf': { path: filePath, contentType: 'application/pdf' }
+    });
+    await page.goto(`${ORIGIN}/`);
+
+    const dataURL = await page.evaluate(async ({ pageNumber, scale, cropBox, background }) => {
+      const pdfjs = await import('/build/pdf.min.mjs');
+      // Run the pdf.js worker on the page itself
+      globalThis.pdfjsWorker = await import('/build/pdf.worker.min.mjs');
+
+      const data = new Uint8Array(await (await fetch('/design.pdf')).arrayBuffer());
+      const pdf = await pdfjs.getDocument({
+        data,
+        cMapUrl: '/cmaps/',
+        cMapPacked: true,
+        standardFontDataUrl: '/standard_fonts/'
+      }).promise;
+      if (pageNumber < 1 || pageNumber > pdf.numPages) {
+        throw new Error(`Page ${pageNumber} does not exist; the PDF has ${pdf.numPages} page(s)`);
+      }
+
+      const pdfPage = await pdf.getPage(pageNumber);
+      const viewport = pdfPage.getViewport({ scale });
+      const box = cropBox || { x: 0, y: 0, width: viewport.width / scale, height: viewport.height / scale };
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(box.width * scale);
+      canvas.height = Math.round(box.height * scale);
+      await pdfPage.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: [1, 0, 0, 1, -box.x * scale, -box.y * scale],
+        background: background || 'rgba(0, 0, 0, 0)'
+      }).promise;
+      return canvas.toDataURL('image/png');
+    }, { pageNumber, scale, cropBox, background });
+
+    return Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64');
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Decodes a JPEG or WebP file at its pixel size
+ */
+async function decodeImage(browser, filePath, format, { cropBox, background }) {
+  const context = await browser.newContext();
+  try {
+    const page = await context.newPage();
+    await serveFiles(page, path.dirname(filePath), {
+      '/': { contentType: 'text/html', body: '<!DOCTYPE html><html><body></body></html>' },
+      '/design': { path: filePath, contentType: `image/${format}` }
+    });
+    await page.goto(`${ORIGIN}/`);
+
+    const dataURL = await page.evaluate(async ({ cropBox, background }) => {
+      const bitmap = await createImageBitmap(await (await fetch('/design')).blob());
+      const box = cropBox || { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(box.width);
+      canvas.height = Math.round(box.height);
+      const context = canvas.getContext('2d');
+      if (background) {
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+      }
+      context.drawImage(bitmap, -box.x, -box.y);
+      return canvas.toDataURL('image/png');
+    }, { cropBox, background });
+
+    return Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64');
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Normalizes a design file to PNG. PNG files are returned as they are; other
+ * formats are rasterized or decoded to `outputPath`.
+ *
+ * Options: see DEFAULT_DESIGN_LOADER_OPTIONS (`scale` defaults to 1 here),
+ * `outputPath`, `browser` to render in instead of launching one (it is left
+ * open) and `launchOptions` for the one launched.
+ *
+ * Returns { path, format, scale } where `scale` is the pixel density of SVG
+ * and PDF output and null for raster files, whose scale is read from their
+ * name as usual (see viewports.js).
+ */
+export async function loadDesign(filePath, options = {}) {
+  const settings = { ...DEFAULT_DESIGN_LOADER_OPTIONS, ...options };
+  const format = await detectImageFormat(filePath);
+  if (format === 'png') {
+    return { path: filePath, format, scale: null };
+  }
+  if (!format) {
+    throw new Error(`Unsupported design file ${filePath}: expected PNG, JPEG, WebP, SVG or PDF`);
+  }
+  checkCropBox(settings.cropBox);
+
+  const scale = settings.scale || 1;
+  const outputPath = settings.outputPath || path.join(path.dirname(filePath), `${path.parse(filePath).name}.png`);
+  const browser = settings.browser || await chromium.launch(settings.launchOptions);
+  try {
+    const absolutePath = path.resolve(filePath);
+    const png = format === 'svg'
+      ? await rasterizeSVG(browser, absolutePath, { ...settings, scale })
+      : format === 'pdf'
+        ? await rasterizePDF(browser, absolutePath, { ...settings, scale })
+        : await decodeImage(browser, absolutePath, format, settings);
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, png);
+    return { path: outputPath, format, scale: VECTOR_FORMATS.includes(format) ? scale : null };
+  } finally {
+    if (!settings.browser) {
+      await browser.close();
+    }
+  }
+}
@@ -0,0 +1,135 @@
+// Color pixelmatch uses to paint differing pixels; passed explicitly so the
+// diff image can be read back as a mask
+export const DIFF_COLOR = [255, 0, 0];
+
+const MAX_RGB_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+/**
+ * Groups the pixels pixelmatch flagged as different into connected regions.
+ *
+ * Diff pixels are bucketed into square cells of `cellSize` pixels and
+ * neighbouring non-empty cells (8-connectivity) are merged, so pixels a few
+ * pixels apart (e.g. the strokes of one changed word) end up in one region.
+ *
+ * Each region reports a bounding box of its actual diff pixels, the number of
+ * differing pixels, the mean RGB distance between the two images (0-1) and a
+ * rank, where rank 1 has the highest area × mean delta.
+ */
+export function findDiffRegions(imgA, imgB, diffImg, width, height, options = {}) {
+  const {
+    cellSize = 8,
+    minArea = 4,
+    maxRegions = 25
+  } = options;
+
+  const gridWidth = Math.ceil(width / cellSize);
+  const gridHeight = Math.ceil(height / cellSize);
+  const cellCount = gridWidth * gridHeight;
+
+  const counts = new Uint32Array(cellCount);
+  const deltas = new Float64Array(cellCount);
+  const minX = new Int32Array(cellCount).fill(width);
+  const minY = new Int32Array(cellCount).fill(height);
+  const maxX = new Int32Array(cellCount).fill(-1);
+  const maxY = new Int32Array(cellCount).fill(-1);
+
+  // Bucket diff pixels into cells
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cellSize) * gridWidth;
+
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (
+        diffImg.data[i] !== DIFF_COLOR[0] ||
+        diffImg.data[i + 1] !== DIFF_COLOR[1] ||
+        diffImg.data[i + 2] !== DIFF_COLOR[2]
+      ) {
+        continue;
+      }
+
+      const cell = row + Math.floor(x / cellSize);
+      const dr = imgA.data[i] - imgB.data[i];
+      const dg = imgA.data[i + 1] - imgB.data[i + 1];
+      const db = imgA.data[i + 2] - imgB.data[i + 2];
+
+      counts[cell]++;
+      deltas[cell] += Math.sqrt(dr * dr + dg * dg + db * db) / MAX_RGB_DISTANCE;
+      if (x < minX[cell]) minX[cell] = x;
+      if (y < minY[cell]) minY[cell] = y;
+      if (x > maxX[cell]) maxX[cell] = x;
+      if (y > maxY[cell]) maxY[cell] = y;
+    }
+  }
+
+  // Flood-fill connected cells into regions
+  const visited = new Uint8Array(cellCount);
+  const stack = new Int32Array(cellCount);
+  const regions = [];
+
+  for (let start = 0; start < cellCount; start++) {
+    if (visited[start] || counts[start] === 0) continue;
+
+    const region = { x0: width, y0: height, x1: -1, y1: -1, area: 0, delta: 0 };
+    let top = 0;
+    stack[top++] = start;
+    visited[start] = 1;
+
+    while (top > 0) {
+      const cell = stack[--top];
+      region.area += counts[cell];
+      region.delta += deltas[cell];
+      region.x0 = Math.min(region.x0, minX[cell]);
+      region.y0 = Math.min(region.y0, minY[cell]);
+      region.x1 = Math.max(region.x1, maxX[cell]);
+      region.y1 = Math.max(region.y1, maxY[cell]);
+
+      const cx = cell % gridWidth;
+      const cy = Math.floor(cell / gridWidth);
+
+      for (let ny = Math.max(cy - 1, 0); ny <= Math.min(cy + 1, gridHeight - 1); ny++) {
+        for (let nx = Math.max(cx - 1, 0); nx <= Math.min(cx + 1, gridWidth - 1); nx++) {
+          const neighbour = ny * gridWidth + nx;
+          if (!visited[neighbour] && counts[neighbour] > 0) {
+            visited[neighbour] = 1;
+            stack[top++] = neighbour;
+          }
+        }
+      }
+    }
+
+    if (region.area >= minArea) {
+      regions.push(region);
+    }
+  }
+
+  const ranked = regions
+    .map(region => {
+      const meanColorDelta = region.delta / region.area;
+      return {
+        bbox: {
+          x: region.x0,
+          y: region.y0,
+          width: region.x1 - region.x0 + 1,
+          height: region.y1 - region.y0 + 1
+        },
+        area: region.area,
+        meanColorDelta: Number(meanColorDelta.toFixed(4)),
+        score: region.area * meanColorDelta
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map(({ score, ...region }, index) => ({ rank: index + 1, ...region }));
+
+  return {
+    totalRegions: ranked.length,
+    regions: ranked.slice(0, maxRegions)
+  };
+}
+
+/**
+ * Formats a region as a short human readable string, e.g. "#1 at (10,20) 30×40px"
+ */
+export function describeRegion(region) {
+  const { x, y, width, height } = region.bbox;
+  return `#${region.rank} at (${x},${y}) ${width}×${height}px, ${region.area}px changed, mean Δ ${(region.meanColorDelta * 100).toFixed(1)}%`;
+}
@@ -0,0 +1,306 @@
+import { installPageHelpers } from './page-helpers.js';
+
+/**
+ * Serializes the element tree under `rootSelector` into a flat list of nodes
+ * ({ index, parent, tag, id, testId, role, text, classes, attributes, selector, path }).
+ * `parent` is the index of the parent node, null for the root.
+ */
+export async function collectDomTree(page, rootSelector = 'body', options = {}) {
+  const { maxElements = 3000 } = options;
+
+  await installPageHelpers(page);
+
+  return page.evaluate(({ rootSelector, maxElements }) => {
+    const root = document.querySelector(rootSelector);
+    if (!root) {
+      return [];
+    }
+
+    const { uniqueSelector, tagClassPath, accessibleRole } = window.__oculusQAsum;
+    const skipped = new Set(['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE']);
+    const ownText = el => Array.from(el.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 80);
+
+    const nodes = [];
+
+    const visit = (el, parent) => {
+      if (nodes.length >= maxElements || skipped.has(el.tagName)) return;
+
+      const attributes = {};
+      for (const attr of el.attributes) {
+        if (!['id', 'class', 'style', 'data-testid'].includes(attr.name)) {
+          attributes[attr.name] = attr.value;
+        }
+      }
+
+      const index = nodes.length;
+      nodes.push({
+        index,
+        parent,
+        tag: el.tagName.toLowerCase(),
+        id: el.id || null,
+        testId: el.getAttribute('data-testid'),
+        role: accessibleRole(el),
+        text: ownText(el) || (el.getAttribute('aria-label') || el.getAttribute('alt') || '').trim().slice(0, 80),
+        classes: Array.from(el.classList),
+        attributes,
+        selector: uniqueSelector(el),
+        path: tagClassPath(el)
+      });
+
+      for (const child of el.children) {
+        visit(child, index);
+      }
+    };
+
+    visit(root, null);
+    return nodes;
+  }, { rootSelector, maxElements });
+}
+
+/**
+ * Pairs up design and implementation nodes. Passes run from the most to the
+ * least specific identity: id, data-testid, role + text, tag + text, and
+ * finally position among the children of already matched parents.
+ */
+function matchNodes(design, impl) {
+  const designToImpl = new Map();
+  const implToDesign = new Map();
+
+  const pair = (d, i) => {
+    designToImpl.set(d.index, i.index);
+    implToDesign.set(i.index, d.index);
+  };
+
+  const matchBy = keyOf => {
+    const candidates = new Map();
+    for (const node of impl) {
+      if (implToDesign.has(node.index)) continue;
+      const key = keyOf(node);
+      if (!key) continue;
+      if (!candidates.has(key)) candidates.set(key, []);
+      candidates.get(key).push(node);
+    }
+
+    for (const node of design) {
+      if (designToImpl.has(node.index)) continue;
+      const key = keyOf(node);
+      const queue = key && candidates.get(key);
+      if (queue && queue.length > 0) {
+        pair(node, queue.shift());
+      }
+    }
+  };
+
+  // The roots always correspond to each other
+  if (design.length > 0 && impl.length > 0) {
+    pair(design[0], impl[0]);
+  }
+
+  matchBy(node => node.id && `${node.tag}#${node.id}`);
+  matchBy(node => node.testId && `testid:${node.testId}`);
+  matchBy(node => node.role && node.text && `${node.role}|${node.text}`);
+  matchBy(node => node.text && `${node.tag}|${node.text}`);
+
+  // Propagate identity matches upwards: unmatched parents of a matched pair
+  // with the same tag are the same wrapper (e.g. the <li> around a link)
+  for (let index = design.length - 1; index >= 0; index--) {
+    const node = design[index];
+    if (node.parent === null || designToImpl.has(node.parent) || !designToImpl.has(node.index)) continue;
+
+    const implParent = impl[designToImpl.get(node.index)].parent;
+    if (implParent !== null && !implToDesign.has(implParent) && impl[implParent].tag === design[node.parent].tag) {
+      pair(design[node.parent], impl[implParent]);
+    }
+  }
+
+  // Structural pass: match remaining children of matched parents by tag and
+  // class overlap, in document order. Repeat until nothing new matches.
+  const childrenOf = nodes => {
+    const map = new Map();
+    for (const node of nodes) {
+      if (node.parent === null) continue;
+      if (!map.has(node.parent)) map.set(node.parent, []);
+      map.get(node.parent).push(node);
+    }
+    return map;
+  };
+  const designChildren = childrenOf(design);
+  const implChildren = childrenOf(impl);
+
+  let matchedSomething = true;
+  while (matchedSomething) {
+    matchedSomething = false;
+
+    for (const [designParent, implParent] of designToImpl) {
+      const pendingImpl = (implChildren.get(implParent) || []).filter(node => !implToDesign.has(node.index));
+      if (pendingImpl.length === 0) continue;
+
+      for (const node of designChildren.get(designParent) || []) {
+        if (designToImpl.has(node.index)) continue;
+
+        const candidate = pendingImpl.find(other =>
+          !implToDesign.has(other.index) &&
+          other.tag === node.tag &&
+          (node.classes.length === 0 || node.classes.some(cls => other.classes.includes(cls)))
+        );
+
+        if (candidate) {
+          pair(node, candidate);
+          matchedSomething = true;
+        }
+      }
+    }
+  }
+
+  return { designToImpl, implToDesign };
+}
+
+/**
+ * Indexes (into `sequence`) of a longest increasing subsequence
+ */
+function longestIncreasingSubsequence(sequence) {
+  const tails = [];
+  const previous = new Array(sequence.length).fill(-1);
+
+  sequence.forEach((value, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sequence[tails[mid]] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) previous[i] = tails[lo - 1];
+    tails[lo] = i;
+  });
+
+  const result = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    result.add(i);
+  }
+  return result;
+}
+
+const describeNode = node => ({
+  selector: node.selector,
+  path: node.path,
+  tag: node.tag,
+  text: node.text || undefined
+});
+
+/**
+ * Diffs two trees from collectDomTree.
+ *
+ * Reports elements removed from (missing in) the implementation, added to it,
+ * moved among their siblings, re-parented, and attribute/class changes on
+ * matched elements. Added and removed subtrees are reported once, at their top.
+ */
+export function diffDomTrees(design, impl, options = {}) {
+  const { maxChanges = 100 } = options;
+  const { designToImpl, implToDesign } = matchNodes(design, impl);
+
+  const removed = design
+    .filter(node => !designToImpl.has(node.index))
+    .filter(node => node.parent === null || designToImpl.has(node.parent))
+    .map(node => ({
+      ...describeNode(node),
+      descendants: countDescendants(design, node.index)
+    }));
+
+  const added = impl
+    .filter(node => !implToDesign.has(node.index))
+    .filter(node => node.parent === null || implToDesign.has(node.parent))
+    .map(node => ({
+      ...describeNode(node),
+      descendants: countDescendants(impl, node.index)
+    }));
+
+  const reparented = [];
+  const attributeChanges = [];
+  const classChanges = [];
+  const siblingsByParent = new Map();
+
+  for (const [designIndex, implIndex] of designToImpl) {
+    const d = design[designIndex];
+    const i = impl[implIndex];
+
+    if (d.parent !== null && i.parent !== null) {
+      if (designToImpl.get(d.parent) !== i.parent) {
+        reparented.push({
+          ...describeNode(i),
+          designParent: design[d.parent].path,
+          implementationParent: impl[i.parent].path
+        });
+      } else {
+        if (!siblingsByParent.has(d.parent)) siblingsByParent.set(d.parent, []);
+        siblingsByParent.get(d.parent).push({ design: d, impl: i });
+      }
+    }
+
+    const names = new Set([...Object.keys(d.attributes), ...Object.keys(i.attributes)]);
+    for (const name of names) {
+      if (d.attributes[name] !== i.attributes[name]) {
+        attributeChanges.push({
+          ...describeNode(i),
+          attribute: name,
+          design: d.attributes[name] === undefined ? null : d.attributes[name],
+          implementation: i.attributes[name] === undefined ? null : i.attributes[name]
+        });
+      }
+    }
+
+    const addedClasses = i.classes.filter(cls => !d.classes.includes(cls));
+    const removedClasses = d.classes.filter(cls => !i.classes.includes(cls));
+    if (addedClasses.length > 0 || removedClasses.length > 0) {
+      classChanges.push({ ...describeNode(i), added: addedClasses, removed: removedClasses });
+    }
+  }
+
+  // Siblings outside the longest run that kept its order count as moved
+  const moved = [];
+  for (const siblings of siblingsByParent.values()) {
+    siblings.sort((a, b) => a.design.index - b.design.index);
+    const keep = longestIncreasingSubsequence(siblings.map(sibling => sibling.impl.index));
+    siblings.forEach((sibling, position) => {
+      if (!keep.has(position)) {
+        moved.push(describeNode(sibling.impl));
+      }
+    });
+  }
+
+  return {
+    summary: {
+      designElements: design.length,
+      implementationElements: impl.length,
+      matched: designToImpl.size,
+      removed: removed.length,
+      added: added.length,
+      moved: moved.length,
+      reparented: reparented.length,
+      attributeChanges: attributeChanges.length,
+      classChanges: classChanges.length
+    },
+    removed: removed.slice(0, maxChanges),
+    added: added.slice(0, maxChanges),
+    moved: moved.slice(0, maxChanges),
+    reparented: reparented.slice(0, maxChanges),
+    attributeChanges: attributeChanges.slice(0, maxChanges),
+    classChanges: classChanges.slice(0, maxChanges)
+  };
+}
+
+function countDescendants(nodes, index) {
+  const inSubtree = new Set([index]);
+  for (const node of nodes) {
+    if (node.parent !== null && inSubtree.has(node.parent)) {
+      inSubtree.add(node.index);
+    }
+  }
+  return inSubtree.size - 1;
+}
@@ -0,0 +1,132 @@
+import { placeRect } from './image-utils.js';
+import { installPageHelpers } from './page-helpers.js';
+
+/**
+ * Collects the boxes of all visible elements inside `rootSelector`, together
+ * with a unique CSS selector and a tag/class path for each of them.
+ *
+ * Boxes are relative to the root element and in screenshot pixels (CSS pixels
+ * × devicePixelRatio), so they line up with `element.screenshot()` output.
+ */
+export async function collectElementBoxes(page, rootSelector = 'body', options = {}) {
+  const { maxElements = 2000 } = options;
+
+  await installPageHelpers(page);
+
+  return page.evaluate(({ rootSelector, maxElements }) => {
+    const root = document.querySelector(rootSelector);
+    if (!root) {
+      return [];
+    }
+
+    const { uniqueSelector, tagClassPath, captureRect } = window.__oculusQAsum;
+
+    const dpr = window.devicePixelRatio || 1;
+    const rootRect = captureRect(root);
+    const elements = [root, ...root.querySelectorAll('*')];
+    const boxes = [];
+
+    for (const el of elements) {
+      if (boxes.length >= maxElements) break;
+
+      const rect = captureRect(el);
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const style = window.getComputedStyle(el);
+      if (style.visibility === 'hidden' || style.display === 'none' || style.opacity === '0') continue;
+
+      boxes.push({
+        selector: uniqueSelector(el),
+        path: tagClassPath(el),
+        tag: el.tagName.toLowerCase(),
+        classes: Array.from(el.classList),
+        box: {
+          x: Math.round((rect.left - rootRect.left) * dpr),
+          y: Math.round((rect.top - rootRect.top) * dpr),
+          width: Math.round(rect.width * dpr),
+          height: Math.round(rect.height * dpr)
+        }
+      });
+    }
+
+    return boxes;
+  }, { rootSelector, maxElements });
+}
+
+function intersectionArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Attaches the elements that best explain each diff region.
+ *
+ * An element is a candidate when it covers a good part of the region or lies
+ * mostly inside it. Candidates from both pages are ranked by intersection over
+ * union, so the element that tightly wraps a change wins over its ancestors.
+ * Returns new region objects with an `elements` list, best match first.
+ */
+export function mapRegionsToElements(regions, elementsBySource, options = {}) {
+  const {
+    maxElementsPerRegion = 3,
+    minCoverage = 0.3,
+    placement = {}
+  } = options;
+
+  const candidates = [];
+  for (const [source, elements] of Object.entries(elementsBySource)) {
+    for (const element of elements || []) {
+      candidates.push({ source, element, box: placeRect(element.box, placement[source]) });
+    }
+  }
+
+  return regions.map(region => {
+    const regionArea = region.bbox.width * region.bbox.height;
+    const matches = new Map();
+
+    for (const { source, element, box } of candidates) {
+      const overlap = intersectionArea(region.bbox, box);
+      if (overlap === 0) continue;
+
+      const elementArea = box.width * box.height;
+      if (overlap / regionArea < minCoverage && overlap / elementArea < 0.5) continue;
+
+      const iou = overlap / (regionArea + elementArea - overlap);
+
+      // Keep the best score per selector across both pages
+      const existing = matches.get(element.selector);
+      if (!existing || existing.overlap < iou) {
+        matches.set(element.selector, {
+          selector: element.selector,
+          path: element.path,
+          source,
+          overlap: iou
+        });
+      }
+    }
+
+    const elements = [...matches.values()]
+      .sort((a, b) => b.overlap - a.overlap)
+      .slice(0, maxElementsPerRegion)
+      .map(match => ({ ...match, overlap: Number(match.overlap.toFixed(3)) }));
+
+    return { ...region, elements };
+  });
+}
+
+/**
+ * Returns the selectors of the best matching element per region, most
+ * significant region first, without duplicates
+ */
+export function changedSelectors(regions = [], limit = 5) {
+  const selectors = [];
+  for (const region of regions) {
+    const best = region.elements && region.elements[0];
+    if (best && !selectors.includes(best.selector)) {
+      selectors.push(best.selector);
+    }
+    if (selectors.length >= limit) break;
+  }
+  return selectors;
+}
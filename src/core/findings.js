@@ -0,0 +1,145 @@
+import { FINDING_SEVERITIES } from './llm-findings.js';
+import { describeStyleDifference } from './style-diff.js';
+import { describeTokenViolation } from './token-check.js';
+import { describeGeometryChange } from './geometry-diff.js';
+import { describeRegion } from './diff-regions.js';
+import { describeColorSwap } from './color-diff.js';
+
+/**
+ * Findings of a result from every check that ran, in the shape of LLM
+ * findings (see llm-findings.js) plus the `check` they came from: llm, dom,
+ * style, geometry, tokens or figma for runComparison() results. Monitoring
+ * results from LiveMonitor.runCheck() have no element checks, so their
+ * color swaps and changed regions (check: pixels, category: region) stand in.
+ *
+ * Rule-based checks get fixed severities: elements missing from the
+ * implementation are high, extra elements and style and spec mismatches
+ * medium, moved elements and off-token values low. Geometry, spec
+ * and color deltas are ranked by size (see pxSeverity and colorSeverity).
+ */
+
+/**
+ * Severity of a length difference in CSS px
+ */
+const pxSeverity = delta => (Math.abs(delta) >= 16 ? 'high' : Math.abs(delta) >= 4 ? 'medium' : 'low');
+
+/**
+ * Severity of a ΔE2000 color difference
+ */
+const colorSeverity = deltaE => (deltaE >= 10 ? 'high' : deltaE >= 5 ? 'medium' : 'low');
+
+/**
+ * Finding category of a CSS property, e.g. spacing for padding-left
+ */
+function propertyCategory(property) {
+  if (/color$|shadow$|^(fill|stroke|opacity)$/.test(property)) return 'color';
+  if (/^(font|line-height|letter-spacing|word-spacing|text-)/.test(property)) return 'typography';
+  if (/^(margin|padding|gap|row-gap|column-gap|width|height|min-|max-|border-radius|border.*width)/.test(property)) return 'spacing';
+  return 'alignment';
+}
+
+const finding = (check, category, severity, description, selector = null, suggestedChange = null, bbox = null) =>
+  ({ check, category, severity, description, bbox, selector, suggestedChange });
+
+function domFindings(analysis) {
+  const label = node => `${node.tag}${node.text ? ` "${node.text}"` : ''}`;
+  const subtree = node => (node.descendants ? ` and ${node.descendants} descendants` : '');
+  return [
+    ...analysis.removed.map(node =>
+      finding('dom', 'missing-element', 'high', `${label(node)}${subtree(node)} missing in implementation`, node.selector)),
+    ...analysis.added.map(node =>
+      finding('dom', 'missing-element', 'medium', `${label(node)}${subtree(node)} not in design`, node.selector)),
+    ...analysis.moved.map(node =>
+      finding('dom', 'alignment', 'low', `${label(node)} changed position among its siblings`, node.selector)),
+    ...analysis.reparented.map(node =>
+      finding('dom', 'alignment', 'low', `${label(node)} moved from ${node.designParent} to ${node.implementationParent}`, node.selector))
+  ];
+}
+
+function styleFindings(analysis) {
+  return analysis.differences.map(difference => finding(
+    'style',
+    propertyCategory(difference.property),
+    'medium',
+    describeStyleDifference(difference),
+    difference.selector,
+    { property: difference.property, from: difference.implementation, to: difference.design }
+  ));
+}
+
+function geometryFindings(analysis) {
+  return analysis.changes.map(change => {
+    const delta = change.type === 'position'
+      ? Math.max(Math.abs(change.delta.x), Math.abs(change.delta.y))
+      : change.type === 'size'
+        ? Math.max(Math.abs(change.delta.width), Math.abs(change.delta.height))
+        : change.delta;
+    return finding(
+      'geometry',
+      change.type === 'position' ? 'alignment' : 'spacing',
+      pxSeverity(delta),
+      describeGeometryChange(change),
+      change.selector
+    );
+  });
+}
+
+function tokenFindings(analysis) {
+  return analysis.violations.map(violation => finding(
+    'tokens',
+    violation.type === 'color' ? 'color' : violation.type === 'dimension' ? 'spacing' : 'typography',
+    'low',
+    `Off-token value ${describeTokenViolation(violation)}`,
+    violation.selectors[0] || null,
+    violation.suggestion ? { property: violation.property, from: violation.value, to: violation.suggestion.value } : null
+  ));
+}
+
+function figmaFindings(analysis) {
+  return analysis.findings.map(mismatch => {
+    // x and y are offsets inside the frame, not CSS properties
+    const offset = mismatch.property === 'x' || mismatch.property === 'y';
+    const css = value => (typeof value === 'number' && mismatch.property !== 'font-weight' ? `${value}px` : String(value));
+    return finding(
+      'figma',
+      offset ? 'alignment' : propertyCategory(mismatch.property),
+      mismatch.delta !== null ? pxSeverity(mismatch.delta) : 'medium',
+      `${mismatch.path}: ${mismatch.message}`,
+      mismatch.selector,
+      offset ? null : { property: mismatch.property, from: css(mismatch.actual), to: css(mismatch.expected) }
+    );
+  });
+}
+
+function pixelFindings(result) {
+  const alert = result.status === 'alert';
+  return [
+    ...(result.colorSwaps || []).map(swap =>
+      finding('pixels', 'color', colorSeverity(swap.deltaE), `Color ${describeColorSwap(swap)}`)),
+    ...(result.regions || []).map(region =>
+      finding('pixels', 'region', alert ? 'medium' : 'low', `Changed region ${describeRegion(region)}`, null, null, region.bbox))
+  ];
+}
+
+/**
+ * Collects the findings of a runComparison() or LiveMonitor.runCheck()
+ * result, most severe first
+ */
+export function collectFindings(result) {
+  const findings = [];
+  if (!result.pixelDiff) {
+    findings.push(...pixelFindings(result));
+  } else {
+    const { llmAnalysis, domAnalysis, styleAnalysis, geometryAnalysis, tokenAnalysis, figmaAnalysis } = result;
+    if (llmAnalysis && llmAnalysis.findings) {
+      findings.push(...llmAnalysis.findings.map(llmFinding => ({ check: 'llm', ...llmFinding })));
+    }
+    if (domAnalysis) findings.push(...domFindings(domAnalysis));
+    if (styleAnalysis) findings.push(...styleFindings(styleAnalysis));
+    if (geometryAnalysis) findings.push(...geometryFindings(geometryAnalysis));
+    if (tokenAnalysis) findings.push(...tokenFindings(tokenAnalysis));
+    if (figmaAnalysis) findings.push(...figmaFindings(figmaAnalysis));
+  }
+
+  return findings.sort((a, b) => FINDING_SEVERITIES.indexOf(a.severity) - FINDING_SEVERITIES.indexOf(b.severity));
+}
@@ -2,6 +2,7 @@ import { OpenAI } from 'openai';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { formatSuggestedChange } from './llm-findings.js';
 
 // Get directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -107,6 +108,15 @@ export class FixGenerator {
       ? this._extractRelevantCodeSection(sourceCode, this.config.maxContextSize)
       : sourceCode;
     
+    // Elements the changed regions were traced back to, if pages were captured
+    const changedElements = this._formatChangedElements(comparisonResults);
+    const styleDifferences = this._formatStyleDifferences(comparisonResults);
+    const colorSwaps = this._formatColorSwaps(comparisonResults);
+    const tokenViolations = this._formatTokenViolations(comparisonResults);
+    const geometryChanges = this._formatGeometryChanges(comparisonResults);
+    const figmaFindings = this._formatFigmaFindings(comparisonResults);
+    const llmFindings = this._formatLLMFindings(comparisonResults);
+    
     // Format prompt based on LLM provider
     if (this.config.llm.provider === 'openai') {
       return [
@@ -140,9 +150,13 @@ export class FixGenerator {
           - Pixel Difference: ${(comparisonResults.pixelDiff.diffPercentage * 100).toFixed(2)}%
           - Structural Difference: ${(comparisonResults.structuralDiff.structuralDiffPercentage * 100).toFixed(2)}%
           
-          ${comparisonResults.llmAnalysis && comparisonResults.llmAnalysis.enabled ? 
-            `## AI Analysis of Visual Issues\n\n${comparisonResults.llmAnalysis.analysis}\n\n` : 
-            ''}
+          ${changedElements ? `## Changed Elements\n\n${changedElements}\n\n` : ''}
+          ${styleDifferences ? `## Computed Style Differences\n\n${styleDifferences}\n\n` : ''}
+          ${colorSwaps ? `## Color Swaps\n\n${colorSwaps}\n\n` : ''}
+          ${tokenViolations ? `## Values Outside the Design Tokens\n\n${tokenViolations}\n\n` : ''}
+          ${geometryChanges ? `## Element Geometry Differences\n\n${geometryChanges}\n\n` : ''}
+          ${figmaFindings ? `## Differences From the Figma Specs\n\n${figmaFindings}\n\n` : ''}
+          ${llmFindings ? `## AI Analysis of Visual Issues\n\n${llmFindings}\n\n` : ''}
           
           ## Current Source Code
           
@@ -168,9 +182,13 @@ Visual Differences:
 - Pixel Difference: ${(comparisonResults.pixelDiff.diffPercentage * 100).toFixed(2)}%
 - Structural Difference: ${(comparisonResults.structuralDiff.structuralDiffPercentage * 100).toFixed(2)}%
 
-${comparisonResults.llmAnalysis && comparisonResults.llmAnalysis.enabled ? 
-  `AI Analysis of Issues:\n${comparisonResults.llmAnalysis.analysis}\n\n` : 
-  ''}
+${changedElements ? `Changed Elements:\n${changedElements}\n\n` : ''}
+${styleDifferences ? `Computed Style Differences:\n${styleDifferences}\n\n` : ''}
+${colorSwaps ? `Color Swaps:\n${colorSwaps}\n\n` : ''}
+${tokenViolations ? `Values Outside the Design Tokens:\n${tokenViolations}\n\n` : ''}
+${geometryChanges ? `Element Geometry Differences:\n${geometryChanges}\n\n` : ''}
+${figmaFindings ? `Differences From the Figma Specs:\n${figmaFindings}\n\n` : ''}
+${llmFindings ? `AI Analysis of Issues:\n${llmFindings}\n\n` : ''}
 
 Source Code:
 ${relevantCode}
@@ -187,9 +205,13 @@ I need your help fixing visual inconsistencies in a UI component.
 - Pixel Difference: ${(comparisonResults.pixelDiff.diffPercentage * 100).toFixed(2)}%
 - Structural Difference: ${(comparisonResults.structuralDiff.structuralDiffPercentage * 100).toFixed(2)}%
 
-${comparisonResults.llmAnalysis && comparisonResults.llmAnalysis.enabled ? 
-  `## AI Analysis of Visual Issues\n\n${comparisonResults.llmAnalysis.analysis}\n\n` : 
-  ''}
+${changedElements ? `## Changed Elements\n\n${changedElements}\n\n` : ''}
+${styleDifferences ? `## Computed Style Differences\n\n${styleDifferences}\n\n` : ''}
+${colorSwaps ? `## Color Swaps\n\n${colorSwaps}\n\n` : ''}
+${tokenViolations ? `## Values Outside the Design Tokens\n\n${tokenViolations}\n\n` : ''}
+${geometryChanges ? `## Element Geometry Differences\n\n${geometryChanges}\n\n` : ''}
+${figmaFindings ? `## Differences From the Figma Specs\n\n${figmaFindings}\n\n` : ''}
+${llmFindings ? `## AI Analysis of Visual Issues\n\n${llmFindings}\n\n` : ''}
 
 Please provide:
 1. A fixed version of the entire component code
@@ -197,6 +219,120 @@ Please provide:
     }
   }
   
+  /**
+   * List the selectors behind the changed regions so the LLM knows which rules to touch
+   */
+  _formatChangedElements(comparisonResults) {
+    const regions = (comparisonResults.pixelDiff && comparisonResults.pixelDiff.regions) || [];
+    
+    return regions
+      .filter(region => region.elements && region.elements.length > 0)
+      .map(region => {
+        const [element] = region.elements;
+        const { x, y, width, height } = region.bbox;
+        return `- \`${element.selector}\` (${element.path}) changed at (${x}, ${y}), ${width}×${height}px`;
+      })
+      .join('\n');
+  }
+  
+  /**
+   * List exact computed-style mismatches (design value vs implementation value)
+   */
+  _formatStyleDifferences(comparisonResults, limit = 30) {
+    const analysis = comparisonResults.styleAnalysis;
+    if (!analysis || !analysis.differences) {
+      return '';
+    }
+    
+    return analysis.differences
+      .slice(0, limit)
+      .map(diff => `- \`${diff.selector}\` ${diff.property}: expected \`${diff.design}\`, found \`${diff.implementation}\``)
+      .join('\n');
+  }
+  
+  /**
+   * List design colors that were consistently rendered as another color
+   */
+  _formatColorSwaps(comparisonResults) {
+    const analysis = comparisonResults.pixelDiff && comparisonResults.pixelDiff.colorAnalysis;
+    if (!analysis || !analysis.swaps) {
+      return '';
+    }
+    
+    return analysis.swaps
+      .map(swap => `- design color \`${swap.design}\` rendered as \`${swap.implementation}\` (ΔE ${swap.deltaE}, ${swap.pixels}px around (${swap.bbox.x}, ${swap.bbox.y}))`)
+      .join('\n');
+  }
+  
+  /**
+   * List off-token values with the token that should be used instead
+   */
+  _formatTokenViolations(comparisonResults, limit = 20) {
+    const analysis = comparisonResults.tokenAnalysis;
+    if (!analysis || !analysis.violations) {
+      return '';
+    }
+    
+    return analysis.violations
+      .slice(0, limit)
+      .map(violation => `- ${violation.property} \`${violation.value}\` on ${violation.selectors.map(sel => `\`${sel}\``).join(', ')}${violation.suggestion ? `: use token \`${violation.suggestion.token}\` (\`${violation.suggestion.value}\`)` : ''}`)
+      .join('\n');
+  }
+  
+  /**
+   * List position, size and gap deltas of elements matched between design and
+   * implementation
+   */
+  _formatGeometryChanges(comparisonResults, limit = 30) {
+    const analysis = comparisonResults.geometryAnalysis;
+    if (!analysis || !analysis.changes) {
+      return '';
+    }
+    
+    return analysis.changes
+      .slice(0, limit)
+      .map(change => `- \`${change.selector}\` ${change.type}: ${change.message}`)
+      .join('\n');
+  }
+  
+  /**
+   * List element geometry and styles that differ from the Figma layer specs
+   */
+  _formatFigmaFindings(comparisonResults, limit = 30) {
+    const analysis = comparisonResults.figmaAnalysis;
+    if (!analysis || !analysis.findings) {
+      return '';
+    }
+    
+    return analysis.findings
+      .slice(0, limit)
+      .map(finding => `- \`${finding.selector}\` (Figma layer "${finding.path}"): ${finding.message}`)
+      .join('\n');
+  }
+  
+  /**
+   * List the vision model's findings with their suggested CSS changes, or its
+   * raw answer if it did not match the findings schema
+   */
+  _formatLLMFindings(comparisonResults) {
+    const analysis = comparisonResults.llmAnalysis;
+    if (!analysis || !analysis.enabled) {
+      return '';
+    }
+    if (!analysis.findings || !analysis.valid) {
+      return analysis.analysis;
+    }
+    
+    return [
+      analysis.summary,
+      ...analysis.findings.map(finding => {
+        const bbox = finding.bbox ? ` at (${finding.bbox.x}, ${finding.bbox.y}), ${finding.bbox.width}×${finding.bbox.height}px` : '';
+        const change = finding.suggestedChange ? `; suggested: \`${formatSuggestedChange(finding)}\`` : '';
+        return `- [${finding.severity}] ${finding.category}: ${finding.description}${finding.selector ? ` on \`${finding.selector}\`` : ''}${bbox}${change}`;
+      })
+    ].join('\n');
+  }
+  
   /**
    * Call appropriate LLM API to generate fix
    */
@@ -0,0 +1,242 @@
+import { promises as fs } from 'fs';
+import { PNG } from 'pngjs';
+import { createImage } from './image-utils.js';
+
+const HIDDEN_MARKER = 'data-oculus-qasum-hidden';
+
+/**
+ * Finds what to scroll for a full-page capture of `selector` and measures it
+ * (CSS pixels, relative to the viewport with everything scrolled to the top).
+ *
+ * The scroll container is `container` if given, else the root element itself
+ * if it scrolls, else its descendant with the most hidden content, else the
+ * document when the root is <body> or <html>. Returns null when there is
+ * nothing to scroll.
+ */
+async function measureScroller(page, selector, container) {
+  return page.evaluate(({ selector, container }) => {
+    // Forget the layout of an earlier capture
+    window.__oculusQAsumFullPage = null;
+    for (const el of document.querySelectorAll('[data-oculus-qasum-scroller]')) {
+      el.removeAttribute('data-oculus-qasum-scroller');
+    }
+
+    const root = document.querySelector(selector);
+    if (!root) {
+      throw new Error(`Element not found: ${selector}`);
+    }
+
+    const scrolls = el => {
+      const { overflowY } = getComputedStyle(el);
+      return /(auto|scroll|overlay)/.test(overflowY) && el.scrollHeight > el.clientHeight + 1;
+    };
+
+    let scroller = container ? document.querySelector(container) : null;
+    if (container && !scroller) {
+      throw new Error(`Scroll container not found: ${container}`);
+    }
+    if (!scroller && scrolls(root)) {
+      scroller = root;
+    }
+    if (!scroller) {
+      let mostHidden = 0;
+      for (const el of root.querySelectorAll('*')) {
+        const hidden = el.scrollHeight - el.clientHeight;
+        if (hidden > mostHidden && scrolls(el)) {
+          mostHidden = hidden;
+          scroller = el;
+        }
+      }
+    }
+
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = document.documentElement.clientHeight;
+    window.scrollTo(0, 0);
+
+    const clip = rect => {
+      const x = Math.max(rect.left, 0);
+      const y = Math.max(rect.top, 0);
+      return {
+        x,
+        y,
+        width: Math.max(Math.min(rect.right, viewportWidth) - x, 0),
+        height: Math.max(Math.min(rect.bottom, viewportHeight) - y, 0)
+      };
+    };
+
+    if (!scroller) {
+      const rect = root.getBoundingClientRect();
+      const bottom = Math.max(rect.bottom, document.documentElement.scrollHeight);
+      if ((root !== document.body && root !== document.documentElement) || bottom <= viewportHeight) {
+        return null;
+      }
+      return {
+        document: true,
+        root: clip(rect),
+        frame: { x: 0, y: 0, width: viewportWidth, height: viewportHeight },
+        hidden: bottom - viewportHeight
+      };
+    }
+
+    scroller.scrollTop = 0;
+    const box = scroller.getBoundingClientRect();
+    const frame = clip({
+      left: box.left + scroller.clientLeft,
+      top: box.top + scroller.clientTop,
+      right: box.left + scroller.clientLeft + scroller.clientWidth,
+      bottom: box.top + scroller.clientTop + scroller.clientHeight
+    });
+
+    scroller.setAttribute('data-oculus-qasum-scroller', '');
+    return {
+      document: false,
+      root: clip(root.getBoundingClientRect()),
+      frame,
+      hidden: scroller.scrollHeight - scroller.clientHeight
+    };
+  }, { selector, container });
+}
+
+/**
+ * Scrolls the measured scroller to `offset` and returns the actual position
+ */
+async function scrollTo(page, isDocument, offset) {
+  return page.evaluate(({ isDocument, offset }) => {
+    if (isDocument) {
+      window.scrollTo(0, offset);
+      return window.scrollY;
+    }
+    const scroller = document.querySelector('[data-oculus-qasum-scroller]');
+    scroller.scrollTop = offset;
+    return scroller.scrollTop;
+  }, { isDocument, offset });
+}
+
+/**
+ * Hides fixed and sticky elements visible inside `area` so they are not
+ * repeated in every tile
+ */
+async function hidePinnedElements(page, area) {
+  await page.evaluate(({ area, marker }) => {
+    for (const el of document.querySelectorAll('body *')) {
+      const { position } = getComputedStyle(el);
+      if (position !== 'fixed' && position !== 'sticky') continue;
+
+      const rect = el.getBoundingClientRect();
+      const visible = rect.width > 0 && rect.height > 0 &&
+        rect.right > area.x && rect.left < area.x + area.width &&
+        rect.bottom > area.y && rect.top < area.y + area.height;
+      if (visible) {
+        el.setAttribute(marker, el.style.getPropertyValue('visibility'));
+        el.style.setProperty('visibility', 'hidden', 'important');
+      }
+    }
+  }, { area, marker: HIDDEN_MARKER });
+}
+
+/**
+ * Undoes the capture's changes to the page. With the `stitched` layout of a
+ * finished capture, the scroll container stays marked so that
+ * captureRect() (see page-helpers.js) places elements as in the image.
+ */
+async function restorePage(page, stitched = null) {
+  await page.evaluate(({ marker, stitched }) => {
+    for (const el of document.querySelectorAll(`[${marker}]`)) {
+      const visibility = el.getAttribute(marker);
+      el.style.removeProperty('visibility');
+      if (visibility) el.style.setProperty('visibility', visibility);
+      el.removeAttribute(marker);
+    }
+    const scroller = document.querySelector('[data-oculus-qasum-scroller]');
+    if (scroller) {
+      scroller.scrollTop = 0;
+      if (!stitched) scroller.removeAttribute('data-oculus-qasum-scroller');
+    }
+    window.scrollTo(0, 0);
+    window.__oculusQAsumFullPage = stitched;
+  }, { marker: HIDDEN_MARKER, stitched });
+}
+
+/**
+ * Captures `selector` including content hidden in its scroll container.
+ *
+ * The first tile is the element as visible in the viewport. The scroll
+ * container (see measureScroller) is then scrolled one screen at a time with
+ * fixed and sticky elements from the first tile hidden, and each tile is
+ * stitched in at its scroll offset. Content of the element below the scroll
+ * container (e.g. an app shell's footer) is moved down accordingly; areas
+ * beside the container that never scroll into view stay white.
+ *
+ * Element boxes measured afterwards with captureRect() (page-helpers.js)
+ * match the stitched image.
+ *
+ * Elements without anything to scroll are captured with element.screenshot().
+ * Options: `container` (scroll container selector), `maxHeight` (CSS px),
+ * `settle` (ms to wait after each scroll) and `path` to write the PNG to.
+ * Returns the PNG buffer, like element.screenshot().
+ */
+export async function captureFullPage(page, selector, options = {}) {
+  const { container = null, maxHeight = 20000, settle = 150, path: outputPath } = options;
+
+  const layout = await measureScroller(page, selector, container);
+  if (!layout || layout.frame.height === 0 || layout.root.width === 0) {
+    if (layout) await restorePage(page);
+    const element = await page.$(selector);
+    return element.screenshot(outputPath ? { path: outputPath } : {});
+  }
+
+  const { root, frame } = layout;
+  const hidden = Math.max(Math.min(layout.hidden, maxHeight - root.height), 0);
+  let stitched = null;
+
+  try {
+    const first = PNG.sync.read(await page.screenshot({ clip: root }));
+    const scale = first.width / root.width;
+    const px = value => Math.round(value * scale);
+
+    const out = createImage(first.width, px(root.height + hidden), [255, 255, 255, 255]);
+    const blit = (img, srcY, height, destX, destY) => {
+      const rows = Math.min(height, img.height - srcY, out.height - destY);
+      const columns = Math.min(img.width, out.width - destX);
+      if (rows > 0 && columns > 0 && destX >= 0 && destY >= 0) {
+        PNG.bitblt(img, out, 0, srcY, columns, rows, destX, destY);
+      }
+    };
+
+    // First tile: everything above the bottom of the scroll frame in place,
+    // everything below it moved down by the hidden content height
+    const frameBottom = px(frame.y + frame.height - root.y);
+    blit(first, 0, frameBottom, 0, 0);
+    blit(first, frameBottom, first.height - frameBottom, 0, frameBottom + px(hidden));
+
+    await hidePinnedElements(page, root);
+
+    const tileClip = {
+      x: Math.max(frame.x, root.x),
+      y: Math.max(frame.y, root.y),
+      width: Math.min(frame.x + frame.width, root.x + root.width) - Math.max(frame.x, root.x),
+      height: Math.min(frame.y + frame.height, root.y + root.height) - Math.max(frame.y, root.y)
+    };
+
+    let offset = 0;
+    while (offset < hidden && tileClip.width > 0 && tileClip.height > 0) {
+      const position = await scrollTo(page, layout.document, Math.min(offset + tileClip.height, hidden));
+      if (position <= offset) break;
+      offset = position;
+      if (settle > 0) await page.waitForTimeout(settle);
+
+      const tile = PNG.sync.read(await page.screenshot({ clip: tileClip }));
+      blit(tile, 0, tile.height, px(tileClip.x - root.x), px(tileClip.y - root.y + offset));
+    }
+
+    const buffer = PNG.sync.write(out);
+    if (outputPath) {
+      await fs.writeFile(outputPath, buffer);
+    }
+    // Viewport y at which the first tile was split, and how far it moved
+    stitched = { frameBottom: frame.y + frame.height, shift: hidden };
+    return buffer;
+  } finally {
+    await restorePage(page, stitched);
+  }
+}
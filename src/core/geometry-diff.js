@@ -0,0 +1,298 @@
+import { installPageHelpers } from './page-helpers.js';
+
+/**
+ * Element geometry of the design page and the implementation, compared in
+ * CSS px.
+ *
+ * Elements are matched by configured `selectors` (in document order when a
+ * selector matches several), id, data-testid and accessible role and name,
+ * e.g. link "Pricing". Unnamed wrappers take no part. For every matched pair
+ * the position (relative to the nearest matched ancestor, so a shifted
+ * container is reported once rather than with all of its content), the size
+ * and the gap to the next matched sibling are compared against `tolerance`.
+ */
+
+export const DEFAULT_GEOMETRY_OPTIONS = {
+  enabled: true,
+  selectors: [], // extra selectors to match elements by, e.g. '.nav-links > a'
+  tolerance: {
+    position: 1, // px
+    size: 1, // px
+    gap: 1 // px
+  },
+  maxElements: 1000,
+  maxChanges: 100
+};
+
+/**
+ * Collects the identifiable elements under `rootSelector`: [{ index, parent,
+ * keys, label, selector, box }] where `parent` is the index of the nearest
+ * collected ancestor (the root is index 0) and `box` is relative to the root.
+ */
+export async function collectElementGeometry(page, rootSelector = 'body', options = {}) {
+  const { selectors = [], maxElements = 1000 } = options;
+
+  await installPageHelpers(page);
+
+  return page.evaluate(({ rootSelector, selectors, maxElements }) => {
+    const root = document.querySelector(rootSelector);
+    if (!root) {
+      return [];
+    }
+
+    const { uniqueSelector, accessibleRole, accessibleName, captureRect } = window.__oculusQAsum;
+    const rootRect = captureRect(root);
+    const matchesSelector = (el, selector) => {
+      try {
+        return el.matches(selector);
+      } catch (error) {
+        return false;
+      }
+    };
+
+    const elements = [];
+    const visit = (el, parent) => {
+      if (elements.length >= maxElements) return;
+
+      const rect = captureRect(el);
+      const style = window.getComputedStyle(el);
+      const visible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+
+      const role = accessibleRole(el);
+      const name = accessibleName(el);
+      const testId = el.getAttribute('data-testid');
+      const keys = [
+        ...selectors.filter(selector => matchesSelector(el, selector)).map(selector => `selector:${selector}`),
+        el.id ? `id:${el.id}` : null,
+        testId ? `testid:${testId}` : null,
+        name ? `name:${role || el.tagName.toLowerCase()}|${name}` : null
+      ].filter(Boolean);
+
+      let index = parent;
+      if (el === root || (visible && keys.length > 0)) {
+        index = elements.length;
+        elements.push({
+          index,
+          parent: el === root ? null : parent,
+          keys,
+          label: name
+            ? `${role || el.tagName.toLowerCase()} "${name}"`
+            : testId ? `[data-testid="${testId}"]` : uniqueSelector(el),
+          selector: uniqueSelector(el),
+          box: {
+            x: rect.left - rootRect.left,
+            y: rect.top - rootRect.top,
+            width: rect.width,
+            height: rect.height
+          }
+        });
+      }
+
+      for (const child of el.children) {
+        visit(child, index);
+      }
+    };
+
+    visit(root, null);
+    return elements;
+  }, { rootSelector, selectors, maxElements });
+}
+
+/**
+ * Pairs design and implementation elements, trying their keys in order
+ * (configured selector, id, data-testid, accessible name). Equal keys pair up
+ * in document order.
+ */
+function matchElements(design, impl) {
+  const designToImpl = new Map();
+  const implToDesign = new Map();
+  if (design.length > 0 && impl.length > 0) {
+    designToImpl.set(0, 0);
+    implToDesign.set(0, 0);
+  }
+
+  const rank = key => ['selector:', 'id:', 'testid:', 'name:'].findIndex(prefix => key.startsWith(prefix));
+  for (let pass = 0; pass < 4; pass++) {
+    const candidates = new Map();
+    for (const element of impl) {
+      if (implToDesign.has(element.index)) continue;
+      for (const key of element.keys.filter(candidate => rank(candidate) === pass)) {
+        if (!candidates.has(key)) candidates.set(key, []);
+        candidates.get(key).push(element);
+      }
+    }
+
+    for (const element of design) {
+      if (designToImpl.has(element.index)) continue;
+      for (const key of element.keys.filter(candidate => rank(candidate) === pass)) {
+        const queue = (candidates.get(key) || []).filter(candidate => !implToDesign.has(candidate.index));
+        if (queue.length > 0) {
+          designToImpl.set(element.index, queue[0].index);
+          implToDesign.set(queue[0].index, element.index);
+          candidates.set(key, queue.slice(1));
+          break;
+        }
+      }
+    }
+  }
+
+  return { designToImpl, implToDesign };
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Nearest ancestor of an element that was matched, or the root
+ */
+function matchedAncestor(elements, element, matched) {
+  let parent = element.parent;
+  while (parent !== null && !matched.has(parent)) {
+    parent = elements[parent].parent;
+  }
+  return parent === null ? 0 : parent;
+}
+
+/**
+ * Space between two boxes along the axis they are laid out on in the design
+ */
+function gapBetween(a, b, axis) {
+  return axis === 'horizontal' ? b.x - (a.x + a.width) : b.y - (a.y + a.height);
+}
+
+/**
+ * Diffs two element lists from collectElementGeometry.
+ *
+ * Returns { summary, elements, changes, unmatched } where `elements` records
+ * the boxes of every matched pair and `changes` lists the position, size and
+ * gap deltas beyond the tolerances, largest first, e.g. { type: 'gap',
+ * design: 40, implementation: 32, delta: -8, message: 'navigation "Main":
+ * gap between link "Home" and link "Pricing" 40px vs 32px' }.
+ */
+export function diffElementGeometry(design, impl, options = {}) {
+  const settings = { ...DEFAULT_GEOMETRY_OPTIONS, ...options };
+  const tolerance = { ...DEFAULT_GEOMETRY_OPTIONS.tolerance, ...options.tolerance };
+  const { designToImpl, implToDesign } = matchElements(design, impl);
+
+  const elements = [];
+  const changes = [];
+  const siblingsByParent = new Map();
+
+  for (const [designIndex, implIndex] of designToImpl) {
+    const d = design[designIndex];
+    const i = impl[implIndex];
+    elements.push({ label: d.label, selector: i.selector, design: d.box, implementation: i.box });
+    if (d.parent === null) continue;
+
+    // Position relative to the nearest matched ancestor on both sides
+    const designParent = matchedAncestor(design, d, designToImpl);
+    const implParent = matchedAncestor(impl, i, implToDesign);
+    const sameParent = designToImpl.get(designParent) === implParent;
+    const designOffset = { x: d.box.x - design[designParent].box.x, y: d.box.y - design[designParent].box.y };
+    const implOffset = { x: i.box.x - impl[implParent].box.x, y: i.box.y - impl[implParent].box.y };
+
+    const dx = implOffset.x - designOffset.x;
+    const dy = implOffset.y - designOffset.y;
+    if (Math.abs(dx) > tolerance.position || Math.abs(dy) > tolerance.position) {
+      changes.push({
+        type: 'position',
+        label: d.label,
+        selector: i.selector,
+        relativeTo: sameParent ? design[designParent].label : null,
+        design: { x: round(designOffset.x), y: round(designOffset.y) },
+        implementation: { x: round(implOffset.x), y: round(implOffset.y) },
+        delta: { x: round(dx), y: round(dy) },
+        magnitude: Math.max(Math.abs(dx), Math.abs(dy)),
+        message: `${d.label} at ${round(designOffset.x)}, ${round(designOffset.y)}px vs ${round(implOffset.x)}, ${round(implOffset.y)}px` +
+          (sameParent && designParent !== 0 ? ` in ${design[designParent].label}` : '')
+      });
+    }
+
+    const dw = i.box.width - d.box.width;
+    const dh = i.box.height - d.box.height;
+    if (Math.abs(dw) > tolerance.size || Math.abs(dh) > tolerance.size) {
+      changes.push({
+        type: 'size',
+        label: d.label,
+        selector: i.selector,
+        design: { width: round(d.box.width), height: round(d.box.height) },
+        implementation: { width: round(i.box.width), height: round(i.box.height) },
+        delta: { width: round(dw), height: round(dh) },
+        magnitude: Math.max(Math.abs(dw), Math.abs(dh)),
+        message: `${d.label} ${round(d.box.width)}×${round(d.box.height)}px vs ${round(i.box.width)}×${round(i.box.height)}px`
+      });
+    }
+
+    if (sameParent) {
+      if (!siblingsByParent.has(designParent)) siblingsByParent.set(designParent, []);
+      siblingsByParent.get(designParent).push({ design: d, impl: i });
+    }
+  }
+
+  // Gaps between consecutive matched siblings that kept their order
+  for (const [parent, siblings] of siblingsByParent) {
+    siblings.sort((a, b) => a.design.index - b.design.index);
+    for (let n = 1; n < siblings.length; n++) {
+      const previous = siblings[n - 1];
+      const next = siblings[n];
+      if (next.impl.index < previous.impl.index) continue;
+
+      const a = previous.design.box;
+      const b = next.design.box;
+      const axis = b.x >= a.x + a.width - 1 && b.y < a.y + a.height ? 'horizontal' : 'vertical';
+      const designGap = gapBetween(a, b, axis);
+      const implGap = gapBetween(previous.impl.box, next.impl.box, axis);
+      // Overlapping boxes (e.g. nested layouts, wrapped lines) have no gap to compare
+      if (designGap < 0 || implGap < 0) continue;
+
+      const delta = implGap - designGap;
+      if (Math.abs(delta) > tolerance.gap) {
+        const where = parent === 0 ? '' : `${design[parent].label}: `;
+        changes.push({
+          type: 'gap',
+          axis,
+          label: `${previous.design.label} → ${next.design.label}`,
+          selector: next.impl.selector,
+          design: round(designGap),
+          implementation: round(implGap),
+          delta: round(delta),
+          magnitude: Math.abs(delta),
+          message: `${where}gap between ${previous.design.label} and ${next.design.label} ${round(designGap)}px vs ${round(implGap)}px`
+        });
+      }
+    }
+  }
+
+  changes.sort((a, b) => b.magnitude - a.magnitude);
+  const unmatched = {
+    design: design.filter(element => !designToImpl.has(element.index)).map(element => element.label),
+    implementation: impl.filter(element => !implToDesign.has(element.index)).map(element => element.label)
+  };
+
+  return {
+    summary: {
+      designElements: design.length,
+      implementationElements: impl.length,
+      matched: designToImpl.size,
+      positionChanges: changes.filter(change => change.type === 'position').length,
+      sizeChanges: changes.filter(change => change.type === 'size').length,
+      gapChanges: changes.filter(change => change.type === 'gap').length
+    },
+    elements: elements.slice(0, settings.maxElements),
+    changes: changes.slice(0, settings.maxChanges).map(({ magnitude, ...change }) => change),
+    unmatched: {
+      design: unmatched.design.slice(0, settings.maxChanges),
+      implementation: unmatched.implementation.slice(0, settings.maxChanges)
+    }
+  };
+}
+
+/**
+ * Formats a geometry change, e.g. 'gap between link "Home" and link
+ * "Pricing" 40px vs 32px (-8px)'
+ */
+export function describeGeometryChange(change) {
+  if (change.type === 'gap') {
+    return `${change.message} (${change.delta > 0 ? '+' : ''}${change.delta}px)`;
+  }
+  return change.message;
+}
@@ -0,0 +1,305 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { describeRegion } from './diff-regions.js';
+import { describeColorSwap } from './color-diff.js';
+import { formatSuggestedChange } from './llm-findings.js';
+import { collectFindings } from './findings.js';
+
+const escapeHTML = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const percent = value => (typeof value === 'number' ? `${(value * 100).toFixed(2)}%` : '–');
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Reads an image into a data URL so the report works offline; null when the
+ * file is missing
+ */
+async function embedImage(imagePath) {
+  if (typeof imagePath !== 'string') {
+    return null;
+  }
+  try {
+    const data = await fs.readFile(imagePath);
+    const mimeType = MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/png';
+    return `data:${mimeType};base64,${data.toString('base64')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Brings a runComparison() result and a LiveMonitor.runCheck() result to one
+ * shape: labels, status (failed, passed or new), metrics, image paths and
+ * findings
+ */
+function normalizeResult(result) {
+  if (result.pixelDiff) {
+    const { llmAnalysis } = result;
+    return {
+      source: 'comparison',
+      label: result.sources && typeof result.sources.implementation === 'string'
+        ? result.sources.implementation
+        : 'Implementation',
+      viewport: result.viewport ? result.viewport.name : 'default',
+      selector: result.selector || 'body',
+      state: result.state || null,
+      status: result.hasSignificantDifferences ? 'failed' : 'passed',
+      timestamp: result.timestamp,
+      metrics: [
+        ['Pixel difference', percent(result.pixelDiff.diffPercentage)],
+        ['Structural difference', percent(result.structuralDiff.structuralDiffPercentage)],
+        ['SSIM', result.structuralDiff.ssim.toFixed(4)]
+      ],
+      images: {
+        before: result.designPath,
+        after: result.implementationPath,
+        diff: result.pixelDiff.diffImagePath,
+        heatmap: result.structuralDiff.diffImagePath
+      },
+      beforeLabel: 'Design',
+      afterLabel: 'Implementation',
+      summary: llmAnalysis && llmAnalysis.enabled ? llmAnalysis.summary || llmAnalysis.analysis : null,
+      findings: collectFindings(result),
+      regions: result.pixelDiff.regions || [],
+      colorSwaps: result.pixelDiff.colorAnalysis ? result.pixelDiff.colorAnalysis.swaps : []
+    };
+  }
+
+  return {
+    source: 'monitor',
+    label: result.url,
+    viewport: result.viewport || 'default',
+    selector: result.selector || 'body',
+    state: result.state || null,
+    status: { alert: 'failed', ok: 'passed', 'new-baseline': 'new' }[result.status] || result.status,
+    timestamp: result.timestamp,
+    metrics: result.status === 'new-baseline' ? [] : [['Pixel difference', percent(result.diffPercentage)]],
+    images: {
+      before: result.baselinePath,
+      after: result.snapshotPath,
+      diff: result.diffImagePath,
+      heatmap: null
+    },
+    beforeLabel: 'Baseline',
+    afterLabel: 'Current',
+    summary: null,
+    findings: collectFindings(result),
+    regions: result.regions || [],
+    colorSwaps: result.colorSwaps || []
+  };
+}
+
+function renderViews(item, images) {
+  const { before, after, diff, heatmap } = images;
+  const figure = (src, caption) => (src
+    ? `<figure><img src="${src}" alt="${escapeHTML(caption)}"><figcaption>${escapeHTML(caption)}</figcaption></figure>`
+    : `<figure class="missing"><figcaption>${escapeHTML(caption)}: not available</figcaption></figure>`);
+
+  const views = [
+    ['side-by-side', 'Side by side', `<div class="side-by-side">${figure(before, item.beforeLabel)}${figure(after, item.afterLabel)}</div>`]
+  ];
+  if (before && after) {
+    views.push(['swipe', 'Swipe', `
+      <div class="stack swipe">
+        <img src="${after}" alt="${escapeHTML(item.afterLabel)}">
+        <img class="top" src="${before}" alt="${escapeHTML(item.beforeLabel)}">
+      </div>
+      <label class="control">${escapeHTML(item.beforeLabel)} <input type="range" min="0" max="100" value="50" data-control="swipe"> ${escapeHTML(item.afterLabel)}</label>`]);
+    views.push(['onion-skin', 'Onion skin', `
+      <div class="stack onion">
+        <img src="${before}" alt="${escapeHTML(item.beforeLabel)}">
+        <img class="top" src="${after}" alt="${escapeHTML(item.afterLabel)}" style="opacity: 0.5">
+      </div>
+      <label class="control">${escapeHTML(item.beforeLabel)} <input type="range" min="0" max="100" value="50" data-control="onion"> ${escapeHTML(item.afterLabel)}</label>`]);
+  }
+  views.push(['diff', 'Diff only', `<div class="side-by-side">${figure(diff, 'Pixel diff')}${heatmap ? figure(heatmap, 'Structural heatmap') : ''}</div>`]);
+
+  return `
+    <div class="views">
+      <div class="tabs">${views.map(([id, title], index) => `<button type="button" data-view="${id}"${index === 0 ? ' class="active"' : ''}>${title}</button>`).join('')}</div>
+      ${views.map(([id, , body], index) => `<div class="view" data-view="${id}"${index === 0 ? '' : ' hidden'}>${body}</div>`).join('\n')}
+    </div>`;
+}
+
+function renderItem(item, images, index) {
+  const details = [
+    ...item.regions.slice(0, 5).map(region => `Region ${describeRegion(region)}`),
+    ...item.colorSwaps.slice(0, 5).map(swap => `Color ${describeColorSwap(swap)}`)
+  ];
+
+  return `
+  <section class="item ${item.status}" id="item-${index}" data-viewport="${escapeHTML(item.viewport)}" data-selector="${escapeHTML(item.selector)}" data-status="${item.status}">
+    <header>
+      <h2>${escapeHTML(item.label)}</h2>
+      <span class="badge ${item.status}">${item.status}</span>
+      <span class="meta">${escapeHTML(item.viewport)} · <code>${escapeHTML(item.selector)}</code>${item.state ? ` · ${escapeHTML(item.state)}` : ''}</span>
+    </header>
+    ${item.metrics.length > 0 ? `<dl class="metrics">${item.metrics.map(([name, value]) => `<dt>${name}</dt><dd>${value}</dd>`).join('')}</dl>` : ''}
+    ${item.summary ? `<p class="summary">${escapeHTML(item.summary)}</p>` : ''}
+    ${details.length > 0 ? `<ul class="details">${details.map(line => `<li>${escapeHTML(line)}</li>`).join('')}</ul>` : ''}
+    ${renderViews(item, images)}
+  </section>`;
+}
+
+function renderFindings(items) {
+  const rows = items.flatMap((item, index) => item.findings.map(finding => `
+      <tr data-viewport="${escapeHTML(item.viewport)}" data-selector="${escapeHTML(item.selector)}" data-status="${item.status}">
+        <td><a href="#item-${index}">${escapeHTML(item.label)}</a><br><small>${escapeHTML(item.viewport)}${item.state ? ` · ${escapeHTML(item.state)}` : ''}</small></td>
+        <td><span class="badge ${finding.severity}">${escapeHTML(finding.severity)}</span></td>
+        <td>${escapeHTML(finding.check)}</td>
+        <td>${escapeHTML(finding.category)}</td>
+        <td>${escapeHTML(finding.description)}</td>
+        <td>${finding.selector ? `<code>${escapeHTML(finding.selector)}</code>` : ''}</td>
+        <td>${finding.suggestedChange ? `<code>${escapeHTML(formatSuggestedChange(finding))}</code>` : ''}</td>
+      </tr>`));
+
+  if (rows.length === 0) {
+    return '';
+  }
+  return `
+  <section class="findings">
+    <h2>Findings</h2>
+    <table>
+      <thead><tr><th>Comparison</th><th>Severity</th><th>Check</th><th>Category</th><th>Finding</th><th>Element</th><th>Suggested change</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  </section>`;
+}
+
+function renderFilter(name, label, values) {
+  const options = [...new Set(values)].sort();
+  return `<label>${label} <select data-filter="${name}"><option value="">All</option>${options.map(value => `<option value="${escapeHTML(value)}">${escapeHTML(value)}</option>`).join('')}</select></label>`;
+}
+
+const STYLES = `
+  body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 1.5rem; background: #f5f6f8; color: #1d2330; }
+  h1 { margin: 0 0 0.25rem; font-size: 1.5rem; }
+  .totals { color: #5b6475; margin-bottom: 1rem; }
+  .filters { position: sticky; top: 0; z-index: 2; display: flex; gap: 1rem; padding: 0.75rem 1rem; background: #fff; border: 1px solid #dde1e8; border-radius: 6px; margin-bottom: 1rem; }
+  .item, .findings { background: #fff; border: 1px solid #dde1e8; border-left: 4px solid #9aa3b2; border-radius: 6px; padding: 1rem; margin-bottom: 1rem; }
+  .item.failed { border-left-color: #d93f3f; }
+  .item.passed { border-left-color: #2f9e5b; }
+  .item header { display: flex; flex-wrap: wrap; align-items: baseline; gap: 0.75rem; }
+  .item h2, .findings h2 { margin: 0; font-size: 1.1rem; }
+  .meta, small { color: #5b6475; }
+  .badge { font-size: 0.75rem; text-transform: uppercase; padding: 0.1rem 0.45rem; border-radius: 3px; background: #e3e6ec; }
+  .badge.failed, .badge.high { background: #fbe0e0; color: #a32020; }
+  .badge.passed, .badge.low { background: #dff3e6; color: #1e6b3d; }
+  .badge.medium, .badge.new { background: #fdf0d5; color: #85600d; }
+  .metrics { display: flex; gap: 1.5rem; margin: 0.75rem 0; }
+  .metrics dt { font-size: 0.75rem; color: #5b6475; }
+  .metrics dd { margin: 0; font-weight: 600; }
+  .details { margin: 0.5rem 0; padding-left: 1.25rem; font-size: 0.85rem; }
+  .tabs { display: flex; gap: 0.25rem; margin: 0.75rem 0 0.5rem; }
+  .tabs button { border: 1px solid #c9ced8; background: #fff; padding: 0.3rem 0.75rem; border-radius: 4px; cursor: pointer; }
+  .tabs button.active { background: #1d2330; color: #fff; border-color: #1d2330; }
+  .side-by-side { display: flex; gap: 1rem; align-items: flex-start; }
+  .side-by-side figure { flex: 1; margin: 0; min-width: 0; }
+  figure img, .stack img { max-width: 100%; display: block; border: 1px solid #dde1e8; }
+  figure.missing { padding: 2rem; background: #f0f1f4; text-align: center; }
+  figcaption { font-size: 0.8rem; color: #5b6475; margin-top: 0.25rem; }
+  .stack { position: relative; display: inline-block; max-width: 100%; }
+  .stack img.top { position: absolute; top: 0; left: 0; }
+  .swipe img.top { clip-path: inset(0 50% 0 0); }
+  .control { display: flex; align-items: center; gap: 0.5rem; font-size: 0.8rem; color: #5b6475; margin-top: 0.5rem; }
+  .control input { flex: 0 1 320px; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.875rem; margin-top: 0.75rem; }
+  th, td { text-align: left; vertical-align: top; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e6e9ef; }
+  [hidden] { display: none !important; }
+`;
+
+const SCRIPT = `
+  document.querySelectorAll('.views').forEach(views => {
+    views.querySelectorAll('.tabs button').forEach(button => {
+      button.addEventListener('click', () => {
+        views.querySelectorAll('.tabs button').forEach(other => other.classList.toggle('active', other === button));
+        views.querySelectorAll('.view').forEach(view => { view.hidden = view.dataset.view !== button.dataset.view; });
+      });
+    });
+  });
+  document.querySelectorAll('input[data-control]').forEach(input => {
+    const top = input.closest('.view').querySelector('img.top');
+    input.addEventListener('input', () => {
+      if (input.dataset.control === 'swipe') {
+        top.style.clipPath = 'inset(0 ' + (100 - input.value) + '% 0 0)';
+      } else {
+        top.style.opacity = input.value / 100;
+      }
+    });
+  });
+  const filters = document.querySelectorAll('select[data-filter]');
+  filters.forEach(select => select.addEventListener('change', () => {
+    document.querySelectorAll('[data-status][data-viewport]').forEach(element => {
+      element.hidden = Array.from(filters).some(filter => filter.value && element.dataset[filter.dataset.filter] !== filter.value);
+    });
+  }));
+`;
+
+/**
+ * Writes a single self-contained HTML report for runComparison() or
+ * LiveMonitor.runCheck() results (or a mix). Screenshots and diff images are
+ * embedded as data URLs, so the file can be shared and opened offline.
+ *
+ * Every result gets side-by-side, swipe, onion-skin and diff-only views; the
+ * findings of every check (see findings.js) are collected in one table, and
+ * everything can be filtered by viewport, selector and status.
+ *
+ * Options: `outputPath` (required) and `title`. Returns the report's path.
+ */
+export async function generateHtmlReport(results, options = {}) {
+  const { outputPath, title = 'OculusQAsum Visual QA Report' } = options;
+  if (!outputPath) {
+    throw new Error('generateHtmlReport needs an outputPath');
+  }
+
+  const items = (Array.isArray(results) ? results : [results]).map(normalizeResult);
+  const sections = [];
+  for (const [index, item] of items.entries()) {
+    const images = {};
+    for (const [name, imagePath] of Object.entries(item.images)) {
+      images[name] = await embedImage(imagePath);
+    }
+    sections.push(renderItem(item, images, index));
+  }
+
+  const count = status => items.filter(item => item.status === status).length;
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHTML(title)}</h1>
+  <p class="totals">Generated ${escapeHTML(new Date().toISOString())} · ${items.length} results · ${count('failed')} failed · ${count('passed')} passed${count('new') > 0 ? ` · ${count('new')} new baselines` : ''}</p>
+  <div class="filters">
+    ${renderFilter('viewport', 'Viewport', items.map(item => item.viewport))}
+    ${renderFilter('selector', 'Selector', items.map(item => item.selector))}
+    ${renderFilter('status', 'Status', items.map(item => item.status))}
+  </div>
+  ${renderFindings(items)}
+  ${sections.join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+  await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  await fs.writeFile(outputPath, html);
+  return outputPath;
+}
@@ -0,0 +1,147 @@
+import { parseColor } from './image-utils.js';
+import { installPageHelpers } from './page-helpers.js';
+
+/**
+ * Ignore entries describe dynamic content that should not count as a change:
+ *
+ *   { selector: '.carousel' }                       element(s) resolved in the live page
+ *   { rect: { x: 0, y: 0, width: 200, height: 40 } } fixed area in image pixels
+ *   { color: '#ff00ff', tolerance: 0 }              pixels filled with this color
+ *
+ * Any entry can be limited with `url` (exact URL or '*' wildcard pattern, or a
+ * list of them) and `scope` (the captured selector(s) it applies to).
+ */
+
+/**
+ * Matches a value against an exact string, a '*' wildcard pattern or a list
+ * of them; an unset pattern matches everything
+ */
+export function matchesPattern(value, pattern) {
+  if (pattern === undefined || pattern === null) {
+    return true;
+  }
+  if (Array.isArray(pattern)) {
+    return pattern.some(p => matchesPattern(value, p));
+  }
+  if (!pattern.includes('*')) {
+    return value === pattern;
+  }
+  const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(value);
+}
+
+/**
+ * Returns the ignore entries that apply to a URL and captured selector
+ */
+export function ignoreEntriesFor(entries = [], { url, selector } = {}) {
+  return entries.filter(entry =>
+    (url === undefined || matchesPattern(url, entry.url)) &&
+    (selector === undefined || matchesPattern(selector, entry.scope))
+  );
+}
+
+/**
+ * Resolves selector entries to boxes relative to the captured root element,
+ * in screenshot pixels
+ */
+export async function resolveIgnoreSelectors(page, rootSelector, entries = []) {
+  const selectors = entries.filter(entry => entry.selector).map(entry => entry.selector);
+  if (selectors.length === 0) {
+    return [];
+  }
+
+  await installPageHelpers(page);
+
+  return page.evaluate(({ rootSelector, selectors }) => {
+    const root = document.querySelector(rootSelector);
+    if (!root) {
+      return [];
+    }
+
+    const { captureRect } = window.__oculusQAsum;
+    const dpr = window.devicePixelRatio || 1;
+    const rootRect = captureRect(root);
+    const rects = [];
+
+    for (const selector of selectors) {
+      for (const el of document.querySelectorAll(selector)) {
+        const rect = captureRect(el);
+        if (rect.width === 0 || rect.height === 0) continue;
+
+        rects.push({
+          x: Math.floor((rect.left - rootRect.left) * dpr),
+          y: Math.floor((rect.top - rootRect.top) * dpr),
+          width: Math.ceil(rect.width * dpr),
+          height: Math.ceil(rect.height * dpr),
+          selector
+        });
+      }
+    }
+
+    return rects;
+  }, { rootSelector, selectors });
+}
+
+/**
+ * Builds a per-pixel mask (1 = ignored) from rectangles and color entries.
+ * Rectangles are in comparison space; a pixel matching an ignore color in
+ * either image is ignored.
+ */
+export function buildIgnoreMask(width, height, { rects = [], colors = [] }, imgA, imgB) {
+  const mask = new Uint8Array(width * height);
+
+  for (const rect of rects) {
+    const x0 = Math.max(0, Math.floor(rect.x));
+    const y0 = Math.max(0, Math.floor(rect.y));
+    const x1 = Math.min(width, Math.ceil(rect.x + rect.width));
+    const y1 = Math.min(height, Math.ceil(rect.y + rect.height));
+
+    for (let y = y0; y < y1; y++) {
+      mask.fill(1, y * width + x0, y * width + Math.max(x0, x1));
+    }
+  }
+
+  if (colors.length > 0) {
+    const targets = colors.map(entry => ({
+      rgb: parseColor(entry.color),
+      tolerance: entry.tolerance || 0
+    }));
+
+    const matches = (data, i) => targets.some(({ rgb, tolerance }) =>
+      Math.abs(data[i] - rgb[0]) <= tolerance &&
+      Math.abs(data[i + 1] - rgb[1]) <= tolerance &&
+      Math.abs(data[i + 2] - rgb[2]) <= tolerance
+    );
+
+    for (let p = 0; p < width * height; p++) {
+      if (!mask[p] && (matches(imgA.data, p * 4) || matches(imgB.data, p * 4))) {
+        mask[p] = 1;
+      }
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Paints masked pixels with the same fill in both images so pixelmatch sees
+ * no difference there. Returns the number of masked pixels.
+ */
+export function applyIgnoreMask(mask, imgA, imgB, fill = [255, 0, 255]) {
+  let maskedPixels = 0;
+
+  for (let p = 0; p < mask.length; p++) {
+    if (!mask[p]) continue;
+
+    maskedPixels++;
+    const i = p * 4;
+    for (const img of [imgA, imgB]) {
+      img.data[i] = fill[0];
+      img.data[i + 1] = fill[1];
+      img.data[i + 2] = fill[2];
+      img.data[i + 3] = 255;
+    }
+  }
+
+  return maskedPixels;
+}
@@ -0,0 +1,230 @@
+import { PNG } from 'pngjs';
+
+/**
+ * Reads a PNG from a file buffer or passes through an already decoded image
+ */
+export function toPNG(source) {
+  return source instanceof PNG ? source : PNG.sync.read(source);
+}
+
+/**
+ * Creates a blank image of the given size filled with an RGBA color
+ */
+export function createImage(width, height, fill = [0, 0, 0, 0]) {
+  const img = new PNG({ width, height });
+  for (let i = 0; i < img.data.length; i += 4) {
+    img.data[i] = fill[0];
+    img.data[i + 1] = fill[1];
+    img.data[i + 2] = fill[2];
+    img.data[i + 3] = fill[3] === undefined ? 255 : fill[3];
+  }
+  return img;
+}
+
+/**
+ * Places an image onto a new canvas at the given offset.
+ * Negative offsets crop the source, pixels outside the source are filled.
+ */
+export function placeImage(img, width, height, offsetX = 0, offsetY = 0, fill = [0, 0, 0, 0]) {
+  const out = createImage(width, height, fill);
+
+  for (let y = 0; y < img.height; y++) {
+    const targetY = y + offsetY;
+    if (targetY < 0 || targetY >= height) continue;
+
+    for (let x = 0; x < img.width; x++) {
+      const targetX = x + offsetX;
+      if (targetX < 0 || targetX >= width) continue;
+
+      const src = (y * img.width + x) * 4;
+      const dst = (targetY * width + targetX) * 4;
+      out.data[dst] = img.data[src];
+      out.data[dst + 1] = img.data[src + 1];
+      out.data[dst + 2] = img.data[src + 2];
+      out.data[dst + 3] = img.data[src + 3];
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Resizes an image using bilinear interpolation
+ */
+export function resizeImage(img, width, height) {
+  if (img.width === width && img.height === height) {
+    return img;
+  }
+
+  const out = new PNG({ width, height });
+  const scaleX = img.width / width;
+  const scaleY = img.height / height;
+
+  for (let y = 0; y < height; y++) {
+    // Sample at pixel centers so up- and downscaling stay aligned
+    const srcY = Math.min(Math.max((y + 0.5) * scaleY - 0.5, 0), img.height - 1);
+    const y0 = Math.floor(srcY);
+    const y1 = Math.min(y0 + 1, img.height - 1);
+    const fy = srcY - y0;
+
+    for (let x = 0; x < width; x++) {
+      const srcX = Math.min(Math.max((x + 0.5) * scaleX - 0.5, 0), img.width - 1);
+      const x0 = Math.floor(srcX);
+      const x1 = Math.min(x0 + 1, img.width - 1);
+      const fx = srcX - x0;
+
+      const i00 = (y0 * img.width + x0) * 4;
+      const i10 = (y0 * img.width + x1) * 4;
+      const i01 = (y1 * img.width + x0) * 4;
+      const i11 = (y1 * img.width + x1) * 4;
+      const dst = (y * width + x) * 4;
+
+      for (let c = 0; c < 4; c++) {
+        const top = img.data[i00 + c] * (1 - fx) + img.data[i10 + c] * fx;
+        const bottom = img.data[i01 + c] * (1 - fx) + img.data[i11 + c] * fx;
+        out.data[dst + c] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Brings design and implementation images to a common size.
+ *
+ * Modes:
+ * - pad: grow both images to the larger width/height, filling the gap
+ * - crop: shrink both images to the smaller width/height
+ * - scale: resample the implementation to the design's dimensions
+ *
+ * Pad and crop honour the anchor ('top-left' or 'center').
+ * `placement` tells where each source image ended up in the common canvas,
+ * so coordinates measured on a source can be moved into comparison space.
+ */
+export function reconcileImageSizes(designImg, implImg, options = {}) {
+  const {
+    mode = 'pad',
+    anchor = 'top-left',
+    padColor = [0, 0, 0, 0]
+  } = options;
+
+  const sizeDifference = {
+    mismatch: designImg.width !== implImg.width || designImg.height !== implImg.height,
+    design: { width: designImg.width, height: designImg.height },
+    implementation: { width: implImg.width, height: implImg.height },
+    widthDelta: implImg.width - designImg.width,
+    heightDelta: implImg.height - designImg.height,
+    mode,
+    anchor
+  };
+
+  const identity = { offsetX: 0, offsetY: 0, scaleX: 1, scaleY: 1 };
+
+  if (!sizeDifference.mismatch) {
+    return {
+      design: designImg,
+      implementation: implImg,
+      width: designImg.width,
+      height: designImg.height,
+      sizeDifference,
+      placement: { design: identity, implementation: identity }
+    };
+  }
+
+  if (mode === 'scale') {
+    return {
+      design: designImg,
+      implementation: resizeImage(implImg, designImg.width, designImg.height),
+      width: designImg.width,
+      height: designImg.height,
+      sizeDifference,
+      placement: {
+        design: identity,
+        implementation: {
+          offsetX: 0,
+          offsetY: 0,
+          scaleX: designImg.width / implImg.width,
+          scaleY: designImg.height / implImg.height
+        }
+      }
+    };
+  }
+
+  if (mode !== 'pad' && mode !== 'crop') {
+    throw new Error(`Unsupported size reconciliation mode: ${mode}`);
+  }
+
+  const pick = mode === 'pad' ? Math.max : Math.min;
+  const width = pick(designImg.width, implImg.width);
+  const height = pick(designImg.height, implImg.height);
+
+  const offsetsFor = img => ({
+    offsetX: anchor === 'center' ? Math.floor((width - img.width) / 2) : 0,
+    offsetY: anchor === 'center' ? Math.floor((height - img.height) / 2) : 0,
+    scaleX: 1,
+    scaleY: 1
+  });
+
+  const fit = (img, { offsetX, offsetY }) => {
+    if (img.width === width && img.height === height) {
+      return img;
+    }
+    return placeImage(img, width, height, offsetX, offsetY, padColor);
+  };
+
+  const placement = {
+    design: offsetsFor(designImg),
+    implementation: offsetsFor(implImg)
+  };
+
+  return {
+    design: fit(designImg, placement.design),
+    implementation: fit(implImg, placement.implementation),
+    width,
+    height,
+    sizeDifference,
+    placement
+  };
+}
+
+/**
+ * Moves a rectangle measured on a source image into comparison space using
+ * the placement reported by reconcileImageSizes
+ */
+export function placeRect(rect, placement = {}) {
+  const { offsetX = 0, offsetY = 0, scaleX = 1, scaleY = 1 } = placement;
+  return {
+    ...rect,
+    x: rect.x * scaleX + offsetX,
+    y: rect.y * scaleY + offsetY,
+    width: rect.width * scaleX,
+    height: rect.height * scaleY
+  };
+}
+
+/**
+ * Parses '#rgb', '#rrggbb', 'rgb(r, g, b)' or [r, g, b] into an [r, g, b] array
+ */
+export function parseColor(color) {
+  if (Array.isArray(color)) {
+    return color.slice(0, 3).map(Number);
+  }
+
+  const value = String(color).trim().toLowerCase();
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3
+      ? hex[1].split('').map(d => d + d).join('')
+      : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+
+  const rgb = value.match(/^rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)/);
+  if (rgb) {
+    return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])];
+  }
+
+  throw new Error(`Unsupported color value: ${color}`);
+}
@@ -0,0 +1,77 @@
+import { matchesPattern } from './ignore-masks.js';
+
+/**
+ * Interaction states put the page into a state before a snapshot is taken:
+ *
+ *   { selector: '.card', state: 'hover' }
+ *   { selector: '#email', state: 'focus' }
+ *   { selector: '.btn.primary', state: 'active' }          mouse held down
+ *   { selector: '#terms', state: 'checked' }
+ *   { selector: '.burger', state: 'click', capture: 'nav' }
+ *
+ * Optional fields: `name` (used in file names and baseline keys), `url`
+ * (exact URL or '*' pattern, or a list of them), `capture` (selector to
+ * snapshot instead of the configured one) and `wait` (ms to let transitions
+ * finish, default 300).
+ */
+export const INTERACTION_STATES = ['hover', 'focus', 'active', 'checked', 'click'];
+
+/**
+ * Name of a state entry, e.g. "hover-card" for { selector: '.card', state: 'hover' }
+ */
+export function stateName(entry) {
+  if (entry.name) {
+    return entry.name;
+  }
+  const target = entry.selector.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${entry.state}-${target}`;
+}
+
+/**
+ * Returns the state entries that apply to a URL
+ */
+export function statesFor(entries = [], url) {
+  return entries.filter(entry => url === undefined || matchesPattern(url, entry.url));
+}
+
+/**
+ * Puts the element matched by `entry.selector` into the entry's state
+ */
+export async function applyInteractionState(page, entry) {
+  const { selector, state, wait = 300 } = entry;
+
+  switch (state) {
+    case 'hover':
+      await page.hover(selector);
+      break;
+    case 'focus':
+      await page.focus(selector);
+      break;
+    case 'active':
+      await page.hover(selector);
+      await page.mouse.down();
+      break;
+    case 'checked':
+      await page.check(selector);
+      break;
+    case 'click':
+      await page.click(selector);
+      break;
+    default:
+      throw new Error(`Unknown interaction state "${state}" (expected one of ${INTERACTION_STATES.join(', ')})`);
+  }
+
+  if (wait > 0) {
+    await page.waitForTimeout(wait);
+  }
+}
+
+/**
+ * Undoes the parts of a state that outlive the page's next navigation: the
+ * mouse button held down by 'active'
+ */
+export async function resetInteractionState(page, entry) {
+  if (entry.state === 'active') {
+    await page.mouse.up();
+  }
+}
@@ -1,12 +1,23 @@
 // oculus-qasum/src/core/live-monitor.js
 
-const { chromium } = require('playwright');
-const cron = require('node-cron');
-const path = require('path');
-const fs = require('fs').promises;
-const { EventEmitter } = require('events');
+import { chromium } from 'playwright';
+import cron from 'node-cron';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { EventEmitter } from 'events';
+import fetch from 'node-fetch';
+import { PNG } from 'pngjs';
+import { reconcileImageSizes, placeRect } from './image-utils.js';
+import { findDiffRegions, describeRegion } from './diff-regions.js';
+import { diffImages, describeColorSwap } from './color-diff.js';
+import { resolveViewport, contextOptionsFor } from './viewports.js';
+import { statesFor, stateName, applyInteractionState, resetInteractionState } from './interaction-states.js';
+import { captureSetupFor, newCaptureContext, runCaptureSteps } from './capture-steps.js';
+import { DEFAULT_STABILIZE_OPTIONS, stabilizeContext, stabilizePage, waitForStableFrames } from './stabilize.js';
+import { captureFullPage } from './full-page.js';
+import { ignoreEntriesFor, resolveIgnoreSelectors, buildIgnoreMask, applyIgnoreMask } from './ignore-masks.js';
 
-class LiveMonitor extends EventEmitter {
+export class LiveMonitor extends EventEmitter {
   constructor(config = {}) {
     super();
     
@@ -17,21 +28,56 @@ class LiveMonitor extends EventEmitter {
         { width: 1920, height: 1080, name: 'desktop' },
         { width: 768, height: 1024, name: 'tablet' },
         { width: 375, height: 812, name: 'mobile' }
-      ],
+      ], // entries may also set deviceScaleFactor or a Playwright `device` name
       selectors: ['body'], // Default to full page
+      webhooks: [],
+      ignore: [], // selectors, rects or colors to mask out (see ignore-masks.js)
+      states: [], // interaction states captured as separate snapshots (see interaction-states.js)
+      captureSteps: [], // login, cookie and navigation steps run after each page load (see capture-steps.js)
+      ...config,
       thresholds: {
         pixelDifference: 0.03, // 3% threshold for alerts
+        ...config.thresholds
       },
       storage: {
         baseDir: path.resolve(process.cwd(), 'visual-vigilance-snapshots'),
-        maxSnapshots: 20 // How many historical snapshots to keep
+        maxSnapshots: 20, // How many historical snapshots to keep
+        ...config.storage
       },
-      webhooks: [],
       browser: {
         headless: true,
         slowMo: 0,
+        ...config.browser
+      },
+      regions: {
+        cellSize: 8,
+        minArea: 4,
+        maxRegions: 25,
+        ...config.regions
+      },
+      pixelComparison: {
+        mode: 'pixelmatch', // pixelmatch or ciede2000
+        threshold: 0.1,
+        jnd: 2.3,
+        ...config.pixelComparison
       },
-      ...config
+      sizeReconciliation: {
+        mode: 'pad', // pad, crop or scale (see image-utils.js)
+        anchor: 'top-left',
+        padColor: [0, 0, 0, 0],
+        ...config.sizeReconciliation
+      },
+      stabilize: {
+        ...DEFAULT_STABILIZE_OPTIONS, // see stabilize.js
+        ...config.stabilize
+      },
+      fullPage: {
+        enabled: false, // scroll and stitch content hidden in scroll containers (see full-page.js)
+        container: null,
+        maxHeight: 20000,
+        settle: 150,
+        ...config.fullPage
+      }
     };
     
     this.isRunning = false;
@@ -109,18 +155,9 @@ class LiveMonitor extends EventEmitter {
     
     // Save snapshots as baselines
     for (const snapshot of snapshots) {
-      const key = this._getSnapshotKey(snapshot.url, snapshot.viewport.name, snapshot.selector);
+      const key = this._getSnapshotKey(snapshot.url, snapshot.viewport.name, snapshot.selector, snapshot.state);
       this.baselineSnapshots.set(key, snapshot);
-      
-      // Save to disk
-      const baselinePath = path.join(
-        this.config.storage.baseDir,
-        'baselines',
-        this._sanitizeFilename(key) + '.png'
-      );
-      
-      await fs.mkdir(path.dirname(baselinePath), { recursive: true });
-      await fs.writeFile(baselinePath, snapshot.buffer);
+      await this._saveBaseline(key, snapshot);
     }
     
     this.emit('baselines-created', {
@@ -147,26 +184,20 @@ class LiveMonitor extends EventEmitter {
     const results = [];
     
     for (const snapshot of currentSnapshots) {
-      const key = this._getSnapshotKey(snapshot.url, snapshot.viewport.name, snapshot.selector);
+      const key = this._getSnapshotKey(snapshot.url, snapshot.viewport.name, snapshot.selector, snapshot.state);
       const baseline = this.baselineSnapshots.get(key);
       
       if (!baseline) {
         // If no baseline exists for this combination, store this as the baseline
         this.baselineSnapshots.set(key, snapshot);
-        
-        const baselinePath = path.join(
-          this.config.storage.baseDir,
-          'baselines',
-          this._sanitizeFilename(key) + '.png'
-        );
-        
-        await fs.mkdir(path.dirname(baselinePath), { recursive: true });
-        await fs.writeFile(baselinePath, snapshot.buffer);
+        const baselinePath = await this._saveBaseline(key, snapshot);
         
         results.push({
           url: snapshot.url,
           viewport: snapshot.viewport.name,
           selector: snapshot.selector,
+          state: snapshot.state,
+          baselinePath,
           status: 'new-baseline',
           timestamp: new Date().toISOString()
         });
@@ -178,16 +209,22 @@ class LiveMonitor extends EventEmitter {
       const comparisonResult = await this._compareSnapshots(baseline, snapshot);
       
       // Store snapshot in history
-      await this._storeSnapshotHistory(key, snapshot, comparisonResult);
+      const snapshotPath = await this._storeSnapshotHistory(key, snapshot, comparisonResult);
       
       // Add result
       results.push({
         url: snapshot.url,
         viewport: snapshot.viewport.name,
         selector: snapshot.selector,
+        state: snapshot.state,
         diffPercentage: comparisonResult.diffPercentage,
         exceedsThreshold: comparisonResult.exceedsThreshold,
         diffImagePath: comparisonResult.diffImagePath,
+        baselinePath: path.join(this.config.storage.baseDir, 'baselines', this._sanitizeFilename(key) + '.png'),
+        snapshotPath,
+        sizeDifference: comparisonResult.sizeDifference,
+        regions: comparisonResult.regions,
+        colorSwaps: comparisonResult.colorAnalysis ? comparisonResult.colorAnalysis.swaps : [],
         status: comparisonResult.exceedsThreshold ? 'alert' : 'ok',
         timestamp: new Date().toISOString()
       });
@@ -198,8 +235,11 @@ class LiveMonitor extends EventEmitter {
           url: snapshot.url,
           viewport: snapshot.viewport.name,
           selector: snapshot.selector,
+          state: snapshot.state,
           diffPercentage: comparisonResult.diffPercentage,
           diffImagePath: comparisonResult.diffImagePath,
+          regions: comparisonResult.regions,
+          colorSwaps: comparisonResult.colorAnalysis ? comparisonResult.colorAnalysis.swaps : [],
           timestamp: new Date().toISOString()
         });
         
@@ -208,8 +248,11 @@ class LiveMonitor extends EventEmitter {
           url: snapshot.url,
           viewport: snapshot.viewport.name,
           selector: snapshot.selector,
+          state: snapshot.state,
           diffPercentage: comparisonResult.diffPercentage,
           diffImagePath: comparisonResult.diffImagePath,
+          regions: comparisonResult.regions,
+          colorSwaps: comparisonResult.colorAnalysis ? comparisonResult.colorAnalysis.swaps : [],
           baseline: baseline,
           current: snapshot
         });
@@ -238,18 +281,9 @@ class LiveMonitor extends EventEmitter {
     }
     
     for (const snapshot of snapshots) {
-      const key = this._getSnapshotKey(snapshot.url, snapshot.viewport.name, snapshot.selector);
+      const key = this._getSnapshotKey(snapshot.url, snapshot.viewport.name, snapshot.selector, snapshot.state);
       this.baselineSnapshots.set(key, snapshot);
-      
-      // Save to disk
-      const baselinePath = path.join(
-        this.config.storage.baseDir,
-        'baselines',
-        this._sanitizeFilename(key) + '.png'
-      );
-      
-      await fs.mkdir(path.dirname(baselinePath), { recursive: true });
-      await fs.writeFile(baselinePath, snapshot.buffer);
+      await this._saveBaseline(key, snapshot);
     }
     
     this.emit('baseline-updated', {
@@ -281,43 +315,93 @@ class LiveMonitor extends EventEmitter {
     
     try {
       for (const url of urls) {
-        for (const viewport of viewports) {
-          const context = await browser.newContext({
-            viewport: { width: viewport.width, height: viewport.height }
-          });
+        for (const entry of viewports) {
+          const viewport = resolveViewport(entry);
+          const setup = captureSetupFor(this.config.captureSteps, url);
+          const context = await newCaptureContext(browser, contextOptionsFor(viewport), setup, url);
+          if (this.config.stabilize.enabled) {
+            await stabilizeContext(context, this.config.stabilize);
+          }
           
           const page = await context.newPage();
-          await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
-          
-          // Add small delay to ensure everything is rendered
-          await page.waitForTimeout(1000);
           
-          for (const selector of selectors) {
+          // Default state first, then each interaction state on a freshly loaded page
+          for (const state of [null, ...statesFor(this.config.states, url)]) {
+            const name = state ? stateName(state) : null;
+            const label = `${url} (${viewport.name}${name ? `, ${name}` : ''})`;
+            
+            await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+            
+            // Add small delay to ensure everything is rendered
+            await page.waitForTimeout(1000);
+            
             try {
-              // Try to find the element
-              const element = await page.$(selector);
-              
-              if (!element) {
-                console.warn(`Element not found: ${selector} on ${url} (${viewport.name})`);
+              await runCaptureSteps(page, setup, { url, viewport });
+            } catch (error) {
+              console.error(`Error running capture steps on ${label}:`, error);
+              continue;
+            }
+            
+            if (this.config.stabilize.enabled) {
+              await stabilizePage(page, this.config.stabilize);
+            }
+            
+            if (state) {
+              try {
+                await applyInteractionState(page, state);
+              } catch (error) {
+                console.error(`Error applying state ${name} on ${label}:`, error);
                 continue;
               }
-              
-              // Capture screenshot
-              const buffer = await element.screenshot();
-              
-              snapshots.push({
-                url,
-                viewport,
-                selector,
-                buffer,
-                timestamp: new Date().toISOString(),
-                metadata: {
-                  title: await page.title(),
-                  dimensions: await element.boundingBox()
+            }
+            
+            if (this.config.stabilize.enabled && !(await waitForStableFrames(page, this.config.stabilize))) {
+              console.warn(`${label} did not settle within ${this.config.stabilize.timeout}ms; capturing anyway`);
+            }
+            
+            for (const selector of state && state.capture ? [state.capture] : selectors) {
+              try {
+                // Try to find the element
+                const element = await page.$(selector);
+                
+                if (!element) {
+                  console.warn(`Element not found: ${selector} on ${label}`);
+                  continue;
                 }
-              });
-            } catch (error) {
-              console.error(`Error capturing ${selector} on ${url} (${viewport.name}):`, error);
+                
+                // Capture screenshot
+                const buffer = this.config.fullPage.enabled
+                  ? await captureFullPage(page, selector, this.config.fullPage)
+                  : await element.screenshot();
+                
+                // Locate ignored elements in this capture
+                const ignoreRects = await resolveIgnoreSelectors(
+                  page,
+                  selector,
+                  ignoreEntriesFor(this.config.ignore, { url, selector })
+                );
+                
+                snapshots.push({
+                  url,
+                  viewport,
+                  selector,
+                  state: name,
+                  buffer,
+                  ignoreRects,
+                  timestamp: new Date().toISOString(),
+                  metadata: {
+                    title: await page.title(),
+                    dimensions: await element.boundingBox()
+                  }
+                });
+              } catch (error) {
+                console.error(`Error capturing ${selector} on ${label}:`, error);
+              }
+            }
+            
+            // The next state reuses this page, so release what this one held
+            if (state) {
+              await resetInteractionState(page, state);
             }
           }
           
@@ -331,6 +415,28 @@ class LiveMonitor extends EventEmitter {
     return snapshots;
   }
   
+  /**
+   * Write a baseline snapshot to disk: the image plus a JSON file with the
+   * ignore rects it was captured with, so they still apply after a restart.
+   * Returns the image's path.
+   */
+  async _saveBaseline(key, snapshot) {
+    const basePath = path.join(this.config.storage.baseDir, 'baselines', this._sanitizeFilename(key));
+    
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    await fs.writeFile(`${basePath}.png`, snapshot.buffer);
+    await fs.writeFile(`${basePath}.json`, JSON.stringify({
+      url: snapshot.url,
+      viewport: snapshot.viewport.name,
+      selector: snapshot.selector,
+      state: snapshot.state,
+      timestamp: snapshot.timestamp,
+      ignoreRects: snapshot.ignoreRects || []
+    }, null, 2));
+    
+    return `${basePath}.png`;
+  }
+  
   /**
    * Load existing baseline snapshots from disk
    */
@@ -346,11 +452,17 @@ class LiveMonitor extends EventEmitter {
         
         try {
           const buffer = await fs.readFile(path.join(baselineDir, file));
-          const key = file.replace('.png', '');
+          const name = file.replace('.png', '');
           
-          // Extract url, viewport, selector from filename
-          // This depends on _sanitizeFilename() implementation
-          const [url, viewport, selector] = this._extractKeyParts(key);
+          // The metadata written next to the image holds the unsanitized key
+          // parts and the ignore rects; older baselines only have the filename
+          const metadata = await fs.readFile(path.join(baselineDir, `${name}.json`), 'utf8')
+            .then(JSON.parse)
+            .catch(() => null);
+          const [url, viewport, selector, state] = metadata
+            ? [metadata.url, metadata.viewport, metadata.selector, metadata.state]
+            : this._extractKeyParts(name);
+          const key = metadata ? this._getSnapshotKey(url, viewport, selector, state) : name;
           
           this.baselineSnapshots.set(key, {
             url,
@@ -360,8 +472,10 @@ class LiveMonitor extends EventEmitter {
               height: 1080
             },
             selector,
+            state,
             buffer,
-            timestamp: new Date().toISOString()
+            ignoreRects: metadata ? metadata.ignoreRects : [],
+            timestamp: metadata ? metadata.timestamp : new Date().toISOString()
           });
         } catch (error) {
           console.error(`Error loading baseline ${file}:`, error);
@@ -375,33 +489,65 @@ class LiveMonitor extends EventEmitter {
   }
   
   /**
-   * Compare two snapshots using pixel-by-pixel comparison
+   * Compare two snapshots using pixel-by-pixel comparison. Snapshots of
+   * different sizes are reconciled first (see config.sizeReconciliation).
    */
   async _compareSnapshots(baseline, current) {
-    const pixelmatch = require('pixelmatch');
-    const { PNG } = require('pngjs');
-    
-    // Parse images
-    const baselineImg = PNG.sync.read(baseline.buffer);
-    const currentImg = PNG.sync.read(current.buffer);
+    // Parse images and bring them to a common size
+    const {
+      design: baselineImg,
+      implementation: currentImg,
+      width,
+      height,
+      sizeDifference,
+      placement
+    } = reconcileImageSizes(
+      PNG.sync.read(baseline.buffer),
+      PNG.sync.read(current.buffer),
+      this.config.sizeReconciliation
+    );
     
     // Create output image
-    const { width, height } = baselineImg;
     const diffImg = new PNG({ width, height });
     
+    // Paint ignored areas out of both snapshots
+    const ignoreEntries = ignoreEntriesFor(this.config.ignore, {
+      url: current.url,
+      selector: current.selector
+    });
+    const ignoreMask = buildIgnoreMask(width, height, {
+      rects: [
+        ...(baseline.ignoreRects || []).map(rect => placeRect(rect, placement.design)),
+        ...(current.ignoreRects || []).map(rect => placeRect(rect, placement.implementation)),
+        ...ignoreEntries.filter(entry => entry.rect).map(entry => entry.rect)
+      ],
+      colors: ignoreEntries.filter(entry => entry.color)
+    }, baselineImg, currentImg);
+    const maskedPixels = applyIgnoreMask(ignoreMask, baselineImg, currentImg);
+    
     // Compare images
-    const diffPixelCount = pixelmatch(
-      baselineImg.data,
-      currentImg.data,
-      diffImg.data,
+    const { diffPixelCount, colorAnalysis } = diffImages(
+      baselineImg,
+      currentImg,
+      diffImg,
+      width,
+      height,
+      this.config.pixelComparison
+    );
+    
+    // Group changed pixels into regions
+    const { regions, totalRegions } = findDiffRegions(
+      baselineImg,
+      currentImg,
+      diffImg,
       width,
       height,
-      { threshold: 0.1 }
+      this.config.regions
     );
     
-    // Calculate difference percentage
-    const totalPixels = width * height;
-    const diffPercentage = diffPixelCount / totalPixels;
+    // Calculate difference percentage over the pixels that were compared
+    const totalPixels = width * height - maskedPixels;
+    const diffPercentage = totalPixels > 0 ? diffPixelCount / totalPixels : 0;
     
     // Determine if difference exceeds threshold
     const exceedsThreshold = diffPercentage > this.config.thresholds.pixelDifference;
@@ -409,7 +555,7 @@ class LiveMonitor extends EventEmitter {
     // Save diff image if it exceeds threshold
     let diffImagePath = null;
     if (exceedsThreshold) {
-      const key = this._getSnapshotKey(current.url, current.viewport.name, current.selector);
+      const key = this._getSnapshotKey(current.url, current.viewport.name, current.selector, current.state);
       diffImagePath = path.join(
         this.config.storage.baseDir,
         'diffs',
@@ -424,13 +570,18 @@ class LiveMonitor extends EventEmitter {
       diffPercentage,
       diffPixelCount,
       totalPixels,
+      maskedPixels,
+      sizeDifference,
+      regions,
+      totalRegions,
+      colorAnalysis,
       exceedsThreshold,
       diffImagePath
     };
   }
   
   /**
-   * Store snapshot in history for trend analysis
+   * Store snapshot in history for trend analysis; returns the snapshot's path
    */
   async _storeSnapshotHistory(key, snapshot, comparisonResult) {
     const historyDir = path.join(
@@ -454,12 +605,15 @@ class LiveMonitor extends EventEmitter {
       url: snapshot.url,
       viewport: snapshot.viewport,
       selector: snapshot.selector,
+      state: snapshot.state,
       timestamp: snapshot.timestamp,
       metadata: snapshot.metadata,
       comparison: {
         diffPercentage: comparisonResult.diffPercentage,
         diffPixelCount: comparisonResult.diffPixelCount,
         totalPixels: comparisonResult.totalPixels,
+        regions: comparisonResult.regions,
+        colorAnalysis: comparisonResult.colorAnalysis,
         exceedsThreshold: comparisonResult.exceedsThreshold
       }
     }, null, 2));
@@ -482,6 +636,8 @@ class LiveMonitor extends EventEmitter {
     } catch (error) {
       console.error('Error cleaning up old snapshots:', error);
     }
+    
+    return snapshotPath;
   }
   
   /**
@@ -510,9 +666,8 @@ class LiveMonitor extends EventEmitter {
    * Send Slack webhook alert
    */
   async _sendSlackAlert(webhook, alertData) {
-    const { url, viewport, selector, diffPercentage } = alertData;
+    const { url, viewport, selector, state, diffPercentage, regions = [], colorSwaps = [] } = alertData;
     
-    const fetch = require('node-fetch');
     await fetch(webhook.url, {
       method: 'POST',
       headers: {
@@ -547,7 +702,7 @@ class LiveMonitor extends EventEmitter {
             fields: [
               {
                 type: 'mrkdwn',
-                text: `*Selector:*\n\`${selector}\``
+                text: `*Selector:*\n\`${selector}\`${state ? ` (${state})` : ''}`
               },
               {
                 type: 'mrkdwn',
@@ -555,6 +710,20 @@ class LiveMonitor extends EventEmitter {
               }
             ]
           },
+          ...(regions.length > 0 ? [{
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*Changed regions:*\n${this._formatTopRegions(regions).join('\n')}`
+            }
+          }] : []),
+          ...(colorSwaps.length > 0 ? [{
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `*Color swaps:*\n${colorSwaps.slice(0, 3).map(describeColorSwap).join('\n')}`
+            }
+          }] : []),
           {
             type: 'context',
             elements: [
@@ -573,9 +742,8 @@ class LiveMonitor extends EventEmitter {
    * Send Microsoft Teams webhook alert
    */
   async _sendTeamsAlert(webhook, alertData) {
-    const { url, viewport, selector, diffPercentage } = alertData;
+    const { url, viewport, selector, state, diffPercentage, regions = [], colorSwaps = [] } = alertData;
     
-    const fetch = require('node-fetch');
     await fetch(webhook.url, {
       method: 'POST',
       headers: {
@@ -600,12 +768,20 @@ class LiveMonitor extends EventEmitter {
               },
               {
                 "name": "Selector",
-                "value": selector
+                "value": state ? `${selector} (${state})` : selector
               },
               {
                 "name": "Difference",
                 "value": `${(diffPercentage * 100).toFixed(2)}%`
               },
+              {
+                "name": "Changed Regions",
+                "value": regions.length > 0 ? this._formatTopRegions(regions).join('<br>') : 'n/a'
+              },
+              ...(colorSwaps.length > 0 ? [{
+                "name": "Color Swaps",
+                "value": colorSwaps.slice(0, 3).map(describeColorSwap).join('<br>')
+              }] : []),
               {
                 "name": "Detected At",
                 "value": new Date().toISOString()
@@ -622,7 +798,6 @@ class LiveMonitor extends EventEmitter {
    * Send generic webhook alert
    */
   async _sendGenericWebhookAlert(webhook, alertData) {
-    const fetch = require('node-fetch');
     await fetch(webhook.url, {
       method: 'POST',
       headers: {
@@ -646,11 +821,23 @@ class LiveMonitor extends EventEmitter {
     console.log('Email alert would be sent:', webhook, alertData);
   }
   
+  /**
+   * Format the highest ranked regions for alert messages
+   */
+  _formatTopRegions(regions, limit = 3) {
+    const lines = regions.slice(0, limit).map(describeRegion);
+    if (regions.length > limit) {
+      lines.push(`…and ${regions.length - limit} more`);
+    }
+    return lines;
+  }
+  
   /**
    * Helper to get a unique key for a snapshot
    */
-  _getSnapshotKey(url, viewportName, selector) {
-    return `${url}__${viewportName}__${selector}`;
+  _getSnapshotKey(url, viewportName, selector, state = null) {
+    const key = `${url}__${viewportName}__${selector}`;
+    return state ? `${key}__${state}` : key;
   }
   
   /**
@@ -660,7 +847,7 @@ class LiveMonitor extends EventEmitter {
     // Reverse the sanitization process
     // This is a simplistic implementation and would need to be more robust
     const parts = key.split('__');
-    return [parts[0], parts[1], parts[2]];
+    return [parts[0], parts[1], parts[2], parts[3] || null];
   }
   
   /**
@@ -673,6 +860,4 @@ class LiveMonitor extends EventEmitter {
       .replace(/\s+/g, '-')
       .replace(/[^\w\-\.]/g, '');
   }
-}
-
-module.exports = LiveMonitor;
\ No newline at end of file
+}
\ No newline at end of file
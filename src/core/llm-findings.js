@@ -0,0 +1,198 @@
+/**
+ * Structured LLM analysis. The vision model is asked for JSON of the form
+ *
+ *   {
+ *     "summary": "One or two sentences",
+ *     "findings": [{
+ *       "category": "color",                 one of FINDING_CATEGORIES
+ *       "severity": "high",                  one of FINDING_SEVERITIES
+ *       "description": "Primary button is lighter than in the design",
+ *       "bbox": { "x": 40, "y": 120, "width": 160, "height": 48 },   or null
+ *       "selector": ".btn.primary",          suspected element, or null
+ *       "suggestedChange": { "property": "background-color", "from": "#6a7cf7", "to": "#4a6cf7" }   or null
+ *     }]
+ *   }
+ *
+ * and the answer is checked against this schema. Invalid answers get one
+ * repair round in which the model sees the validation errors.
+ */
+export const FINDING_CATEGORIES = ['color', 'spacing', 'typography', 'missing-element', 'alignment'];
+export const FINDING_SEVERITIES = ['high', 'medium', 'low'];
+
+export const FINDINGS_INSTRUCTIONS = `Respond with a single JSON object and nothing else:
+{
+  "summary": string,
+  "findings": [
+    {
+      "category": ${FINDING_CATEGORIES.map(c => `"${c}"`).join(' | ')},
+      "severity": ${FINDING_SEVERITIES.map(s => `"${s}"`).join(' | ')},
+      "description": string,
+      "bbox": { "x": number, "y": number, "width": number, "height": number } | null,
+      "selector": string | null,
+      "suggestedChange": { "property": string, "from": string | null, "to": string } | null
+    }
+  ]
+}
+bbox is in pixels of the diff image. selector is the CSS selector of the element you believe is affected.
+suggestedChange is a single CSS property change on that selector. Use an empty findings list if nothing differs.`;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Extracts the JSON object from a model answer, tolerating code fences and
+ * text around it
+ */
+function extractJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('no JSON object found');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Lowercases enums and accepts "missing element" style spellings
+ */
+function normalizeFinding(finding) {
+  if (!isObject(finding)) return finding;
+  const normalized = { bbox: null, selector: null, suggestedChange: null, ...finding };
+  for (const key of ['category', 'severity']) {
+    if (typeof normalized[key] === 'string') {
+      normalized[key] = normalized[key].trim().toLowerCase().replace(/[\s_]+/g, '-');
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Checks a parsed answer against the findings schema. Returns a list of
+ * errors such as "findings[2].severity: expected one of high, medium, low".
+ */
+export function validateFindings(value) {
+  const errors = [];
+  if (!isObject(value)) {
+    return ['expected a JSON object'];
+  }
+  if (typeof value.summary !== 'string') {
+    errors.push('summary: expected a string');
+  }
+  if (!Array.isArray(value.findings)) {
+    errors.push('findings: expected an array');
+    return errors;
+  }
+
+  value.findings.forEach((finding, index) => {
+    const at = `findings[${index}]`;
+    if (!isObject(finding)) {
+      errors.push(`${at}: expected an object`);
+      return;
+    }
+    if (!FINDING_CATEGORIES.includes(finding.category)) {
+      errors.push(`${at}.category: expected one of ${FINDING_CATEGORIES.join(', ')}`);
+    }
+    if (!FINDING_SEVERITIES.includes(finding.severity)) {
+      errors.push(`${at}.severity: expected one of ${FINDING_SEVERITIES.join(', ')}`);
+    }
+    if (typeof finding.description !== 'string' || finding.description.trim() === '') {
+      errors.push(`${at}.description: expected a non-empty string`);
+    }
+    if (finding.bbox !== null && !(isObject(finding.bbox) &&
+      ['x', 'y', 'width', 'height'].every(key => isNumber(finding.bbox[key]) && finding.bbox[key] >= 0))) {
+      errors.push(`${at}.bbox: expected null or { x, y, width, height } with non-negative numbers`);
+    }
+    if (finding.selector !== null && typeof finding.selector !== 'string') {
+      errors.push(`${at}.selector: expected a string or null`);
+    }
+    const change = finding.suggestedChange;
+    if (change !== null && !(isObject(change) &&
+      typeof change.property === 'string' &&
+      typeof change.to === 'string' &&
+      (change.from === undefined || change.from === null || typeof change.from === 'string'))) {
+      errors.push(`${at}.suggestedChange: expected null or { property, from, to } strings`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Parses and validates a model answer. Returns { summary, findings, errors };
+ * findings are sorted by severity and empty when the answer is invalid.
+ */
+export function parseFindings(text) {
+  let value;
+  try {
+    value = extractJSON(text);
+  } catch (error) {
+    return { summary: '', findings: [], errors: [`not valid JSON: ${error.message}`] };
+  }
+
+  if (isObject(value) && Array.isArray(value.findings)) {
+    value = { ...value, findings: value.findings.map(normalizeFinding) };
+  }
+  const errors = validateFindings(value);
+  if (errors.length > 0) {
+    return { summary: '', findings: [], errors };
+  }
+
+  const findings = value.findings
+    .map(({ category, severity, description, bbox, selector, suggestedChange }) => ({
+      category,
+      severity,
+      description: description.trim(),
+      bbox: bbox && {
+        x: Math.round(bbox.x),
+        y: Math.round(bbox.y),
+        width: Math.round(bbox.width),
+        height: Math.round(bbox.height)
+      },
+      selector,
+      suggestedChange: suggestedChange && {
+        property: suggestedChange.property,
+        from: suggestedChange.from === undefined ? null : suggestedChange.from,
+        to: suggestedChange.to
+      }
+    }))
+    .sort((a, b) => FINDING_SEVERITIES.indexOf(a.severity) - FINDING_SEVERITIES.indexOf(b.severity));
+
+  return { summary: value.summary.trim(), findings, errors: [] };
+}
+
+/**
+ * Prompt asking the model to fix an answer that failed validation
+ */
+export function repairPrompt(answer, errors) {
+  return `Your previous answer did not match the required format.
+
+Previous answer:
+${answer}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected analysis. ${FINDINGS_INSTRUCTIONS}`;
+}
+
+/**
+ * Formats a suggested change as CSS, e.g. ".btn.primary { background-color: #4a6cf7; }"
+ */
+export function formatSuggestedChange(finding) {
+  const change = finding.suggestedChange;
+  if (!change) return '';
+  const declaration = `${change.property}: ${change.to};`;
+  return finding.selector ? `${finding.selector} { ${declaration} }` : declaration;
+}
+
+/**
+ * Formats a finding as one line, e.g.
+ * "[high] color: Primary button is lighter (`.btn.primary`) → .btn.primary { background-color: #4a6cf7; }"
+ */
+export function describeFinding(finding) {
+  const where = finding.selector ? ` (\`${finding.selector}\`)` : '';
+  const change = finding.suggestedChange ? ` → ${formatSuggestedChange(finding)}` : '';
+  return `[${finding.severity}] ${finding.category}: ${finding.description}${where}${change}`;
+}
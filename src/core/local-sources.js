@@ -0,0 +1,87 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startStaticServer } from './static-server.js';
+
+const PAGE_EXTENSIONS = ['.html', '.htm', '.xhtml'];
+// Design files compared as images (see design-loaders.js)
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.svg', '.pdf'];
+
+/**
+ * Whether a source is a local page to serve rather than an image: a file://
+ * URL other than one of an image, an .html file or a directory (served with
+ * its index.html)
+ */
+export async function isLocalPage(source) {
+  if (typeof source !== 'string' || /^https?:\/\//.test(source)) {
+    return false;
+  }
+  if (source.startsWith('file://')) {
+    return !IMAGE_EXTENSIONS.includes(path.extname(source.split(/[?#]/)[0]).toLowerCase());
+  }
+  if (PAGE_EXTENSIONS.includes(path.extname(source).toLowerCase())) {
+    return true;
+  }
+  const stats = await fs.stat(source).catch(() => null);
+  return Boolean(stats && stats.isDirectory());
+}
+
+/**
+ * The file path of a file:// URL, so images given as one are read like
+ * paths; other sources are returned as they are
+ */
+export function localPath(source) {
+  return typeof source === 'string' && source.startsWith('file://') ? fileURLToPath(source) : source;
+}
+
+/**
+ * Serves local pages over HTTP so they are captured like deployed ones, with
+ * correct MIME types and relative asset URLs. A page is served from `root`
+ * when it lies inside it (so "../shared/styles.css" resolves), otherwise from
+ * its own directory. One server is started per served directory.
+ *
+ * Note that ignore, captureSteps and states entries matched by URL see the
+ * served URL, e.g. "http://127.0.0.1:54321/index.html"; match local pages
+ * with a leading '*' wildcard and their path.
+ */
+export class LocalSourceServer {
+  constructor(options = {}) {
+    this.root = options.root ? path.resolve(options.root) : null;
+    this.servers = new Map();
+  }
+
+  /**
+   * Returns the http:// URL of a local page, or the source itself when it is
+   * not one
+   */
+  async resolve(source) {
+    if (!(await isLocalPage(source))) {
+      return source;
+    }
+
+    let filePath = path.resolve(source.startsWith('file://') ? fileURLToPath(source) : source);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats) {
+      throw new Error(`Local source not found: ${filePath}`);
+    }
+    if (stats.isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+
+    const insideRoot = this.root && filePath.startsWith(this.root + path.sep);
+    const servedDir = insideRoot ? this.root : path.dirname(filePath);
+    if (!this.servers.has(servedDir)) {
+      this.servers.set(servedDir, startStaticServer(servedDir));
+    }
+    const server = await this.servers.get(servedDir);
+
+    const urlPath = path.relative(servedDir, filePath).split(path.sep).map(encodeURIComponent).join('/');
+    return `${server.url}/${urlPath}`;
+  }
+
+  async close() {
+    const servers = await Promise.all([...this.servers.values()].map(server => server.catch(() => null)));
+    this.servers.clear();
+    await Promise.all(servers.filter(Boolean).map(server => server.close()));
+  }
+}
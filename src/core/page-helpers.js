@@ -0,0 +1,190 @@
+/**
+ * Browser-side helpers shared by the modules that inspect live pages.
+ *
+ * `installPageHelpers(page)` defines `window.__oculusQAsum` in the page so
+ * later `page.evaluate` calls can build selectors consistently:
+ *
+ * - uniqueSelector(el): short unique selector, e.g. ".hero .btn.primary"
+ * - tagClassPath(el): full tag/class path, e.g. "body > section.hero > a.btn"
+ * - structuralPath(el): tag and :nth-of-type chain from <body>
+ * - matchKey(el): id, data-testid or structural path; stable across two
+ *   renderings of the same markup
+ * - accessibleRole(el): explicit or implicit ARIA role, e.g. "link", or null
+ * - accessibleName(el): aria-labelledby, aria-label, alt, label or (for
+ *   links, buttons, headings and the like) text content, e.g. "Pricing"
+ * - captureRect(el): the element's client rect as placed in the last
+ *   screenshot, which differs from getBoundingClientRect() after a stitched
+ *   full-page capture of a scroll container (see full-page.js)
+ */
+function definePageHelpers() {
+  if (window.__oculusQAsum) {
+    return;
+  }
+
+  const isUnique = selector => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const segment = el => {
+    const classes = Array.from(el.classList).filter(Boolean);
+    return classes.length > 0
+      ? '.' + classes.map(cls => CSS.escape(cls)).join('.')
+      : el.tagName.toLowerCase();
+  };
+
+  const nthOfType = el => {
+    const parent = el.parentElement;
+    if (!parent) return '';
+    const sameTag = Array.from(parent.children).filter(child => child.tagName === el.tagName);
+    return sameTag.length > 1 ? `:nth-of-type(${sameTag.indexOf(el) + 1})` : '';
+  };
+
+  const structuralPath = el => {
+    const parts = [];
+    let node = el;
+    while (node && node !== document.documentElement) {
+      parts.unshift(node.tagName.toLowerCase() + nthOfType(node));
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  // Prefix `selector` with classed or id'd ancestors until it is unique
+  const qualify = (el, selector) => {
+    if (isUnique(selector)) {
+      return selector;
+    }
+
+    let ancestor = el.parentElement;
+    while (ancestor && ancestor !== document.documentElement) {
+      if (ancestor.id && isUnique(`#${CSS.escape(ancestor.id)}`)) {
+        selector = `#${CSS.escape(ancestor.id)} ${selector}`;
+      } else if (ancestor.classList.length > 0) {
+        selector = `${segment(ancestor)} ${selector}`;
+      } else {
+        ancestor = ancestor.parentElement;
+        continue;
+      }
+
+      if (isUnique(selector)) {
+        return selector;
+      }
+      ancestor = ancestor.parentElement;
+    }
+
+    return null;
+  };
+
+  const uniqueSelector = el => {
+    if (el.id && isUnique(`#${CSS.escape(el.id)}`)) {
+      return `#${CSS.escape(el.id)}`;
+    }
+
+    // Prefer short, readable selectors such as ".hero .btn.primary",
+    // then the same with a position among siblings, e.g. ".cards .card:nth-of-type(2)"
+    return qualify(el, segment(el)) ||
+      (nthOfType(el) && qualify(el, segment(el) + nthOfType(el))) ||
+      structuralPath(el);
+  };
+
+  const tagClassPath = el => {
+    const parts = [];
+    let node = el;
+    while (node && node !== document.documentElement) {
+      const classes = Array.from(node.classList).filter(Boolean);
+      parts.unshift(node.tagName.toLowerCase() + classes.map(cls => `.${cls}`).join(''));
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  const matchKey = el => {
+    if (el.id) return `#${el.id}`;
+    if (el.dataset && el.dataset.testid) return `[data-testid="${el.dataset.testid}"]`;
+    return structuralPath(el);
+  };
+
+  const implicitRoles = {
+    A: el => (el.hasAttribute('href') ? 'link' : null),
+    BUTTON: () => 'button',
+    NAV: () => 'navigation',
+    MAIN: () => 'main',
+    HEADER: () => 'banner',
+    FOOTER: () => 'contentinfo',
+    FORM: () => 'form',
+    IMG: () => 'img',
+    UL: () => 'list',
+    OL: () => 'list',
+    LI: () => 'listitem',
+    TEXTAREA: () => 'textbox',
+    SELECT: () => 'combobox',
+    INPUT: el => ({ checkbox: 'checkbox', radio: 'radio', submit: 'button', button: 'button' }[el.type] || 'textbox'),
+    H1: () => 'heading',
+    H2: () => 'heading',
+    H3: () => 'heading',
+    H4: () => 'heading',
+    H5: () => 'heading',
+    H6: () => 'heading'
+  };
+
+  const accessibleRole = el => el.getAttribute('role') ||
+    (implicitRoles[el.tagName] ? implicitRoles[el.tagName](el) : null);
+
+  // Roles whose name comes from their content
+  const nameFromContent = new Set([
+    'link', 'button', 'heading', 'tab', 'menuitem', 'option', 'checkbox', 'radio', 'switch', 'cell', 'treeitem'
+  ]);
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+
+  const accessibleName = el => {
+    const labelledBy = (el.getAttribute('aria-labelledby') || '')
+      .split(/\s+/)
+      .map(id => id && document.getElementById(id))
+      .filter(Boolean);
+    if (labelledBy.length > 0) {
+      return clean(labelledBy.map(label => label.textContent).join(' '));
+    }
+    if (el.getAttribute('aria-label')) {
+      return clean(el.getAttribute('aria-label'));
+    }
+    if (el.tagName === 'IMG' || (el.tagName === 'INPUT' && el.type === 'image')) {
+      return clean(el.getAttribute('alt'));
+    }
+    if (el.labels && el.labels.length > 0) {
+      return clean(Array.from(el.labels).map(label => label.textContent).join(' '));
+    }
+    if (nameFromContent.has(accessibleRole(el))) {
+      return clean(el.textContent) || clean(el.getAttribute('title'));
+    }
+    return clean(el.getAttribute('title'));
+  };
+
+  // Content below a stitched scroll container moves down by the content that
+  // was hidden in it; the container and its ancestors grow by as much
+  const captureRect = el => {
+    const rect = el.getBoundingClientRect();
+    const { left, width } = rect;
+    let { top, height } = rect;
+    const layout = window.__oculusQAsumFullPage;
+    const scroller = layout ? document.querySelector('[data-oculus-qasum-scroller]') : null;
+    if (scroller && el.contains(scroller)) {
+      height += layout.shift;
+    } else if (scroller && !scroller.contains(el) && top >= layout.frameBottom) {
+      top += layout.shift;
+    }
+    return { left, top, width, height, right: left + width, bottom: top + height };
+  };
+
+  window.__oculusQAsum = { uniqueSelector, tagClassPath, structuralPath, matchKey, accessibleRole, accessibleName, captureRect };
+}
+
+/**
+ * Makes the helpers available in the page (idempotent)
+ */
+export async function installPageHelpers(page) {
+  await page.evaluate(definePageHelpers);
+}
@@ -0,0 +1,317 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+
+/**
+ * Isolated, timestamped run directories for comparisons.
+ *
+ * Off by default, so results go to outputDir as they always have. When
+ * enabled, every run writes to `<dir>/<run id>/` and records a run.json manifest with
+ * the command, inputs, a snapshot of the configuration (secrets redacted),
+ * browser versions, the git commit and a summary of the results. index.json
+ * in `dir` lists all runs, newest first; it is rebuilt from the manifests on
+ * every change so concurrent runs cannot lose each other's entries.
+ *
+ * Retention: `maxRuns` keeps the newest runs, `maxAgeDays` removes older ones;
+ * null disables either.
+ */
+export const DEFAULT_RUN_OPTIONS = {
+  enabled: false,
+  dir: null, // defaults to <outputDir>/runs
+  retention: {
+    maxRuns: 50,
+    maxAgeDays: null
+  }
+};
+
+const MANIFEST = 'run.json';
+const INDEX = 'index.json';
+const SECRET_KEYS = /(api[-_]?key|token|secret|password)$/i;
+
+/**
+ * Run IDs sort by start time, e.g. "20261019-143005-123-a1b2"
+ */
+export function createRunId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Copies a configuration for the manifest: secrets redacted, functions and
+ * buffers dropped
+ */
+function snapshotConfig(value, key = '') {
+  if (SECRET_KEYS.test(key) && value) {
+    return '[redacted]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => snapshotConfig(item));
+  }
+  if (value && typeof value === 'object') {
+    if (Buffer.isBuffer(value)) return undefined;
+    const copy = {};
+    for (const [name, item] of Object.entries(value)) {
+      const snapshot = snapshotConfig(item, name);
+      if (snapshot !== undefined) copy[name] = snapshot;
+    }
+    return copy;
+  }
+  return typeof value === 'function' ? undefined : value;
+}
+
+function git(args, cwd) {
+  return new Promise(resolve => {
+    execFile('git', args, { cwd, timeout: 5000 }, (error, stdout) => resolve(error ? null : stdout.trim()));
+  });
+}
+
+/**
+ * Commit, branch and whether the working tree has changes; null outside a
+ * git checkout
+ */
+async function gitInfo(cwd = process.cwd()) {
+  const sha = await git(['rev-parse', 'HEAD'], cwd);
+  if (!sha) {
+    return null;
+  }
+  const [branch, status] = await Promise.all([
+    git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd),
+    git(['status', '--porcelain'], cwd)
+  ]);
+  return { sha, branch, dirty: Boolean(status) };
+}
+
+/**
+ * The per-result figures kept in the manifest and compared by diffRuns()
+ */
+function summarizeResult(result, runDir) {
+  return {
+    viewport: result.viewport.name,
+    state: result.state,
+    selector: result.selector,
+    pixelDiffPercentage: result.pixelDiff.diffPercentage,
+    structuralDiffPercentage: result.structuralDiff.structuralDiffPercentage,
+    ssim: result.structuralDiff.ssim,
+    hasSignificantDifferences: result.hasSignificantDifferences,
+    outputDir: path.relative(runDir, result.outputDir) || '.'
+  };
+}
+
+export class RunStore {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_RUN_OPTIONS,
+      ...config,
+      retention: {
+        ...DEFAULT_RUN_OPTIONS.retention,
+        ...config.retention
+      }
+    };
+    if (!this.config.dir) {
+      throw new Error('RunStore needs a runs directory');
+    }
+    this.config.dir = path.resolve(this.config.dir);
+  }
+
+  /**
+   * Creates a run directory and its manifest. `inputs` are the sources,
+   * selector and viewports; `config` is snapshotted.
+   */
+  async createRun({ command = 'compare', inputs = {}, config = {} } = {}) {
+    const startedAt = new Date();
+    const id = createRunId(startedAt);
+    const dir = path.join(this.config.dir, id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const manifest = {
+      id,
+      command,
+      status: 'running',
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      inputs,
+      git: await gitInfo(),
+      node: process.version,
+      browsers: [],
+      config: snapshotConfig(config),
+      totals: null,
+      results: []
+    };
+    await this._writeManifest(dir, manifest);
+    await this.rebuildIndex();
+
+    return { id, dir, manifest };
+  }
+
+  /**
+   * Records the results of a run, or the error that ended it (status
+   * "failed", like runs with significant differences), updates the index
+   * and applies retention
+   */
+  async finishRun(run, results = [], error = null) {
+    const manifest = {
+      ...run.manifest,
+      status: (error || results.some(result => result.hasSignificantDifferences)) ? 'failed' : 'passed',
+      finishedAt: new Date().toISOString(),
+      error: error ? error.message : undefined,
+      browsers: [...new Set(results.map(result => result.browserVersion).filter(Boolean))],
+      totals: {
+        results: results.length,
+        failed: results.filter(result => result.hasSignificantDifferences).length
+      },
+      results: results.map(result => summarizeResult(result, run.dir))
+    };
+    run.manifest = manifest;
+
+    await this._writeManifest(run.dir, manifest);
+    await this.prune();
+    return manifest;
+  }
+
+  /**
+   * Index entries of all runs, newest first
+   */
+  async listRuns() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.config.dir, INDEX), 'utf8')).runs;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return (await this.rebuildIndex()).runs;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Manifest of a run; `id` may be a unique prefix or "latest"
+   */
+  async getRun(id) {
+    const runs = await this.listRuns();
+    const matches = id === 'latest' ? runs.slice(0, 1) : runs.filter(run => run.id.startsWith(id));
+    if (matches.length !== 1) {
+      throw new Error(matches.length === 0 ? `No run matches "${id}"` : `Run ID "${id}" is ambiguous`);
+    }
+    const manifest = JSON.parse(await fs.readFile(path.join(this.config.dir, matches[0].id, MANIFEST), 'utf8'));
+    return { ...manifest, dir: path.join(this.config.dir, manifest.id) };
+  }
+
+  /**
+   * Compares two runs: inputs, git commit, browsers, configuration values
+   * that differ and, per viewport/state/selector, the change in differences
+   */
+  async diffRuns(fromId, toId) {
+    const [from, to] = await Promise.all([this.getRun(fromId), this.getRun(toId)]);
+
+    const flatten = (value, prefix = '', out = {}) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, item] of Object.entries(value)) flatten(item, prefix ? `${prefix}.${key}` : key, out);
+      } else {
+        out[prefix] = JSON.stringify(value);
+      }
+      return out;
+    };
+    const changes = (a, b) => {
+      const before = flatten(a);
+      const after = flatten(b);
+      return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(key => before[key] !== after[key])
+        .sort()
+        .map(key => ({
+          key,
+          from: before[key] === undefined ? undefined : JSON.parse(before[key]),
+          to: after[key] === undefined ? undefined : JSON.parse(after[key])
+        }));
+    };
+
+    const resultKey = result => `${result.viewport}|${result.state || ''}|${result.selector}`;
+    const fromResults = new Map(from.results.map(result => [resultKey(result), result]));
+    const toResults = new Map(to.results.map(result => [resultKey(result), result]));
+    const results = [...new Set([...fromResults.keys(), ...toResults.keys()])].map(key => {
+      const a = fromResults.get(key);
+      const b = toResults.get(key);
+      const { viewport, state, selector } = a || b;
+      return {
+        viewport,
+        state,
+        selector,
+        from: a ? { pixelDiffPercentage: a.pixelDiffPercentage, ssim: a.ssim, hasSignificantDifferences: a.hasSignificantDifferences } : null,
+        to: b ? { pixelDiffPercentage: b.pixelDiffPercentage, ssim: b.ssim, hasSignificantDifferences: b.hasSignificantDifferences } : null,
+        pixelDiffChange: a && b ? b.pixelDiffPercentage - a.pixelDiffPercentage : null
+      };
+    });
+
+    return {
+      from: { id: from.id, startedAt: from.startedAt, status: from.status },
+      to: { id: to.id, startedAt: to.startedAt, status: to.status },
+      inputs: changes(from.inputs, to.inputs),
+      git: changes(from.git, to.git),
+      browsers: changes({ browsers: from.browsers }, { browsers: to.browsers }),
+      config: changes(from.config, to.config),
+      results
+    };
+  }
+
+  /**
+   * Removes runs beyond the retention settings and returns their IDs.
+   * Unfinished runs are kept.
+   */
+  async prune() {
+    const { maxRuns, maxAgeDays } = this.config.retention;
+    const runs = (await this.rebuildIndex()).runs;
+    const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const removed = runs
+      .filter((run, index) => run.status !== 'running' && (
+        (maxRuns && index >= maxRuns) ||
+        (cutoff !== null && new Date(run.startedAt).getTime() < cutoff)
+      ))
+      .map(run => run.id);
+
+    for (const id of removed) {
+      await fs.rm(path.join(this.config.dir, id), { recursive: true, force: true });
+    }
+    if (removed.length > 0) {
+      await this.rebuildIndex();
+    }
+    return removed;
+  }
+
+  /**
+   * Rebuilds index.json from the run manifests
+   */
+  async rebuildIndex() {
+    await fs.mkdir(this.config.dir, { recursive: true });
+    const runs = [];
+    for (const entry of await fs.readdir(this.config.dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      try {
+        const manifest = JSON.parse(await fs.readFile(path.join(this.config.dir, entry.name, MANIFEST), 'utf8'));
+        runs.push({
+          id: manifest.id,
+          command: manifest.command,
+          status: manifest.status,
+          startedAt: manifest.startedAt,
+          finishedAt: manifest.finishedAt,
+          inputs: manifest.inputs,
+          git: manifest.git ? manifest.git.sha : null,
+          totals: manifest.totals
+        });
+      } catch (error) {
+        // Not a run directory (or one being created)
+      }
+    }
+    runs.sort((a, b) => b.id.localeCompare(a.id));
+
+    const index = { updatedAt: new Date().toISOString(), runs };
+    const indexPath = path.join(this.config.dir, INDEX);
+    const temporaryPath = `${indexPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(temporaryPath, JSON.stringify(index, null, 2));
+    await fs.rename(temporaryPath, indexPath);
+    return index;
+  }
+
+  async _writeManifest(dir, manifest) {
+    await fs.writeFile(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+  }
+}
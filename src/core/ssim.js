@@ -0,0 +1,247 @@
+import { PNG } from 'pngjs';
+
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// Standard MS-SSIM scale weights (Wang et al. 2003)
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+/**
+ * Converts RGBA pixels to luma, compositing transparent pixels over white
+ */
+export function toGrayscale(img) {
+  const gray = new Float64Array(img.width * img.height);
+  for (let p = 0; p < gray.length; p++) {
+    const i = p * 4;
+    const alpha = img.data[i + 3] / 255;
+    const luma = 0.299 * img.data[i] + 0.587 * img.data[i + 1] + 0.114 * img.data[i + 2];
+    gray[p] = luma * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+}
+
+/**
+ * Halves a grayscale image by averaging 2×2 blocks
+ */
+function downsample(gray, width, height) {
+  const w = Math.floor(width / 2);
+  const h = Math.floor(height / 2);
+  const out = new Float64Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = 2 * y * width + 2 * x;
+      out[y * w + x] = (gray[i] + gray[i + 1] + gray[i + width] + gray[i + width + 1]) / 4;
+    }
+  }
+  return { gray: out, width: w, height: h };
+}
+
+/**
+ * SSIM of every `windowSize` block (non-overlapping). Returns the per-window
+ * scores and, separately, the contrast-structure term used by MS-SSIM.
+ */
+function windowScores(a, b, width, height, windowSize) {
+  const columns = Math.ceil(width / windowSize);
+  const rows = Math.ceil(height / windowSize);
+  const ssim = new Float64Array(columns * rows);
+  const cs = new Float64Array(columns * rows);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const x0 = col * windowSize;
+      const y0 = row * windowSize;
+      const x1 = Math.min(x0 + windowSize, width);
+      const y1 = Math.min(y0 + windowSize, height);
+      const n = (x1 - x0) * (y1 - y0);
+
+      let sumA = 0;
+      let sumB = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sumA += a[y * width + x];
+          sumB += b[y * width + x];
+        }
+      }
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+
+      let varA = 0;
+      let varB = 0;
+      let cov = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const da = a[y * width + x] - meanA;
+          const db = b[y * width + x] - meanB;
+          varA += da * da;
+          varB += db * db;
+          cov += da * db;
+        }
+      }
+      const divisor = Math.max(n - 1, 1);
+      varA /= divisor;
+      varB /= divisor;
+      cov /= divisor;
+
+      const index = row * columns + col;
+      cs[index] = (2 * cov + C2) / (varA + varB + C2);
+      ssim[index] = ((2 * meanA * meanB + C1) / (meanA * meanA + meanB * meanB + C1)) * cs[index];
+    }
+  }
+
+  return { ssim, cs, columns, rows };
+}
+
+/**
+ * Computes (multi-scale) structural similarity between two images of equal size.
+ *
+ * Options:
+ * - windowSize: SSIM window in pixels (default 8)
+ * - tileSize: size of the tiles in the reported score map (default 64)
+ * - scales: number of MS-SSIM scales, 1 for plain SSIM (default 1, max 5)
+ * - ignoreMask: per-pixel mask (1 = ignored); windows that are mostly
+ *   ignored do not count towards the scores
+ *
+ * Returns the overall score, a tile score map and the full-resolution
+ * per-window scores used to draw a heatmap.
+ */
+export function computeSSIM(imgA, imgB, options = {}) {
+  const {
+    windowSize = 8,
+    tileSize = 64,
+    scales = 1,
+    ignoreMask = null
+  } = options;
+
+  const { width, height } = imgA;
+  const grayA = toGrayscale(imgA);
+  const grayB = toGrayscale(imgB);
+
+  // Full-resolution windows drive the tile map and heatmap
+  const base = windowScores(grayA, grayB, width, height, windowSize);
+  const windowIgnored = new Uint8Array(base.ssim.length);
+  if (ignoreMask) {
+    const counts = new Uint32Array(base.ssim.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (ignoreMask[y * width + x]) {
+          counts[Math.floor(y / windowSize) * base.columns + Math.floor(x / windowSize)]++;
+        }
+      }
+    }
+    for (let i = 0; i < counts.length; i++) {
+      // Windows on the right and bottom edges are clipped to the image
+      const windowWidth = Math.min(windowSize, width - (i % base.columns) * windowSize);
+      const windowHeight = Math.min(windowSize, height - Math.floor(i / base.columns) * windowSize);
+      windowIgnored[i] = counts[i] > (windowWidth * windowHeight) / 2 ? 1 : 0;
+    }
+  }
+
+  const mean = (values, ignored) => {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+      if (ignored && ignored[i]) continue;
+      sum += values[i];
+      count++;
+    }
+    return count > 0 ? sum / count : 1;
+  };
+
+  let score = mean(base.ssim, windowIgnored);
+
+  // Multi-scale: combine contrast-structure at finer scales with full SSIM at the coarsest
+  const scaleCount = Math.min(Math.max(1, scales), MS_SSIM_WEIGHTS.length);
+  if (scaleCount > 1) {
+    const weights = MS_SSIM_WEIGHTS.slice(0, scaleCount);
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    let a = { gray: grayA, width, height };
+    let b = { gray: grayB, width, height };
+    let combined = 1;
+
+    for (let scale = 0; scale < scaleCount; scale++) {
+      const result = scale === 0 ? base : windowScores(a.gray, b.gray, a.width, a.height, windowSize);
+      const last = scale === scaleCount - 1 || a.width < windowSize * 2 || a.height < windowSize * 2;
+      const value = Math.max(mean(last ? result.ssim : result.cs, scale === 0 ? windowIgnored : null), 0);
+      combined *= value ** (weights[scale] / weightSum);
+      if (last) break;
+      a = downsample(a.gray, a.width, a.height);
+      b = downsample(b.gray, b.width, b.height);
+    }
+
+    score = combined;
+  }
+
+  // Aggregate windows into the tile score map
+  const tileColumns = Math.ceil(width / tileSize);
+  const tileRows = Math.ceil(height / tileSize);
+  const tileSums = new Float64Array(tileColumns * tileRows);
+  const tileCounts = new Uint32Array(tileColumns * tileRows);
+  for (let row = 0; row < base.rows; row++) {
+    for (let col = 0; col < base.columns; col++) {
+      const index = row * base.columns + col;
+      if (windowIgnored[index]) continue;
+      const tile = Math.floor((row * windowSize) / tileSize) * tileColumns + Math.floor((col * windowSize) / tileSize);
+      tileSums[tile] += base.ssim[index];
+      tileCounts[tile]++;
+    }
+  }
+
+  const tiles = [];
+  for (let row = 0; row < tileRows; row++) {
+    const scores = [];
+    for (let col = 0; col < tileColumns; col++) {
+      const tile = row * tileColumns + col;
+      scores.push(tileCounts[tile] > 0 ? Number((tileSums[tile] / tileCounts[tile]).toFixed(4)) : null);
+    }
+    tiles.push(scores);
+  }
+
+  return {
+    ssim: score,
+    windowSize,
+    windows: { scores: base.ssim, columns: base.columns, rows: base.rows, ignored: windowIgnored },
+    tiles: { size: tileSize, columns: tileColumns, rows: tileRows, scores: tiles }
+  };
+}
+
+/**
+ * Draws a heatmap of per-window dissimilarity over a faded copy of `baseImg`:
+ * the lower the local SSIM, the stronger the red overlay
+ */
+export function renderSSIMHeatmap(baseImg, result) {
+  const { width, height } = baseImg;
+  const { windowSize, windows } = result;
+  const out = new PNG({ width, height });
+  const gray = toGrayscale(baseImg);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const window = Math.floor(y / windowSize) * windows.columns + Math.floor(x / windowSize);
+      const dissimilarity = windows.ignored[window] ? 0 : Math.min(Math.max(1 - windows.scores[window], 0), 1);
+      const faded = 255 - (255 - gray[p]) * 0.3;
+
+      out.data[p * 4] = Math.round(faded * (1 - dissimilarity) + 255 * dissimilarity);
+      out.data[p * 4 + 1] = Math.round(faded * (1 - dissimilarity));
+      out.data[p * 4 + 2] = Math.round(faded * (1 - dissimilarity));
+      out.data[p * 4 + 3] = 255;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Lists the lowest scoring tiles with their pixel bounds
+ */
+export function worstTiles(tiles, limit = 5) {
+  const list = [];
+  tiles.scores.forEach((row, rowIndex) => row.forEach((score, colIndex) => {
+    if (score === null) return;
+    list.push({
+      score,
+      bbox: { x: colIndex * tiles.size, y: rowIndex * tiles.size, width: tiles.size, height: tiles.size }
+    });
+  }));
+  return list.sort((a, b) => a.score - b.score).slice(0, limit);
+}
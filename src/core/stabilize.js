@@ -0,0 +1,194 @@
+/**
+ * Deterministic rendering for captures. With `stabilize.enabled` both capture
+ * paths:
+ *
+ * - freeze `Date` at `clock` and seed `Math.random` with `seed` (before any
+ *   page script runs)
+ * - disable CSS animations and transitions and hide text carets
+ * - scroll through the page so lazy content loads, then back to the top
+ * - wait for web fonts and for images to load and decode
+ * - wait until `stableFrames` consecutive frames are identical
+ *
+ * Each behavior can be switched off on its own; `clock` and `seed` accept null.
+ */
+export const DEFAULT_STABILIZE_OPTIONS = {
+  enabled: false,
+  animations: true,
+  caret: true,
+  fonts: true,
+  images: true,
+  lazyLoad: true,
+  clock: '2024-01-01T00:00:00.000Z',
+  seed: 1,
+  stableFrames: 2,
+  frameInterval: 100, // ms between frame checks
+  timeout: 10000 // ms to wait for fonts, images and stable frames each
+};
+
+const STABILIZE_CSS = {
+  animations: `
+    *, *::before, *::after {
+      animation-delay: -1ms !important;
+      animation-duration: 1ms !important;
+      animation-iteration-count: 1 !important;
+      animation-play-state: paused !important;
+      transition: none !important;
+      scroll-behavior: auto !important;
+    }`,
+  caret: `
+    *, *::before, *::after {
+      caret-color: transparent !important;
+    }`
+};
+
+/**
+ * Runs in the page before its own scripts: freezes Date and seeds Math.random
+ */
+function freezeNondeterminism({ time, seed }) {
+  if (time !== null) {
+    const NativeDate = Date;
+    const fixed = new NativeDate(time).getTime();
+
+    function FrozenDate(...args) {
+      if (!new.target) {
+        return new NativeDate(fixed).toString();
+      }
+      return new NativeDate(...(args.length > 0 ? args : [fixed]));
+    }
+    FrozenDate.prototype = NativeDate.prototype;
+    FrozenDate.now = () => fixed;
+    FrozenDate.parse = NativeDate.parse;
+    FrozenDate.UTC = NativeDate.UTC;
+
+    window.Date = FrozenDate;
+  }
+
+  if (seed !== null) {
+    // mulberry32
+    let state = seed >>> 0;
+    Math.random = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+/**
+ * Installs the clock and random seed in a browser context; call before
+ * opening pages
+ */
+export async function stabilizeContext(context, options = {}) {
+  const { clock, seed } = { ...DEFAULT_STABILIZE_OPTIONS, ...options };
+  if (clock === null && seed === null) {
+    return;
+  }
+
+  await context.addInitScript(freezeNondeterminism, {
+    time: clock === null ? null : new Date(clock).toISOString(),
+    seed: seed === null ? null : Number(seed)
+  });
+}
+
+/**
+ * Settles a loaded page: disables motion, loads lazy content and waits for
+ * fonts and images
+ */
+export async function stabilizePage(page, options = {}) {
+  const settings = { ...DEFAULT_STABILIZE_OPTIONS, ...options };
+
+  const css = ['animations', 'caret'].filter(name => settings[name]).map(name => STABILIZE_CSS[name]).join('\n');
+  if (css) {
+    await page.addStyleTag({ content: css });
+  }
+
+  if (settings.animations) {
+    // Web Animations API animations are not affected by the stylesheet
+    await page.evaluate(() => {
+      for (const animation of document.getAnimations ? document.getAnimations() : []) {
+        try {
+          animation.finish();
+        } catch (error) {
+          animation.cancel(); // infinite animations cannot finish
+        }
+      }
+    });
+  }
+
+  if (settings.lazyLoad) {
+    await page.evaluate(async ({ maxSteps }) => {
+      for (const img of document.querySelectorAll('img[loading="lazy"]')) {
+        img.loading = 'eager';
+      }
+
+      const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+      const { scrollX, scrollY } = window;
+      for (let step = 0; step < maxSteps; step++) {
+        const before = window.scrollY;
+        window.scrollBy(0, window.innerHeight);
+        await pause(100);
+        if (window.scrollY === before) break;
+      }
+      window.scrollTo(scrollX, scrollY);
+    }, { maxSteps: 50 });
+  }
+
+  const waits = [];
+  if (settings.fonts) {
+    waits.push(page.evaluate(() => document.fonts.ready.then(() => true)));
+  }
+  if (settings.images) {
+    waits.push(page.evaluate(() => Promise.all(Array.from(document.images).map(img => {
+      const loaded = img.complete
+        ? Promise.resolve()
+        : new Promise(resolve => {
+          img.addEventListener('load', resolve, { once: true });
+          img.addEventListener('error', resolve, { once: true });
+        });
+      return loaded.then(() => (img.naturalWidth > 0 && img.decode ? img.decode().catch(() => {}) : null));
+    })).then(() => true)));
+  }
+
+  try {
+    await withTimeout(Promise.all(waits), settings.timeout, 'fonts and images');
+  } catch (error) {
+    console.warn(`${error.message} on ${page.url()}; capturing anyway`);
+  }
+}
+
+/**
+ * Waits until `stableFrames` consecutive screenshots are identical. Returns
+ * false (and leaves it to the caller to capture anyway) on timeout.
+ */
+export async function waitForStableFrames(page, options = {}) {
+  const { stableFrames, frameInterval, timeout } = { ...DEFAULT_STABILIZE_OPTIONS, ...options };
+  const deadline = Date.now() + timeout;
+
+  let previous = await page.screenshot();
+  let identical = 1;
+  while (identical < stableFrames) {
+    if (Date.now() > deadline) {
+      return false;
+    }
+    await page.waitForTimeout(frameInterval);
+    const frame = await page.screenshot();
+    identical = frame.equals(previous) ? identical + 1 : 1;
+    previous = frame;
+  }
+
+  return true;
+}
+
+async function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms waiting for ${what}`)), ms);
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
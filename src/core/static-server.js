@@ -0,0 +1,87 @@
+import http from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Serves a directory over HTTP on 127.0.0.1 so static builds (Storybook,
+ * exported sites) are captured the same way as deployed pages.
+ *
+ * Directory requests serve their index.html. Options: `port` (default: a free
+ * one). Returns { url, port, close() }.
+ */
+export async function startStaticServer(root, options = {}) {
+  const { port = 0 } = options;
+  const rootDir = path.resolve(root);
+  const stats = await fs.stat(rootDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Cannot serve ${rootDir}: not a directory`);
+  }
+
+  const server = http.createServer(async (request, response) => {
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      let filePath = path.join(rootDir, decodeURIComponent(pathname));
+      if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+        response.writeHead(403).end();
+        return;
+      }
+
+      const fileStats = await fs.stat(filePath).catch(() => null);
+      if (fileStats && fileStats.isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+      }
+
+      const body = await fs.readFile(filePath);
+      response.writeHead(200, {
+        'content-type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'content-length': body.length,
+        'cache-control': 'no-store'
+      });
+      response.end(request.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+      response.writeHead(error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500).end();
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  const { port: actualPort } = server.address();
+  return {
+    url: `http://127.0.0.1:${actualPort}`,
+    port: actualPort,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      if (server.closeAllConnections) {
+        server.closeAllConnections(); // keep-alive connections would hold close() open
+      }
+    })
+  };
+}
@@ -0,0 +1,169 @@
+import { installPageHelpers } from './page-helpers.js';
+
+// Properties compared by default; shorthands keep findings readable
+export const DEFAULT_STYLE_PROPERTIES = [
+  'color',
+  'background-color',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style',
+  'line-height',
+  'letter-spacing',
+  'margin',
+  'padding',
+  'gap',
+  'row-gap',
+  'column-gap',
+  'border-width',
+  'border-style',
+  'border-color',
+  'border-radius',
+  'box-shadow'
+];
+
+// Inherited properties are only reported on the element where they diverge
+const INHERITED_PROPERTIES = new Set([
+  'color',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style',
+  'line-height',
+  'letter-spacing'
+]);
+
+/**
+ * Collects computed values of `properties` for every element inside
+ * `rootSelector`. Returns a map of match key to
+ * { key, parentKey, selector, path, styles }.
+ */
+export async function collectComputedStyles(page, rootSelector = 'body', options = {}) {
+  const {
+    properties = DEFAULT_STYLE_PROPERTIES,
+    maxElements = 2000
+  } = options;
+
+  await installPageHelpers(page);
+
+  const entries = await page.evaluate(({ rootSelector, properties, maxElements }) => {
+    const root = document.querySelector(rootSelector);
+    if (!root) {
+      return [];
+    }
+
+    const { uniqueSelector, tagClassPath, matchKey } = window.__oculusQAsum;
+    const elements = [root, ...root.querySelectorAll('*')].slice(0, maxElements);
+
+    return elements.map(el => {
+      const computed = window.getComputedStyle(el);
+      const styles = {};
+      for (const property of properties) {
+        styles[property] = computed.getPropertyValue(property).trim();
+      }
+
+      return {
+        key: matchKey(el),
+        parentKey: el === root || !el.parentElement ? null : matchKey(el.parentElement),
+        selector: uniqueSelector(el),
+        path: tagClassPath(el),
+        styles
+      };
+    });
+  }, { rootSelector, properties, maxElements });
+
+  return Object.fromEntries(entries.map(entry => [entry.key, entry]));
+}
+
+/**
+ * Compares two CSS values, treating numbers within `tolerance` as equal
+ * (e.g. "24px" vs "24.2px" with the default 0.5 tolerance)
+ */
+function valuesDiffer(a, b, tolerance) {
+  const normalize = value => String(value).replace(/\s+/g, ' ').trim();
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) {
+    return false;
+  }
+
+  const numberPattern = /-?\d*\.?\d+(?:e-?\d+)?/gi;
+  if (left.replace(numberPattern, '#') !== right.replace(numberPattern, '#')) {
+    return true;
+  }
+
+  const leftNumbers = left.match(numberPattern) || [];
+  const rightNumbers = right.match(numberPattern) || [];
+  return leftNumbers.some((value, i) => Math.abs(Number(value) - Number(rightNumbers[i])) > tolerance);
+}
+
+/**
+ * Diffs computed styles collected from the design page and the implementation.
+ *
+ * Elements are matched by key (id, data-testid or structural path). Each
+ * difference lists the implementation selector and both values.
+ */
+export function diffComputedStyles(designStyles, implementationStyles, options = {}) {
+  const {
+    properties = DEFAULT_STYLE_PROPERTIES,
+    tolerance = 0.5,
+    maxDifferences = 200
+  } = options;
+
+  const differences = [];
+  const byProperty = {};
+  let matchedElements = 0;
+
+  for (const [key, impl] of Object.entries(implementationStyles)) {
+    const design = designStyles[key];
+    if (!design) continue;
+
+    matchedElements++;
+
+    for (const property of properties) {
+      const designValue = design.styles[property];
+      const implValue = impl.styles[property];
+      if (!valuesDiffer(designValue, implValue, tolerance)) continue;
+
+      // Skip inherited values that merely repeat the parent's difference
+      if (INHERITED_PROPERTIES.has(property) && impl.parentKey) {
+        const parentImpl = implementationStyles[impl.parentKey];
+        const parentDesign = designStyles[impl.parentKey];
+        if (
+          parentImpl && parentDesign &&
+          parentImpl.styles[property] === implValue &&
+          parentDesign.styles[property] === designValue
+        ) {
+          continue;
+        }
+      }
+
+      byProperty[property] = (byProperty[property] || 0) + 1;
+      differences.push({
+        selector: impl.selector,
+        path: impl.path,
+        property,
+        design: designValue,
+        implementation: implValue
+      });
+    }
+  }
+
+  return {
+    matchedElements,
+    unmatched: {
+      design: Object.keys(designStyles).filter(key => !implementationStyles[key]).length,
+      implementation: Object.keys(implementationStyles).filter(key => !designStyles[key]).length
+    },
+    totalDifferences: differences.length,
+    byProperty,
+    differences: differences.slice(0, maxDifferences)
+  };
+}
+
+/**
+ * Formats a style difference, e.g. ".cards gap: 30px (design) vs 24px (implementation)"
+ */
+export function describeStyleDifference(difference) {
+  return `${difference.selector} ${difference.property}: ${difference.design} (design) vs ${difference.implementation} (implementation)`;
+}
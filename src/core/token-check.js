@@ -0,0 +1,338 @@
+import { promises as fs } from 'fs';
+import { parseColor } from './image-utils.js';
+import { rgbToLab, deltaE2000 } from './color-diff.js';
+
+// Computed-style properties checked by default and the token type they must use.
+// An entry can also be { type, group } to only accept tokens under a name
+// prefix, e.g. { type: 'dimension', group: 'spacing' }.
+export const DEFAULT_TOKEN_PROPERTIES = {
+  'color': 'color',
+  'background-color': 'color',
+  'border-color': 'color',
+  'font-family': 'fontFamily',
+  'font-size': 'dimension',
+  'font-weight': 'fontWeight',
+  'margin': 'dimension',
+  'padding': 'dimension',
+  'gap': 'dimension',
+  'row-gap': 'dimension',
+  'column-gap': 'dimension',
+  'border-width': 'dimension',
+  'border-radius': 'dimension'
+};
+
+const FONT_WEIGHTS = {
+  thin: 100,
+  hairline: 100,
+  'extra-light': 200,
+  'ultra-light': 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  book: 400,
+  medium: 500,
+  'semi-bold': 600,
+  'demi-bold': 600,
+  bold: 700,
+  'extra-bold': 800,
+  'ultra-bold': 800,
+  black: 900,
+  heavy: 900
+};
+
+// Computed values that never need a token
+const NEUTRAL_VALUES = new Set(['0px', 'auto', 'normal', 'none', 'inherit', 'initial', 'rgba(0, 0, 0, 0)', 'transparent']);
+
+/**
+ * Parses a CSS color into { rgb: [r, g, b], alpha }, or null
+ */
+function parseCssColor(value) {
+  const text = String(value).trim().toLowerCase();
+
+  const hex = text.match(/^#([0-9a-f]{4}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length === 4 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return { rgb: parseColor(`#${digits.slice(0, 6)}`), alpha: parseInt(digits.slice(6), 16) / 255 };
+  }
+
+  try {
+    const alpha = text.match(/^rgba\(.*[,\s/]\s*([\d.]+%?)\s*\)$/);
+    return {
+      rgb: parseColor(text),
+      alpha: alpha ? (alpha[1].endsWith('%') ? parseFloat(alpha[1]) / 100 : Number(alpha[1])) : 1
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses a CSS length in px (rem/em relative to `remSize`), or null
+ */
+function parseDimension(value, remSize) {
+  if (value && typeof value === 'object' && 'value' in value) {
+    value = `${value.value}${value.unit || 'px'}`;
+  }
+  const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|rem|em)?$/);
+  if (!match) return null;
+  const number = Number(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * remSize : number;
+}
+
+function parseFontWeight(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().toLowerCase().replace(/[\s_]/g, '-');
+  return FONT_WEIGHTS[text] || (Number.isFinite(Number(text)) ? Number(text) : null);
+}
+
+function parseFontFamily(value) {
+  const first = Array.isArray(value) ? value[0] : String(value).split(',')[0];
+  return first ? first.trim().replace(/^["']|["']$/g, '').toLowerCase() : null;
+}
+
+/**
+ * Guesses the type of an untyped (Style Dictionary) token from its value and name
+ */
+function inferTokenType(name, value) {
+  const lowerName = name.toLowerCase();
+  if (/font-?weight/.test(lowerName)) return 'fontWeight';
+  if (/font-?family/.test(lowerName)) return 'fontFamily';
+  if (typeof value === 'string' && parseCssColor(value)) return 'color';
+  if (parseDimension(value, 16) !== null) return 'dimension';
+  return null;
+}
+
+/**
+ * Flattens a design-tokens document into [{ name, type, value, parsed }].
+ *
+ * Supports the W3C Design Tokens format ($value, $type inherited from groups,
+ * "{group.token}" aliases) and Style Dictionary sources (value, type or
+ * attributes.category). Tokens of types that cannot be checked against
+ * computed styles are skipped.
+ */
+export function parseDesignTokens(document, options = {}) {
+  const { remSize = 16 } = options;
+  const raw = new Map();
+
+  const walk = (node, trail, inheritedType) => {
+    if (!node || typeof node !== 'object') return;
+    const groupType = node.$type || inheritedType;
+
+    if ('$value' in node) {
+      raw.set(trail.join('.'), { value: node.$value, type: node.$type || inheritedType });
+      return;
+    }
+    if ('value' in node && (typeof node.value !== 'object' || node.type || node.$type)) {
+      raw.set(trail.join('.'), {
+        value: node.value,
+        type: node.type || node.$type || (node.attributes && node.attributes.category) || inheritedType
+      });
+      return;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      if (!key.startsWith('$')) {
+        walk(child, [...trail, key], groupType);
+      }
+    }
+  };
+  walk(document, [], undefined);
+
+  const resolve = (value, depth = 0) => {
+    const alias = typeof value === 'string' && value.match(/^\{([^}]+)\}$/);
+    if (!alias) return value;
+    // Style Dictionary references may end in ".value"
+    const target = raw.get(alias[1]) || raw.get(alias[1].replace(/\.value$/, ''));
+    if (!target || depth > 10) {
+      throw new Error(`Unresolved design token alias: ${value}`);
+    }
+    return resolve(target.value, depth + 1);
+  };
+
+  const tokens = [];
+  for (const [name, token] of raw) {
+    let value = resolve(token.value);
+    if (value && typeof value === 'object' && value.hex) {
+      value = value.hex; // W3C color object ({ colorSpace, components, hex })
+    } else if (value && typeof value === 'object' && 'value' in value && 'unit' in value) {
+      value = `${value.value}${value.unit}`; // W3C dimension object ({ value, unit })
+    }
+
+    const declared = String(token.type || '').toLowerCase();
+    const type = {
+      color: 'color',
+      dimension: 'dimension',
+      size: 'dimension',
+      spacing: 'dimension',
+      fontweight: 'fontWeight',
+      fontfamily: 'fontFamily'
+    }[declared] || (declared ? null : inferTokenType(name, value));
+
+    const parsed = {
+      color: () => parseCssColor(value),
+      dimension: () => parseDimension(value, remSize),
+      fontWeight: () => parseFontWeight(value),
+      fontFamily: () => parseFontFamily(value)
+    }[type];
+
+    const parsedValue = parsed ? parsed() : null;
+    if (parsedValue !== null) {
+      tokens.push({ name, type, value: Array.isArray(value) ? value.join(', ') : String(value), parsed: parsedValue });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Reads and parses a design-tokens JSON file
+ */
+export async function loadDesignTokens(filePath, options = {}) {
+  let document;
+  try {
+    document = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read design tokens from ${filePath}: ${error.message}`);
+  }
+
+  const tokens = parseDesignTokens(document, options);
+  if (tokens.length === 0) {
+    throw new Error(`No color, dimension or font tokens found in ${filePath}`);
+  }
+  return tokens;
+}
+
+/**
+ * Splits a computed value into the individual values to check
+ * (e.g. "0px 16px" → ["0px", "16px"], colors in border-color one by one)
+ */
+function splitValues(type, value) {
+  if (type === 'color') {
+    return value.match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}/gi) || [];
+  }
+  if (type === 'fontFamily') {
+    return [value];
+  }
+  return [...new Set(value.split(/\s+/).filter(Boolean))];
+}
+
+const toHex = rgb => `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Distance between a computed value and a token of the same type
+ */
+function distance(type, a, b) {
+  switch (type) {
+    case 'color':
+      return deltaE2000(rgbToLab(...a.rgb), rgbToLab(...b.rgb)) + Math.abs(a.alpha - b.alpha) * 100;
+    case 'dimension':
+      return Math.abs(Math.abs(a) - b);
+    case 'fontWeight':
+      return Math.abs(a - b);
+    default:
+      return a === b ? 0 : Infinity;
+  }
+}
+
+/**
+ * Checks computed styles (from collectComputedStyles) against design tokens.
+ *
+ * Every distinct property/value pair that matches no token of the expected
+ * type is reported once, with how often and where it occurs and the nearest
+ * token as a suggestion. Colors match within `colorTolerance` (ΔE2000),
+ * dimensions within `tolerance` px.
+ */
+export function checkTokenConformance(styles, tokens, options = {}) {
+  const {
+    properties = DEFAULT_TOKEN_PROPERTIES,
+    tolerance = 0.5,
+    colorTolerance = 1,
+    remSize = 16,
+    maxViolations = 100
+  } = options;
+
+  const parse = {
+    color: parseCssColor,
+    dimension: value => parseDimension(value, remSize),
+    fontWeight: parseFontWeight,
+    fontFamily: parseFontFamily
+  };
+  const limitFor = type => (type === 'color' ? colorTolerance : type === 'dimension' ? tolerance : 0);
+
+  const checked = new Map();
+
+  for (const element of Object.values(styles)) {
+    for (const [property, rule] of Object.entries(properties)) {
+      const { type, group } = typeof rule === 'string' ? { type: rule } : rule;
+      const computed = element.styles[property];
+      if (!computed || !parse[type]) continue;
+
+      for (const value of splitValues(type, computed)) {
+        if (NEUTRAL_VALUES.has(value)) continue;
+
+        const key = `${property}|${value}`;
+        if (!checked.has(key)) {
+          const parsed = parse[type](value);
+          if (parsed === null || (type === 'color' && parsed.alpha === 0)) {
+            checked.set(key, null);
+            continue;
+          }
+
+          const candidates = tokens.filter(token =>
+            token.type === type && (!group || token.name === group || token.name.startsWith(`${group}.`))
+          );
+          let nearest = null;
+          for (const token of candidates) {
+            const d = distance(type, parsed, token.parsed);
+            if (!nearest || d < nearest.distance) {
+              nearest = { token: token.name, value: token.value, distance: d };
+            }
+          }
+
+          checked.set(key, {
+            property,
+            type,
+            value: type === 'color' && parsed.alpha === 1 ? toHex(parsed.rgb) : value,
+            conforms: nearest !== null && nearest.distance <= limitFor(type),
+            suggestion: nearest && Number.isFinite(nearest.distance)
+              ? { ...nearest, distance: Number(nearest.distance.toFixed(2)) }
+              : null,
+            occurrences: 0,
+            selectors: []
+          });
+        }
+
+        const entry = checked.get(key);
+        if (!entry || entry.conforms) continue;
+        entry.occurrences++;
+        if (entry.selectors.length < 5 && !entry.selectors.includes(element.selector)) {
+          entry.selectors.push(element.selector);
+        }
+      }
+    }
+  }
+
+  const entries = [...checked.values()].filter(Boolean);
+  const violations = entries
+    .filter(entry => !entry.conforms)
+    .map(({ conforms, ...entry }) => entry)
+    .sort((a, b) => b.occurrences - a.occurrences);
+
+  return {
+    tokenCount: tokens.length,
+    checkedValues: entries.length,
+    totalViolations: violations.length,
+    violations: violations.slice(0, maxViolations)
+  };
+}
+
+/**
+ * Formats a violation, e.g. "background-color #6a7cf7 (12×, .btn.primary) → color.primary (#4a6cf7)"
+ */
+export function describeTokenViolation(violation) {
+  const where = `${violation.occurrences}×, ${violation.selectors.slice(0, 2).join(', ')}`;
+  const suggestion = violation.suggestion
+    ? ` → ${violation.suggestion.token} (${violation.suggestion.value})`
+    : '';
+  return `${violation.property} ${violation.value} (${where})${suggestion}`;
+}
@@ -0,0 +1,107 @@
+import { devices } from 'playwright';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DEFAULT_VIEWPORT = { name: 'desktop', width: 1920, height: 1080, deviceScaleFactor: 1 };
+
+const slug = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Normalizes a viewport entry. `device` names a Playwright device descriptor
+ * (e.g. "iPhone 13") whose size, scale, user agent and touch settings are
+ * used unless the entry overrides them.
+ */
+export function resolveViewport(viewport) {
+  let descriptor = {};
+  if (viewport.device) {
+    descriptor = devices[viewport.device];
+    if (!descriptor) {
+      throw new Error(`Unknown device descriptor: ${viewport.device}`);
+    }
+  }
+
+  const size = descriptor.viewport || {};
+  return {
+    ...viewport,
+    name: viewport.name || (viewport.device ? slug(viewport.device) : `${viewport.width}x${viewport.height}`),
+    width: viewport.width || size.width || DEFAULT_VIEWPORT.width,
+    height: viewport.height || size.height || DEFAULT_VIEWPORT.height,
+    deviceScaleFactor: viewport.deviceScaleFactor || descriptor.deviceScaleFactor || 1,
+    isMobile: viewport.isMobile !== undefined ? viewport.isMobile : Boolean(descriptor.isMobile),
+    hasTouch: viewport.hasTouch !== undefined ? viewport.hasTouch : Boolean(descriptor.hasTouch),
+    userAgent: viewport.userAgent || descriptor.userAgent
+  };
+}
+
+/**
+ * Picks viewports by name from the configured list. Names that are not
+ * configured but match a Playwright device descriptor are accepted too.
+ */
+export function selectViewports(configured = [], names = null) {
+  const viewports = (configured.length > 0 ? configured : [DEFAULT_VIEWPORT]).map(resolveViewport);
+  if (!names || names.length === 0) {
+    return viewports;
+  }
+
+  return names.map(name => {
+    const viewport = viewports.find(candidate => candidate.name === name);
+    if (viewport) return viewport;
+    if (devices[name]) return resolveViewport({ device: name });
+    throw new Error(`Unknown viewport "${name}" (configured: ${viewports.map(v => v.name).join(', ')})`);
+  });
+}
+
+/**
+ * Browser context options for a resolved viewport
+ */
+export function contextOptionsFor(viewport) {
+  const options = {
+    viewport: { width: viewport.width, height: viewport.height },
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    isMobile: viewport.isMobile,
+    hasTouch: viewport.hasTouch
+  };
+  if (viewport.userAgent) {
+    options.userAgent = viewport.userAgent;
+  }
+  return options;
+}
+
+/**
+ * Finds the variant of a design file for a viewport, e.g. "homepage@mobile.png"
+ * or "homepage@mobile@2x.png" next to "homepage.png". With an interaction
+ * `state` name, "homepage@mobile@hover-card.png" and "homepage@hover-card.png"
+ * are tried first. Falls back to the file itself.
+ */
+export async function pairViewportFile(filePath, viewport, state = null) {
+  const { dir, name, ext } = path.parse(filePath);
+  const base = name.replace(/@\d+(?:\.\d+)?x$/, '');
+  const variants = state
+    ? [`${viewport.name}@${state}`, state, viewport.name]
+    : [viewport.name];
+  const candidates = variants.flatMap(variant => [
+    `${base}@${variant}${ext}`,
+    `${base}@${variant}@${viewport.deviceScaleFactor}x${ext}`,
+    ...[1, 2, 3].map(scale => `${base}@${variant}@${scale}x${ext}`)
+  ]);
+
+  for (const candidate of candidates) {
+    const candidatePath = path.join(dir, candidate);
+    try {
+      await fs.access(candidatePath);
+      return candidatePath;
+    } catch (error) {
+      // Try the next naming convention
+    }
+  }
+
+  return filePath;
+}
+
+/**
+ * Export scale of a design file from its name ("hero@2x.png" → 2), or 1
+ */
+export function designScaleOf(filePath) {
+  const match = path.parse(filePath).name.match(/@(\d+(?:\.\d+)?)x$/);
+  return match ? Number(match[1]) : 1;
+}
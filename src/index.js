@@ -1,7 +1,10 @@
-import { VisualComparisonEngine } from './src/core/comparison-engine.js';
-import { IssueTracker } from './src/integrations/issue-tracker.js';
-import { FixGenerator } from './src/core/fix-generator.js';
-import { LiveMonitor } from './src/core/live-monitor.js';
+import path from 'path';
+import { VisualComparisonEngine } from './core/comparison-engine.js';
+import { IssueTracker } from './integrations/issue-tracker.js';
+import { FixGenerator } from './core/fix-generator.js';
+import { LiveMonitor } from './core/live-monitor.js';
+import { BatchRunner } from './core/batch-runner.js';
+import { generateHtmlReport } from './core/html-report.js';
 
 
 /**
@@ -43,6 +46,69 @@ class OculusQAsum {
     return await this.comparisonEngine.runComparison(designSource, implSource, selector);
   }
   
+  /**
+   * Compare design mockup with implementation at several viewports
+   * 
+   * @param {string} designSource - URL or file path to design mockup
+   * @param {string} implSource - URL or file path to implementation
+   * @param {string} selector - CSS selector to compare
+   * @param {string[]} viewports - Viewport or device names (default: all configured)
+   * @returns {Promise<Object[]>} - One comparison result per viewport
+   */
+  async compareViewports(designSource, implSource, selector = 'body', viewports = null) {
+    return await this.comparisonEngine.compareViewports(designSource, implSource, selector, viewports);
+  }
+  
+  /**
+   * Run the comparisons listed in a batch manifest in parallel
+   * 
+   * @param {string} manifestPath - Path to a YAML or JSON batch manifest
+   * @param {Object} options - Batch options (concurrency, outputDir)
+   * @returns {Promise<Object>} - Aggregated summary, also written to summary.json
+   */
+  async compareBatch(manifestPath, options = {}) {
+    const batchRunner = new BatchRunner({
+      ...options,
+      comparison: this.config.comparison
+    });
+    return await batchRunner.run(manifestPath);
+  }
+  
+  /**
+   * Write a self-contained HTML report for comparison or monitoring results
+   * 
+   * @param {Object|Object[]} results - runComparison() or runCheck() results
+   * @param {Object} options - Report options (outputPath, title)
+   * @returns {Promise<string>} - Path of the written report
+   */
+  async generateReport(results, options = {}) {
+    return await generateHtmlReport(results, {
+      outputPath: path.join(this.comparisonEngine.config.outputDir, 'report.html'),
+      ...options
+    });
+  }
+  
+  /**
+   * List past compare runs, newest first. Runs are recorded with
+   * config.comparison.runs.enabled.
+   * 
+   * @returns {Promise<Object[]>} - Run index entries
+   */
+  async listRuns() {
+    return await this.comparisonEngine.runStore.listRuns();
+  }
+  
+  /**
+   * Compare the inputs, environment, configuration and results of two runs
+   * 
+   * @param {string} fromId - Run ID, unique prefix or "latest"
+   * @param {string} toId - Run ID, unique prefix or "latest"
+   * @returns {Promise<Object>} - Run diff
+   */
+  async diffRuns(fromId, toId) {
+    return await this.comparisonEngine.runStore.diffRuns(fromId, toId);
+  }
+  
   /**
    * Create GitHub issue for visual discrepancies
    * 
@@ -0,0 +1,416 @@
+import { promises as fs } from 'fs';
+import { parseColor } from '../core/image-utils.js';
+import { rgbToLab, deltaE2000 } from '../core/color-diff.js';
+import { installPageHelpers } from '../core/page-helpers.js';
+
+/**
+ * Figma file exports as design specs. Reads the JSON saved from the REST API
+ * (GET /v1/files/:key or /v1/files/:key/nodes) and turns each frame into
+ * layer specs: box relative to the frame, fills, text style, corner radius
+ * and auto-layout direction, gap and padding.
+ *
+ * Layers are checked against the implementation element they map to:
+ *
+ *   selectors: { 'Header / Nav': 'nav.main' }  → by layer path, name or id
+ *   layer named ".btn.primary" or "#hero"      → the name is the selector
+ *   any other layer "Nav links"                → [data-testid="Nav links"]
+ *
+ * The frame itself maps to the compared element (`selector`). Geometry is in
+ * CSS px, which is what Figma units are in a 1x frame.
+ */
+export const DEFAULT_FIGMA_OPTIONS = {
+  file: null, // REST API JSON export; enables the check
+  frame: null, // frame name or id; the first frame when null
+  selectors: {}, // layer path, name or id -> CSS selector
+  tolerance: 1, // px
+  colorTolerance: 2, // ΔE2000
+  maxFindings: 100
+};
+
+const FRAME_TYPES = new Set(['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE']);
+
+const round = value => Math.round(value * 100) / 100;
+
+const figmaColor = (color, opacity = 1) => ({
+  rgb: [color.r, color.g, color.b].map(channel => Math.round(channel * 255)),
+  alpha: round((color.a === undefined ? 1 : color.a) * opacity)
+});
+
+const formatColor = ({ rgb, alpha }) => (alpha === 1
+  ? `#${rgb.map(channel => channel.toString(16).padStart(2, '0')).join('')}`
+  : `rgba(${rgb.join(', ')}, ${alpha})`);
+
+/**
+ * Parses a computed CSS color into { rgb, alpha }, or null
+ */
+function parseCssColor(value) {
+  try {
+    const alpha = String(value).match(/^rgba\(.*,\s*([\d.]+)\s*\)$/);
+    return { rgb: parseColor(value), alpha: alpha ? Number(alpha[1]) : 1 };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Visible solid fills of a node, topmost last
+ */
+function solidFills(node) {
+  return (node.fills || [])
+    .filter(fill => fill.type === 'SOLID' && fill.visible !== false && fill.color)
+    .map(fill => formatColor(figmaColor(fill.color, fill.opacity === undefined ? 1 : fill.opacity)));
+}
+
+/**
+ * The spec of one layer, relative to `origin` (the frame's top left corner)
+ */
+function layerSpec(node, path, origin) {
+  const bounds = node.absoluteBoundingBox || { x: origin.x, y: origin.y, width: 0, height: 0 };
+  const style = node.type === 'TEXT' ? node.style || {} : null;
+  const layoutMode = node.layoutMode && node.layoutMode !== 'NONE' ? node.layoutMode : null;
+
+  return {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    path: path.join(' / '),
+    box: {
+      x: round(bounds.x - origin.x),
+      y: round(bounds.y - origin.y),
+      width: round(bounds.width),
+      height: round(bounds.height)
+    },
+    fills: solidFills(node),
+    text: style
+      ? {
+        characters: node.characters,
+        fontFamily: style.fontFamily,
+        fontSize: style.fontSize,
+        fontWeight: style.fontWeight,
+        lineHeight: style.lineHeightUnit === 'INTRINSIC_%' ? null : style.lineHeightPx,
+        letterSpacing: style.letterSpacing,
+        textAlign: style.textAlignHorizontal ? style.textAlignHorizontal.toLowerCase() : null
+      }
+      : null,
+    layout: layoutMode
+      ? {
+        direction: layoutMode === 'HORIZONTAL' ? 'horizontal' : 'vertical',
+        // "Auto" spacing distributes the children; there is no fixed gap then
+        gap: node.primaryAxisAlignItems === 'SPACE_BETWEEN' ? null : node.itemSpacing || 0,
+        wrap: node.layoutWrap === 'WRAP',
+        padding: {
+          top: node.paddingTop || 0,
+          right: node.paddingRight || 0,
+          bottom: node.paddingBottom || 0,
+          left: node.paddingLeft || 0
+        }
+      }
+      : null,
+    cornerRadius: node.cornerRadius !== undefined
+      ? node.cornerRadius
+      : node.rectangleCornerRadii ? node.rectangleCornerRadii[0] : null
+  };
+}
+
+/**
+ * Frame specs of a Figma REST API document: { name, frames: [{ id, name,
+ * page, box, spec, layers }] } where `spec` describes the frame itself.
+ * Hidden layers are skipped; frames inside sections are included.
+ */
+export function parseFigmaFile(document) {
+  const roots = document.nodes
+    ? Object.values(document.nodes).map(entry => entry && entry.document).filter(Boolean)
+    : [document.document];
+  if (roots.length === 0 || !roots[0]) {
+    throw new Error('Not a Figma file export: expected a "document" or "nodes" property');
+  }
+
+  const frames = [];
+  const collectLayers = (node, path, origin, layers) => {
+    for (const child of node.children || []) {
+      if (child.visible === false) continue;
+      const childPath = [...path, child.name];
+      layers.push(layerSpec(child, childPath, origin));
+      collectLayers(child, childPath, origin, layers);
+    }
+    return layers;
+  };
+  const addFrame = (node, page) => {
+    const origin = node.absoluteBoundingBox || { x: 0, y: 0, width: 0, height: 0 };
+    frames.push({
+      id: node.id,
+      name: node.name,
+      page,
+      box: { x: origin.x, y: origin.y, width: origin.width, height: origin.height },
+      spec: layerSpec(node, [], origin),
+      layers: collectLayers(node, [], origin, [])
+    });
+  };
+  const walk = (node, page) => {
+    if (node.visible === false) return;
+    if (FRAME_TYPES.has(node.type) && (page !== null || node.absoluteBoundingBox)) {
+      addFrame(node, page);
+      return;
+    }
+    for (const child of node.children || []) {
+      walk(child, node.type === 'CANVAS' ? node.name : page);
+    }
+  };
+  roots.forEach(root => walk(root, null));
+
+  return { name: document.name, frames };
+}
+
+/**
+ * Reads and parses a Figma JSON export
+ */
+export async function loadFigmaFile(filePath) {
+  let document;
+  try {
+    document = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read Figma export from ${filePath}: ${error.message}`);
+  }
+  return parseFigmaFile(document);
+}
+
+/**
+ * Reads a Figma JSON export and returns the frame named (or with the id)
+ * `frame`, or the first one
+ */
+export async function loadFigmaFrame(filePath, frame = null) {
+  const { frames } = await loadFigmaFile(filePath);
+  const match = frame === null ? frames[0] : frames.find(candidate => candidate.name === frame || candidate.id === frame);
+  if (!match) {
+    throw new Error(frame === null
+      ? `No frames found in ${filePath}`
+      : `No frame "${frame}" in ${filePath} (frames: ${frames.map(candidate => candidate.name).join(', ')})`);
+  }
+  return match;
+}
+
+/**
+ * The CSS selector a layer maps to and how it was found
+ */
+export function selectorForLayer(layer, selectors = {}) {
+  for (const key of [layer.path, layer.name, layer.id]) {
+    if (selectors[key]) {
+      return { selector: selectors[key], source: 'config' };
+    }
+  }
+  if (/^[#.[]/.test(layer.name)) {
+    return { selector: layer.name, source: 'name' };
+  }
+  return { selector: `[data-testid="${layer.name.replace(/["\\]/g, '\\$&')}"]`, source: 'testid' };
+}
+
+/**
+ * Measures the elements the frame's layers map to: box relative to the
+ * element at `rootSelector` (CSS px), computed styles and the gaps between
+ * consecutive in-flow children. Returns a map of layer id to the element, or
+ * to null when nothing matches.
+ */
+export async function collectFigmaElements(page, rootSelector, frame, selectors = {}) {
+  await installPageHelpers(page);
+
+  const targets = frame.layers.map(layer => ({ id: layer.id, ...selectorForLayer(layer, selectors) }));
+  return page.evaluate(({ rootSelector, targets }) => {
+    const root = document.querySelector(rootSelector);
+    if (!root) {
+      return {};
+    }
+    const { uniqueSelector, captureRect } = window.__oculusQAsum;
+    const rootRect = captureRect(root);
+
+    const measure = el => {
+      const rect = captureRect(el);
+      const style = window.getComputedStyle(el);
+      const children = Array.from(el.children)
+        .filter(child => {
+          const childStyle = window.getComputedStyle(child);
+          return childStyle.display !== 'none' && childStyle.position !== 'absolute' && childStyle.position !== 'fixed';
+        })
+        .map(child => captureRect(child))
+        .filter(childRect => childRect.width > 0 || childRect.height > 0);
+      const gaps = { horizontal: [], vertical: [] };
+      for (let i = 1; i < children.length; i++) {
+        gaps.horizontal.push(children[i].left - children[i - 1].right);
+        gaps.vertical.push(children[i].top - children[i - 1].bottom);
+      }
+
+      return {
+        selector: uniqueSelector(el),
+        box: {
+          x: rect.left - rootRect.left,
+          y: rect.top - rootRect.top,
+          width: rect.width,
+          height: rect.height
+        },
+        gaps,
+        styles: {
+          'color': style.color,
+          'background-color': style.backgroundColor,
+          'font-family': style.fontFamily,
+          'font-size': style.fontSize,
+          'font-weight': style.fontWeight,
+          'line-height': style.lineHeight,
+          'letter-spacing': style.letterSpacing,
+          'text-align': style.textAlign,
+          'padding-top': style.paddingTop,
+          'padding-right': style.paddingRight,
+          'padding-bottom': style.paddingBottom,
+          'padding-left': style.paddingLeft,
+          'row-gap': style.rowGap,
+          'column-gap': style.columnGap,
+          'border-radius': style.borderTopLeftRadius
+        }
+      };
+    };
+
+    const elements = { __root: measure(root) };
+    for (const target of targets) {
+      let el = null;
+      try {
+        el = root.matches(target.selector) ? root : root.querySelector(target.selector);
+      } catch (error) {
+        // Invalid selector; reported as unmatched
+      }
+      elements[target.id] = el ? { ...measure(el), source: target.source } : null;
+    }
+    return elements;
+  }, { rootSelector, targets });
+}
+
+const px = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Compares one layer spec with its element and returns the mismatches
+ */
+function checkLayer(layer, element, options) {
+  const { tolerance, colorTolerance } = options;
+  const findings = [];
+  const add = (property, expected, actual, label = property, unit = 'px') => {
+    findings.push({
+      layer: layer.name,
+      path: layer.path || layer.name,
+      selector: element.selector,
+      property,
+      expected,
+      actual,
+      delta: typeof expected === 'number' && typeof actual === 'number' ? round(actual - expected) : null,
+      message: `expected ${expected}${unit} ${label}, got ${actual}${unit}`
+    });
+  };
+  const checkLength = (property, expected, actual, label) => {
+    if (expected === null || expected === undefined || actual === null) return;
+    if (Math.abs(actual - expected) > tolerance) {
+      add(property, round(expected), round(actual), label);
+    }
+  };
+
+  if (layer.path) {
+    checkLength('x', layer.box.x, element.box.x, 'left offset');
+    checkLength('y', layer.box.y, element.box.y, 'top offset');
+  }
+  checkLength('width', layer.box.width, element.box.width, 'width');
+  checkLength('height', layer.box.height, element.box.height, 'height');
+
+  if (layer.layout) {
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      checkLength(`padding-${side}`, layer.layout.padding[side], px(element.styles[`padding-${side}`]), `padding-${side}`);
+    }
+    if (layer.layout.gap !== null && !layer.layout.wrap) {
+      // The rendered spacing counts, whether it comes from gap, margins or flow
+      const gaps = element.gaps[layer.layout.direction];
+      const cssGap = px(element.styles[layer.layout.direction === 'horizontal' ? 'column-gap' : 'row-gap']);
+      const actual = gaps.length > 0
+        ? gaps.reduce((worst, gap) => (Math.abs(gap - layer.layout.gap) > Math.abs(worst - layer.layout.gap) ? gap : worst))
+        : cssGap;
+      checkLength('gap', layer.layout.gap, actual, 'gap');
+    }
+  }
+
+  if (layer.cornerRadius !== null) {
+    checkLength('border-radius', layer.cornerRadius, px(element.styles['border-radius']), 'border-radius');
+  }
+
+  if (layer.text) {
+    checkLength('font-size', layer.text.fontSize, px(element.styles['font-size']), 'font-size');
+    checkLength('line-height', layer.text.lineHeight, px(element.styles['line-height']), 'line-height');
+    checkLength('letter-spacing', layer.text.letterSpacing, px(element.styles['letter-spacing']) || 0, 'letter-spacing');
+    const weight = Number(element.styles['font-weight']);
+    if (layer.text.fontWeight && weight !== layer.text.fontWeight) {
+      add('font-weight', layer.text.fontWeight, weight, 'font-weight', '');
+    }
+    const family = element.styles['font-family'].split(',')[0].trim().replace(/^["']|["']$/g, '');
+    if (layer.text.fontFamily && family.toLowerCase() !== layer.text.fontFamily.toLowerCase()) {
+      add('font-family', layer.text.fontFamily, family, 'font-family', '');
+    }
+  }
+
+  // Text fills are the text color; other fills the background
+  const fill = layer.fills[layer.fills.length - 1];
+  const colorProperty = layer.text ? 'color' : 'background-color';
+  const actualColor = parseCssColor(element.styles[colorProperty]);
+  if (fill && actualColor) {
+    const expectedColor = parseCssColor(fill);
+    const distance = deltaE2000(rgbToLab(...expectedColor.rgb), rgbToLab(...actualColor.rgb)) +
+      Math.abs(expectedColor.alpha - actualColor.alpha) * 100;
+    if (distance > colorTolerance) {
+      add(colorProperty, fill, formatColor({ ...actualColor, alpha: round(actualColor.alpha) }), colorProperty, '');
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Checks elements measured by collectFigmaElements() against a frame spec.
+ * Lengths match within `tolerance` px, colors within `colorTolerance`
+ * (ΔE2000).
+ *
+ * Returns { frame, layers, matched, unmatched, totalFindings, findings };
+ * `unmatched` lists layers mapped by config or by name whose selector found
+ * nothing (data-testid guesses are not reported).
+ */
+export function checkFigmaSpecs(frame, elements, options = {}) {
+  const settings = { ...DEFAULT_FIGMA_OPTIONS, ...options };
+  const findings = [];
+  const unmatched = [];
+  let matched = 0;
+
+  if (elements.__root) {
+    findings.push(...checkLayer(frame.spec, elements.__root, settings));
+  }
+  for (const layer of frame.layers) {
+    const element = elements[layer.id];
+    if (!element) {
+      const { selector, source } = selectorForLayer(layer, settings.selectors);
+      if (source !== 'testid') {
+        unmatched.push({ layer: layer.path, selector });
+      }
+      continue;
+    }
+    matched++;
+    findings.push(...checkLayer(layer, element, settings));
+  }
+
+  return {
+    frame: frame.name,
+    layers: frame.layers.length,
+    matched,
+    unmatched,
+    totalFindings: findings.length,
+    findings: findings.slice(0, settings.maxFindings)
+  };
+}
+
+/**
+ * Formats a finding, e.g. "Header / Nav (nav.main): expected 30px gap, got 24px"
+ */
+export function describeFigmaFinding(finding) {
+  return `${finding.path} (${finding.selector}): ${finding.message}`;
+}
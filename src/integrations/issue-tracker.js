@@ -4,6 +4,7 @@ import path from 'path';
 import { marked } from 'marked';
 import { JSDOM } from 'jsdom';
 import { fileURLToPath } from 'url';
+import { describeFinding, formatSuggestedChange } from '../core/llm-findings.js';
 
 // Get directory name in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -193,8 +194,12 @@ export class IssueTracker {
     const structuralDiff = (comparisonResults.structuralDiff.structuralDiffPercentage * 100).toFixed(1);
     
     // Find the main type of issue
+    const domSummary = comparisonResults.domAnalysis && comparisonResults.domAnalysis.summary;
     let issueType = 'Visual inconsistency';
-    if (pixelDiff > 10 && structuralDiff > 10) {
+    if (domSummary && domSummary.removed > 0) {
+      // A missing element is known from the DOM diff, not guessed from pixels
+      issueType = domSummary.removed === 1 ? 'Missing element' : `${domSummary.removed} missing elements`;
+    } else if (pixelDiff > 10 && structuralDiff > 10) {
       issueType = 'Major visual discrepancy';
     } else if (pixelDiff > structuralDiff * 1.5) {
       issueType = 'Color/style inconsistency';
@@ -202,6 +207,17 @@ export class IssueTracker {
       issueType = 'Layout/alignment issue';
     }
     
+    // Name the missing element, or the one that changed most when regions were mapped to the DOM
+    const [missing] = (comparisonResults.domAnalysis && comparisonResults.domAnalysis.removed) || [];
+    if (missing) {
+      return `${issueType}: ${componentName} - \`${missing.selector}\` not rendered (${pixelDiff}% visual diff)`;
+    }
+    
+    const [topSelector] = comparisonResults.changedSelectors || [];
+    if (topSelector) {
+      return `${issueType}: ${componentName} - \`${topSelector}\` changed (${pixelDiff}% visual diff)`;
+    }
+    
     return `${issueType}: ${componentName} (${pixelDiff}% visual diff)`;
   }
   
@@ -230,17 +246,160 @@ export class IssueTracker {
       console.error('Error preparing images for issue:', err);
     }
     
-    // Include LLM analysis if available
+    // Include LLM analysis if available: structured findings as a table,
+    // the raw answer if it could not be validated
     let llmAnalysisSection = '';
-    if (comparisonResults.llmAnalysis && comparisonResults.llmAnalysis.enabled) {
+    const llmAnalysis = comparisonResults.llmAnalysis;
+    if (llmAnalysis && llmAnalysis.enabled && llmAnalysis.findings && llmAnalysis.valid) {
+      llmAnalysisSection = `
+## AI Analysis
+
+${llmAnalysis.summary}
+${llmAnalysis.findings.length > 0 ? `
+| Severity | Category | Finding | Element | Bounds | Suggested Change |
+|----------|----------|---------|---------|--------|------------------|
+${llmAnalysis.findings.map(finding => `| ${finding.severity} | ${finding.category} | ${finding.description.replace(/\|/g, '\\|')} | ${finding.selector ? `\`${finding.selector}\`` : '-'} | ${finding.bbox ? `${finding.bbox.x}, ${finding.bbox.y}, ${finding.bbox.width}×${finding.bbox.height}px` : '-'} | ${finding.suggestedChange ? `\`${formatSuggestedChange(finding)}\`` : '-'} |`).join('\n')}
+` : ''}
+`;
+    } else if (llmAnalysis && llmAnalysis.enabled) {
       llmAnalysisSection = `
 ## AI Analysis
 
-${comparisonResults.llmAnalysis.analysis}
+${llmAnalysis.analysis}
+
+`;
+    }
+    
+    // List where the changes are, largest impact first
+    const changedSelectors = comparisonResults.changedSelectors || [];
+    let regionsSection = '';
+    const regions = comparisonResults.pixelDiff.regions || [];
+    if (regions.length > 0) {
+      regionsSection = `
+## Changed Regions
+
+| Rank | Element | Position (x, y) | Size | Changed Pixels | Mean Color Δ |
+|------|---------|-----------------|------|----------------|--------------|
+${regions.map(region => `| ${region.rank} | ${region.elements && region.elements.length > 0 ? `\`${region.elements[0].selector}\`` : '-'} | ${region.bbox.x}, ${region.bbox.y} | ${region.bbox.width}×${region.bbox.height}px | ${region.area} | ${(region.meanColorDelta * 100).toFixed(1)}% |`).join('\n')}
+${comparisonResults.pixelDiff.totalRegions > regions.length ? `\n*Showing ${regions.length} of ${comparisonResults.pixelDiff.totalRegions} regions.*\n` : ''}
+`;
+    }
+    
+    // Exact computed-style mismatches found on matched elements
+    let styleSection = '';
+    const styleAnalysis = comparisonResults.styleAnalysis;
+    if (styleAnalysis && styleAnalysis.differences && styleAnalysis.differences.length > 0) {
+      const shown = styleAnalysis.differences.slice(0, 20);
+      styleSection = `
+## Style Differences
+
+| Element | Property | Design | Implementation |
+|---------|----------|--------|----------------|
+${shown.map(diff => `| \`${diff.selector}\` | \`${diff.property}\` | \`${diff.design}\` | \`${diff.implementation}\` |`).join('\n')}
+${styleAnalysis.totalDifferences > shown.length ? `\n*Showing ${shown.length} of ${styleAnalysis.totalDifferences} style differences.*\n` : ''}
+`;
+    }
+    
+    // Implementation values that are not in the design token set
+    let tokenSection = '';
+    const tokenAnalysis = comparisonResults.tokenAnalysis;
+    if (tokenAnalysis && tokenAnalysis.violations.length > 0) {
+      const shown = tokenAnalysis.violations.slice(0, 20);
+      tokenSection = `
+## Design Token Violations
+
+| Property | Value | Occurrences | Elements | Nearest Token |
+|----------|-------|-------------|----------|---------------|
+${shown.map(violation => `| \`${violation.property}\` | \`${violation.value}\` | ${violation.occurrences} | ${violation.selectors.slice(0, 3).map(sel => `\`${sel}\``).join(', ')} | ${violation.suggestion ? `\`${violation.suggestion.token}\` (\`${violation.suggestion.value}\`)` : '-'} |`).join('\n')}
+${tokenAnalysis.totalViolations > shown.length ? `\n*Showing ${shown.length} of ${tokenAnalysis.totalViolations} off-token values.*\n` : ''}
+`;
+    }
+    
+    // Position, size and gap deltas of elements matched between both pages
+    let geometrySection = '';
+    const geometryAnalysis = comparisonResults.geometryAnalysis;
+    if (geometryAnalysis && geometryAnalysis.changes.length > 0) {
+      const shown = geometryAnalysis.changes.slice(0, 20);
+      const total = geometryAnalysis.summary.positionChanges + geometryAnalysis.summary.sizeChanges + geometryAnalysis.summary.gapChanges;
+      geometrySection = `
+## Element Geometry
+
+| Element | Change | Details |
+|---------|--------|---------|
+${shown.map(change => `| \`${change.selector}\` | ${change.type} | ${change.message} |`).join('\n')}
+${total > shown.length ? `\n*Showing ${shown.length} of ${total} geometry changes.*\n` : ''}
+`;
+    }
+    
+    // Element geometry and styles that differ from the Figma layer specs
+    let figmaSection = '';
+    const figmaAnalysis = comparisonResults.figmaAnalysis;
+    if (figmaAnalysis && figmaAnalysis.findings.length > 0) {
+      const shown = figmaAnalysis.findings.slice(0, 20);
+      figmaSection = `
+## Figma Spec Mismatches
+
+Frame: ${figmaAnalysis.frame}
 
+| Layer | Element | Property | Design | Implementation |
+|-------|---------|----------|--------|----------------|
+${shown.map(finding => `| ${finding.path} | \`${finding.selector}\` | \`${finding.property}\` | \`${finding.expected}\` | \`${finding.actual}\` |`).join('\n')}
+${figmaAnalysis.totalFindings > shown.length ? `\n*Showing ${shown.length} of ${figmaAnalysis.totalFindings} spec mismatches.*\n` : ''}
 `;
     }
     
+    // Design colors consistently rendered as another color (ciede2000 mode)
+    let colorSection = '';
+    const colorAnalysis = comparisonResults.pixelDiff.colorAnalysis;
+    if (colorAnalysis && colorAnalysis.swaps.length > 0) {
+      colorSection = `
+## Color Swaps
+
+| Design | Implementation | ΔE2000 | Affected Area | Consistency | Bounds |
+|--------|----------------|--------|---------------|-------------|--------|
+${colorAnalysis.swaps.map(swap => `| \`${swap.design}\` | \`${swap.implementation}\` | ${swap.deltaE} | ${swap.pixels}px (${(swap.area * 100).toFixed(2)}%) | ${(swap.consistency * 100).toFixed(0)}% | ${swap.bbox.x}, ${swap.bbox.y}, ${swap.bbox.width}×${swap.bbox.height}px |`).join('\n')}
+`;
+    }
+    
+    // Structural changes found by the DOM diff
+    let domSection = '';
+    const domAnalysis = comparisonResults.domAnalysis;
+    if (domAnalysis && domAnalysis.summary) {
+      const { summary } = domAnalysis;
+      const listNodes = (nodes, format) => nodes.slice(0, 10).map(format).join('\n');
+      const nodeLabel = node => `\`${node.selector}\` (${node.tag}${node.text ? ` "${node.text}"` : ''})`;
+      const parts = [];
+      
+      if (domAnalysis.removed.length > 0) {
+        parts.push(`### Missing in Implementation\n\n${listNodes(domAnalysis.removed, node => `- ${nodeLabel(node)}${node.descendants ? ` and ${node.descendants} descendants` : ''}`)}`);
+      }
+      if (domAnalysis.added.length > 0) {
+        parts.push(`### Not in Design\n\n${listNodes(domAnalysis.added, node => `- ${nodeLabel(node)}${node.descendants ? ` and ${node.descendants} descendants` : ''}`)}`);
+      }
+      if (domAnalysis.moved.length > 0 || domAnalysis.reparented.length > 0) {
+        parts.push(`### Moved\n\n${[
+          ...domAnalysis.moved.slice(0, 10).map(node => `- ${nodeLabel(node)} changed position among its siblings`),
+          ...domAnalysis.reparented.slice(0, 10).map(node => `- ${nodeLabel(node)} moved from \`${node.designParent}\` to \`${node.implementationParent}\``)
+        ].join('\n')}`);
+      }
+      if (domAnalysis.attributeChanges.length > 0 || domAnalysis.classChanges.length > 0) {
+        parts.push(`### Attribute & Class Changes\n\n${[
+          ...domAnalysis.attributeChanges.slice(0, 10).map(change => `- \`${change.selector}\` \`${change.attribute}\`: \`${change.design}\` (design) vs \`${change.implementation}\` (implementation)`),
+          ...domAnalysis.classChanges.slice(0, 10).map(change => `- \`${change.selector}\` classes${change.removed.length ? ` missing ${change.removed.map(cls => `\`.${cls}\``).join(', ')}` : ''}${change.added.length ? ` extra ${change.added.map(cls => `\`.${cls}\``).join(', ')}` : ''}`)
+        ].join('\n')}`);
+      }
+      
+      if (parts.length > 0) {
+        domSection = `
+## DOM Changes
+
+**Summary:** ${summary.removed} missing, ${summary.added} added, ${summary.moved} moved, ${summary.reparented} re-parented, ${summary.attributeChanges} attribute changes, ${summary.classChanges} class changes
+
+${parts.join('\n\n')}
+`;
+      }
+    }
+    
     // Create markdown for the issue body
     return `# Visual Regression Detected: ${componentName}
 
@@ -251,10 +410,10 @@ ${isUpdate ? '⚠️ *This issue has been automatically updated with new compari
 - **Component:** ${componentName}
 - **Page URL:** ${pageUrl}
 - **Selector:** \`${selector}\`
-- **Timestamp:** ${comparisonResults.timestamp}
+${comparisonResults.viewport ? `- **Viewport:** ${comparisonResults.viewport.name} (${comparisonResults.viewport.width}×${comparisonResults.viewport.height} @${comparisonResults.viewport.deviceScaleFactor}x)\n` : ''}${comparisonResults.state ? `- **State:** ${comparisonResults.state}\n` : ''}- **Timestamp:** ${comparisonResults.timestamp}
 - **Pixel Difference:** ${(comparisonResults.pixelDiff.diffPercentage * 100).toFixed(2)}%
-- **Structural Difference:** ${(comparisonResults.structuralDiff.structuralDiffPercentage * 100).toFixed(2)}%
-
+- **Structural Difference:** ${(comparisonResults.structuralDiff.structuralDiffPercentage * 100).toFixed(2)}% (SSIM ${comparisonResults.structuralDiff.ssim.toFixed(4)})
+${changedSelectors.length > 0 ? `- **Changed Elements:** ${changedSelectors.map(sel => `\`${sel}\``).join(', ')}\n` : ''}
 ## Visual Comparison
 
 ### Design Mockup
@@ -266,6 +425,13 @@ ${implImgBase64}
 ### Difference Visualization
 ${diffImgBase64}
 
+${regionsSection}
+${styleSection}
+${colorSection}
+${tokenSection}
+${geometrySection}
+${figmaSection}
+${domSection}
 ${llmAnalysisSection}
 
 ## Technical Details
@@ -277,7 +443,9 @@ ${JSON.stringify({
   pixelDiffPercentage: comparisonResults.pixelDiff.diffPercentage,
   structuralDiffPercentage: comparisonResults.structuralDiff.structuralDiffPercentage,
   totalPixels: comparisonResults.pixelDiff.totalPixels,
-  diffPixelCount: comparisonResults.pixelDiff.diffPixelCount
+  diffPixelCount: comparisonResults.pixelDiff.diffPixelCount,
+  totalRegions: comparisonResults.pixelDiff.totalRegions,
+  meanDeltaE: colorAnalysis ? colorAnalysis.meanDeltaE : undefined
 }, null, 2)}
 \`\`\`
 
@@ -382,9 +550,7 @@ ${this._generateDiff(currentContent, fixCode)}
 \`\`\`
 
 ## AI Analysis
-${comparisonResults.llmAnalysis && comparisonResults.llmAnalysis.enabled ? 
-  comparisonResults.llmAnalysis.analysis : 
-  'No AI analysis available.'}
+${this._formatFindingsChecklist(comparisonResults.llmAnalysis)}
 
 ---
 
@@ -417,6 +583,23 @@ ${comparisonResults.llmAnalysis && comparisonResults.llmAnalysis.enabled ?
     };
   }
   
+  /**
+   * Lists the LLM findings a fix addresses as a checklist for reviewers
+   */
+  _formatFindingsChecklist(llmAnalysis) {
+    if (!llmAnalysis || !llmAnalysis.enabled) {
+      return 'No AI analysis available.';
+    }
+    if (!llmAnalysis.findings || !llmAnalysis.valid) {
+      return llmAnalysis.analysis;
+    }
+    if (llmAnalysis.findings.length === 0) {
+      return `${llmAnalysis.summary}\n\nNo specific findings.`;
+    }
+    
+    return `${llmAnalysis.summary}\n\nCheck that the fix addresses:\n\n${llmAnalysis.findings.map(finding => `- [ ] ${describeFinding(finding)}`).join('\n')}`;
+  }
+  
   /**
    * Generate a simplified diff between two code strings
    */
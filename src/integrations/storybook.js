@@ -0,0 +1,172 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { matchesPattern } from '../core/ignore-masks.js';
+
+/**
+ * Storybook as a comparison source. Stories are read from a static build
+ * (`storybook build`): index.json (Storybook 7+) or stories.json (6.x). Each
+ * story is rendered on its own via iframe.html and compared with the design
+ * image found for it by `designPatterns`, e.g. with the defaults
+ *
+ *   story "Forms/Button" / "Primary" (id forms-button--primary)
+ *     → <designDir>/forms-button--primary.png
+ *     → <designDir>/forms/button/primary.png
+ *
+ * Variants map args and globals (theme, locale, ...) onto the capture matrix:
+ * `{ name: 'dark', globals: { theme: 'dark' } }` captures every story again
+ * with that global and pairs it with "forms-button--primary@dark.png" when
+ * present (falling back to the plain design). Viewports come from the
+ * comparison configuration as usual.
+ */
+export const DEFAULT_STORYBOOK_OPTIONS = {
+  staticDir: './storybook-static',
+  designDir: './design',
+  designPatterns: ['{id}.png', '{title}/{name}.png'],
+  include: null, // story ids or titles ('*' wildcards); all when null
+  exclude: [],
+  selector: null, // '#storybook-root' for index.json, '#root' for stories.json
+  viewports: null, // viewport or device names; all configured when null
+  variants: [] // { name, args, globals }
+};
+
+const slug = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Reads the story index of a static Storybook build. Returns { version,
+ * selector, stories: [{ id, title, name, tags }] } without docs entries.
+ */
+export async function loadStoryIndex(staticDir) {
+  const read = async file => JSON.parse(await fs.readFile(path.join(staticDir, file), 'utf8'));
+
+  let index;
+  try {
+    index = await read('index.json');
+    return {
+      version: index.v,
+      selector: '#storybook-root',
+      stories: Object.values(index.entries || {})
+        .filter(entry => entry.type === undefined || entry.type === 'story')
+        .map(({ id, title, name, tags = [] }) => ({ id, title, name, tags }))
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Unable to read ${path.join(staticDir, 'index.json')}: ${error.message}`);
+    }
+  }
+
+  try {
+    index = await read('stories.json');
+  } catch (error) {
+    throw new Error(`No Storybook index.json or stories.json in ${staticDir}; run storybook build first`);
+  }
+  return {
+    version: index.v,
+    selector: '#root',
+    stories: Object.values(index.stories || {})
+      .filter(story => !(story.parameters && story.parameters.docsOnly))
+      .map(({ id, title, kind, name, story, tags = [] }) => ({ id, title: title || kind, name: name || story, tags }))
+  };
+}
+
+/**
+ * URL rendering a story in isolation, with args and globals in Storybook's
+ * "key:value;key:value" URL format
+ */
+export function storyURL(baseURL, storyId, variant = {}) {
+  const encodeValue = value => (value === null || typeof value === 'boolean'
+    ? `!${value}`
+    : encodeURIComponent(String(value)));
+  const encode = values => Object.entries(values)
+    .map(([key, value]) => `${key}:${encodeValue(value)}`)
+    .join(';');
+
+  const params = [`id=${encodeURIComponent(storyId)}`, 'viewMode=story'];
+  if (variant.args && Object.keys(variant.args).length > 0) {
+    params.push(`args=${encode(variant.args)}`);
+  }
+  if (variant.globals && Object.keys(variant.globals).length > 0) {
+    params.push(`globals=${encode(variant.globals)}`);
+  }
+  return `${baseURL.replace(/\/$/, '')}/iframe.html?${params.join('&')}`;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Finds the design image of a story (and variant) using the first pattern
+ * that matches a file; "@2x"-style scale suffixes are accepted. Returns null
+ * when no design exists.
+ */
+export async function findStoryDesign(story, designDir, patterns, variant = null) {
+  const tokens = {
+    id: story.id,
+    title: story.title.split('/').map(slug).join('/'),
+    name: slug(story.name)
+  };
+
+  for (const pattern of patterns) {
+    const file = path.join(designDir, pattern.replace(/\{(\w+)\}/g, (match, token) => tokens[token] || match));
+    const { dir, name, ext } = path.parse(file);
+    const stems = variant ? [`${name}@${variant}`, name] : [name];
+    for (const stem of stems) {
+      for (const candidate of [stem, ...[1, 2, 3].map(scale => `${stem}@${scale}x`)]) {
+        const candidatePath = path.join(dir, `${candidate}${ext}`);
+        if (await exists(candidatePath)) {
+          return candidatePath;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns the stories of a static build into batch comparison jobs (see
+ * batch-runner.js) against `baseURL`, where the build is served. Returns
+ * { jobs, unmatched } with the stories (and variants) without a design.
+ */
+export async function discoverStoryComparisons(baseURL, options = {}) {
+  const settings = { ...DEFAULT_STORYBOOK_OPTIONS, ...options };
+  const index = await loadStoryIndex(settings.staticDir);
+  const selector = settings.selector || index.selector;
+  const variants = [null, ...settings.variants];
+
+  const stories = index.stories.filter(story =>
+    (settings.include === null || matchesPattern(story.id, settings.include) || matchesPattern(story.title, settings.include)) &&
+    !matchesPattern(story.id, settings.exclude) &&
+    !matchesPattern(story.title, settings.exclude)
+  );
+
+  const jobs = [];
+  const unmatched = [];
+  for (const story of stories) {
+    for (const variant of variants) {
+      const variantName = variant ? variant.name || slug(JSON.stringify({ ...variant.args, ...variant.globals })) : null;
+      const label = `${story.title} / ${story.name}${variantName ? ` (${variantName})` : ''}`;
+      const design = await findStoryDesign(story, settings.designDir, settings.designPatterns, variantName);
+      if (!design) {
+        unmatched.push({ id: story.id, variant: variantName, name: label });
+        continue;
+      }
+
+      jobs.push({
+        name: label,
+        selector,
+        design: path.resolve(design),
+        implementation: storyURL(baseURL, story.id, variant || {}),
+        viewports: settings.viewports,
+        states: variant && variant.states,
+        directory: variants.length > 1 ? path.join(story.id, variantName ? slug(variantName) : 'default') : story.id
+      });
+    }
+  }
+
+  return { jobs, unmatched, stories: stories.length };
+}
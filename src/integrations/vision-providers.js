@@ -0,0 +1,231 @@
+import { OpenAI, APIConnectionError } from 'openai';
+import fetch from 'node-fetch';
+
+/**
+ * Vision providers send a prompt plus images to a multimodal model and return
+ * its answer. Every provider implements
+ *
+ *   analyze({ system, prompt, images, maxTokens })
+ *     → { text, model, promptTokens, completionTokens }
+ *
+ * where `images` are PNG data URLs. Providers:
+ *
+ * - openai: OpenAI chat completions (OPENAI_API_KEY)
+ * - anthropic: Anthropic Messages API (ANTHROPIC_API_KEY)
+ * - local: any OpenAI-compatible endpoint at `baseURL`, e.g. Ollama, LM Studio
+ *   or vLLM (LOCAL_LLM_API_KEY if the server wants one)
+ * - fake: no network; answers deterministically from the request, for tests
+ */
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  anthropic: 'claude-3-5-sonnet-20241022'
+};
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Socket and DNS failures that usually go away on their own
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'
+]);
+
+/**
+ * Network errors, timeouts, rate limits and server errors are worth retrying;
+ * anything else (bad requests, auth, bugs) fails right away
+ */
+function isRetryable(error) {
+  if (error.status !== undefined) {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  const code = error.code || (error.cause && error.cause.code);
+  return NETWORK_ERROR_CODES.has(code) ||
+    error instanceof APIConnectionError || // openai client, including its timeouts
+    error.message === 'fetch failed';
+}
+
+class VisionProvider {
+  constructor(config) {
+    this.config = config;
+    this.name = config.provider;
+    this.model = config.model || DEFAULT_MODELS[config.provider];
+    if (!this.model) {
+      throw new Error(`llm.model is required for the ${config.provider} provider`);
+    }
+  }
+
+  /**
+   * Runs the request with the configured timeout, retrying transient failures
+   * with exponential backoff
+   */
+  async analyze(request) {
+    const { retries = 2, retryDelay = 1000 } = this.config;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._request(request);
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) {
+          throw new Error(`${this.name} vision analysis failed: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+      }
+    }
+  }
+}
+
+class OpenAIVisionProvider extends VisionProvider {
+  constructor(config) {
+    super(config);
+    this.client = new OpenAI({
+      apiKey: config.apiKey || (config.provider === 'local'
+        ? process.env.LOCAL_LLM_API_KEY || 'not-needed'
+        : process.env.OPENAI_API_KEY),
+      baseURL: config.baseURL || undefined,
+      timeout: config.timeout,
+      maxRetries: 0 // retried by analyze()
+    });
+  }
+
+  async _request({ system, prompt, images = [], maxTokens = 2000 }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            ...images.map(url => ({ type: 'image_url', image_url: { url, detail: 'high' } }))
+          ]
+        }
+      ],
+      max_tokens: maxTokens
+    });
+
+    return {
+      text: response.choices[0].message.content,
+      model: response.model || this.model,
+      promptTokens: response.usage ? response.usage.prompt_tokens : null,
+      completionTokens: response.usage ? response.usage.completion_tokens : null
+    };
+  }
+}
+
+class AnthropicVisionProvider extends VisionProvider {
+  constructor(config) {
+    super(config);
+    this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+    if (!this.apiKey) {
+      throw new Error('The anthropic provider needs ANTHROPIC_API_KEY or llm.apiKey');
+    }
+    this.url = config.baseURL ? `${config.baseURL.replace(/\/$/, '')}/v1/messages` : ANTHROPIC_API_URL;
+  }
+
+  async _request({ system, prompt, images = [], maxTokens = 2000 }) {
+    const content = images.map(url => {
+      const [, mediaType, data] = url.match(/^data:([^;]+);base64,(.*)$/);
+      return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+    });
+    content.push({ type: 'text', text: prompt });
+
+    const controller = new AbortController();
+    const timer = this.config.timeout ? setTimeout(() => controller.abort(), this.config.timeout) : null;
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: JSON.stringify({
+          model: this.model,
+          max_tokens: maxTokens,
+          system,
+          messages: [{ role: 'user', content }]
+        }),
+        signal: controller.signal
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${(body.error && body.error.message) || response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return {
+        text: body.content.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+        model: body.model || this.model,
+        promptTokens: body.usage ? body.usage.input_tokens : null,
+        completionTokens: body.usage ? body.usage.output_tokens : null
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeout = new Error(`Request timed out after ${this.config.timeout}ms`);
+        timeout.code = 'ETIMEDOUT';
+        throw timeout;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Answers without calling a model: `config.response` if set (or the next of
+ * `config.responses`, repeating the last), otherwise an empty findings list
+ * (see llm-findings.js) summarizing the request. Token counts are word counts.
+ */
+class FakeVisionProvider extends VisionProvider {
+  constructor(config) {
+    super({ ...config, model: config.model || 'fake-vision' });
+    this.requests = [];
+  }
+
+  async _request(request) {
+    this.requests.push(request);
+    const { system = '', prompt, images = [] } = request;
+    const { responses } = this.config;
+    const scripted = responses && responses.length > 0
+      ? responses[Math.min(this.requests.length, responses.length) - 1]
+      : this.config.response;
+    const text = scripted || JSON.stringify({
+      summary: `Fake analysis of ${images.length} image(s), prompt of ${prompt.length} characters`,
+      findings: []
+    });
+    const words = value => value.split(/\s+/).filter(Boolean).length;
+
+    return {
+      text,
+      model: this.model,
+      promptTokens: words(system) + words(prompt),
+      completionTokens: words(text)
+    };
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIVisionProvider,
+  local: OpenAIVisionProvider,
+  anthropic: AnthropicVisionProvider,
+  fake: FakeVisionProvider
+};
+
+/**
+ * Creates the vision provider named by `config.provider` (default openai)
+ */
+export function createVisionProvider(config = {}) {
+  const provider = config.provider || 'openai';
+  const Provider = PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(`Unknown vision provider "${provider}" (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (provider === 'local' && !config.baseURL) {
+    throw new Error('The local provider needs llm.baseURL, e.g. http://localhost:11434/v1');
+  }
+  return new Provider({ ...config, provider });
+}
@@ -0,0 +1,191 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { evaluateResults, toJUnit, toSARIF, EXIT_CODES } from '../src/core/ci-report.js';
+
+const comparison = (difference, options = {}) => ({
+  sources: { implementation: options.implementation || 'https://example.com/pricing' },
+  viewport: { name: 'desktop' },
+  selector: options.selector,
+  pixelDiff: { diffPercentage: difference, diffImagePath: '/tmp/diff.png' },
+  structuralDiff: { structuralDiffPercentage: 0 },
+  hasSignificantDifferences: difference >= 0.03,
+  llmAnalysis: options.findings ? { findings: options.findings } : null
+});
+
+const monitorResult = (status, difference, changes = {}) => ({
+  url: 'https://example.com/',
+  viewport: 'mobile',
+  selector: 'header',
+  state: 'hover',
+  status,
+  diffPercentage: difference,
+  diffImagePath: status === 'alert' ? '/tmp/header.png' : null,
+  ...changes
+});
+
+const pixelChanges = {
+  colorSwaps: [{ design: '#4a6cf7', implementation: '#f74a4a', deltaE: 42.1, area: 0.012 }],
+  regions: [{ rank: 1, bbox: { x: 10, y: 4, width: 80, height: 24 }, area: 900, meanColorDelta: 0.31 }]
+};
+
+const llmFinding = severity => ({
+  category: 'color',
+  severity,
+  description: 'Primary button is lighter',
+  bbox: null,
+  selector: '.btn.primary',
+  suggestedChange: { property: 'background-color', from: '#6a7cf7', to: '#4a6cf7' }
+});
+
+describe('evaluateResults', () => {
+  test('ranks differences by the issue priority thresholds', () => {
+    const { results } = evaluateResults([0.2, 0.1, 0.05, 0.01].map(difference => comparison(difference)));
+
+    expect(results.map(result => result.severity)).toEqual(['high', 'medium', 'low', null]);
+  });
+
+  test('takes the severity of the most severe finding', () => {
+    const { results } = evaluateResults([comparison(0.01, { findings: [llmFinding('low'), llmFinding('high')] })]);
+
+    expect(results[0]).toMatchObject({ severity: 'high', regression: false, failed: true });
+    expect(results[0].findings.map(finding => finding.check)).toEqual(['llm', 'llm']);
+  });
+
+  test.each([
+    ['any', EXIT_CODES.failed, 3],
+    ['high', EXIT_CODES.failed, 1],
+    ['medium', EXIT_CODES.failed, 2],
+    ['low', EXIT_CODES.failed, 3]
+  ])('fails at or above --fail-on %s', (failOn, exitCode, failed) => {
+    const evaluation = evaluateResults([0.2, 0.1, 0.05, 0.01].map(difference => comparison(difference)), { failOn });
+
+    expect(evaluation.exitCode).toBe(exitCode);
+    expect(evaluation.totals).toEqual({ results: 4, regressions: 3, failed });
+  });
+
+  test('passes when nothing reaches the fail-on level', () => {
+    const evaluation = evaluateResults([comparison(0.05), monitorResult('ok', 0)], { failOn: 'medium' });
+
+    expect(evaluation.exitCode).toBe(EXIT_CODES.passed);
+    expect(evaluation.totals.failed).toBe(0);
+  });
+
+  test('honors custom thresholds', () => {
+    const { results } = evaluateResults([comparison(0.05)], { thresholds: { high: 0.04 } });
+
+    expect(results[0].severity).toBe('high');
+  });
+
+  test('fails every monitoring alert by default', () => {
+    const { results } = evaluateResults([monitorResult('alert', 0.01), monitorResult('new-baseline', null)]);
+
+    expect(results.map(({ status, severity, failed }) => ({ status, severity, failed }))).toEqual([
+      { status: 'alert', severity: 'low', failed: true },
+      { status: 'new-baseline', severity: null, failed: false }
+    ]);
+  });
+
+  test('lists the pixel findings of monitoring results without rating them', () => {
+    const { results, totals } = evaluateResults([monitorResult('ok', 0.01, pixelChanges)], { failOn: 'low' });
+
+    expect(results[0]).toMatchObject({ status: 'ok', severity: null, failed: false });
+    expect(results[0].findings.map(({ check, category, severity }) => [check, category, severity]))
+      .toEqual([['pixels', 'color', 'high'], ['pixels', 'region', 'low']]);
+    expect(totals.failed).toBe(0);
+    expect(evaluateResults([monitorResult('ok', 0.01, pixelChanges)]).totals.failed).toBe(0);
+  });
+
+  test('rejects unknown fail-on levels', () => {
+    expect(() => evaluateResults([], { failOn: 'critical' }))
+      .toThrow('Unknown fail-on level "critical" (expected one of any, high, medium, low)');
+  });
+});
+
+describe('toJUnit', () => {
+  test('writes one testcase per result with failures and skipped baselines', () => {
+    const evaluation = evaluateResults([
+      comparison(0.2, { selector: '.hero', findings: [llmFinding('medium')] }),
+      comparison(0.01),
+      monitorResult('new-baseline', null)
+    ]);
+    const xml = toJUnit(evaluation, { name: 'visual <qa>' });
+
+    expect(xml).toContain('<testsuites name="visual &lt;qa&gt;" tests="3" failures="1">');
+    expect(xml).toContain('skipped="1"');
+    expect(xml).toContain('<testcase classname="https://example.com/pricing" name="desktop .hero">');
+    expect(xml).toContain('<failure message="high visual regression" type="visual-regression">Visual difference 20.00% (high severity) at desktop .hero\n' +
+      '[medium] color: Primary button is lighter (`.btn.primary`) → .btn.primary { background-color: #4a6cf7; }\n' +
+      'Diff image: /tmp/diff.png</failure>');
+    expect(xml).toContain('<testcase classname="https://example.com/pricing" name="desktop body"></testcase>');
+    expect(xml).toContain('<skipped message="New baseline created"/>');
+    expect(xml.match(/<testcase /g)).toHaveLength(3);
+  });
+});
+
+describe('toSARIF', () => {
+  const baseDir = path.resolve('/repo');
+
+  test('reports the changed regions and color swaps of monitoring alerts', () => {
+    const evaluation = evaluateResults([monitorResult('alert', 0.05, pixelChanges)]);
+    const [run] = toSARIF(evaluation, { baseDir }).runs;
+
+    expect(run.results.map(({ ruleId, level }) => ({ ruleId, level }))).toEqual([
+      { ruleId: 'visual-regression', level: 'note' },
+      { ruleId: 'visual-color', level: 'error' },
+      { ruleId: 'visual-region', level: 'warning' }
+    ]);
+    expect(run.results[2].properties.bbox).toEqual({ x: 10, y: 4, width: 80, height: 24 });
+    expect(toJUnit(evaluation)).toContain('[medium] region: Changed region #1 at (10,4) 80×24px, 900px changed, mean Δ 31.0%');
+  });
+
+  test('reports failing results and their findings with rules and levels', () => {
+    const evaluation = evaluateResults([comparison(0.1, { findings: [llmFinding('low')] }), comparison(0.01)]);
+    const sarif = toSARIF(evaluation, { baseDir, toolVersion: '1.2.3' });
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver).toMatchObject({ name: 'oculus-qasum', version: '1.2.3' });
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['visual-regression', 'visual-color']);
+    expect(run.results.map(({ ruleId, level }) => ({ ruleId, level }))).toEqual([
+      { ruleId: 'visual-regression', level: 'warning' },
+      { ruleId: 'visual-color', level: 'note' }
+    ]);
+    expect(run.results[1].message.text).toBe(
+      '[low] color: Primary button is lighter (`.btn.primary`) → .btn.primary { background-color: #4a6cf7; } at desktop body'
+    );
+    expect(run.results[0].partialFingerprints.visualTarget).toBe('https://example.com/pricing|desktop|body|');
+  });
+
+  test('names URLs as logical locations', () => {
+    const sarif = toSARIF(evaluateResults([comparison(0.2)]), { baseDir });
+
+    expect(sarif.runs[0].results[0].locations).toEqual([{
+      logicalLocations: [{
+        name: 'desktop body',
+        fullyQualifiedName: 'https://example.com/pricing desktop body',
+        kind: 'element'
+      }]
+    }]);
+  });
+
+  test('reports repository files relative to %SRCROOT%', () => {
+    const evaluation = evaluateResults([
+      comparison(0.2, { implementation: path.join(baseDir, 'public', 'index.html') }),
+      comparison(0.2, { implementation: path.resolve('/elsewhere/index.html') })
+    ]);
+    const [run] = toSARIF(evaluation, { baseDir }).runs;
+
+    expect(run.originalUriBaseIds['%SRCROOT%'].uri).toBe(pathToFileURL(`${baseDir}${path.sep}`).href);
+    expect(run.results[0].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'public/index.html', uriBaseId: '%SRCROOT%' }
+    });
+    expect(run.results[1].locations[0].physicalLocation).toBeUndefined();
+  });
+
+  test('defaults to the package version', () => {
+    const { version } = createRequire(import.meta.url)('../package.json');
+
+    expect(toSARIF(evaluateResults([])).runs[0].tool.driver.version).toBe(version);
+  });
+});
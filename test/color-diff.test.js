@@ -0,0 +1,42 @@
+import { rgbToLab, deltaE2000, toHex } from '../src/core/color-diff.js';
+
+describe('rgbToLab', () => {
+  test.each([
+    [[255, 255, 255], [100, 0, 0]],
+    [[0, 0, 0], [0, 0, 0]],
+    [[255, 0, 0], [53.24, 80.09, 67.2]],
+    [[0, 0, 255], [32.3, 79.19, -107.86]]
+  ])('converts %j', (rgb, lab) => {
+    rgbToLab(...rgb).forEach((value, i) => expect(value).toBeCloseTo(lab[i], 1));
+  });
+});
+
+describe('deltaE2000', () => {
+  // Test data from Sharma, Wu and Dalal, "The CIEDE2000 Color-Difference Formula"
+  test.each([
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0011], 7.2195],
+    [[50, -0.001, 2.49], [50, 0.0009, -2.49], 4.8045],
+    [[50, 2.5, 0], [50, 3.1736, 0.5854], 1.0],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[90.8027, -2.0831, 1.441], [91.1528, -1.6435, 0.0447], 1.4441]
+  ])('%j vs %j is %d', (lab1, lab2, expected) => {
+    expect(deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+    expect(deltaE2000(lab2, lab1)).toBeCloseTo(expected, 4);
+  });
+
+  test('is zero for identical colors', () => {
+    expect(deltaE2000([50, 10, -10], [50, 10, -10])).toBe(0);
+    expect(deltaE2000([0, 0, 0], [0, 0, 0])).toBe(0);
+  });
+});
+
+describe('toHex', () => {
+  test('pads packed colors', () => {
+    expect(toHex(0x4a6cf7)).toBe('#4a6cf7');
+    expect(toHex(0x0000ff)).toBe('#0000ff');
+  });
+});
@@ -0,0 +1,64 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectImageFormat, loadDesign } from '../src/core/design-loaders.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let dir;
+const file = async (name, contents) => {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, contents);
+  return filePath;
+};
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'oculus-designs-'));
+});
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('detectImageFormat', () => {
+  test('reads the format from the first bytes', async () => {
+    expect(await detectImageFormat(await file('home.jpg', PNG_SIGNATURE))).toBe('png');
+    expect(await detectImageFormat(await file('a', Buffer.from([0xff, 0xd8, 0xff, 0xe0])))).toBe('jpeg');
+    expect(await detectImageFormat(await file('b', Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')])))).toBe('webp');
+    expect(await detectImageFormat(await file('c', '%PDF-1.7\n'))).toBe('pdf');
+  });
+
+  test('recognizes SVG after a prolog, comments and a doctype', async () => {
+    const svg = '\uFEFF<?xml version="1.0"?>\n<!-- Exported -->\n<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN">\n<svg width="10" height="10"></svg>';
+
+    expect(await detectImageFormat(await file('d', svg))).toBe('svg');
+    expect(await detectImageFormat(await file('e', '<svgs></svgs>'))).toBe(null);
+  });
+
+  test('falls back to the extension', async () => {
+    expect(await detectImageFormat(await file('home.WEBP', 'not decoded'))).toBe('webp');
+    expect(await detectImageFormat(await file('home.gif', 'GIF89a'))).toBe(null);
+  });
+});
+
+describe('loadDesign', () => {
+  test('returns PNG files as they are', async () => {
+    const filePath = await file('home@2x.png', PNG_SIGNATURE);
+
+    expect(await loadDesign(filePath, { scale: 3 })).toEqual({ path: filePath, format: 'png', scale: null });
+  });
+
+  test('rejects unsupported files', async () => {
+    const filePath = await file('home.gif', 'GIF89a');
+
+    await expect(loadDesign(filePath))
+      .rejects.toThrow(`Unsupported design file ${filePath}: expected PNG, JPEG, WebP, SVG or PDF`);
+  });
+
+  test('rejects empty crop boxes before rendering', async () => {
+    const filePath = await file('home.svg', '<svg width="10" height="10"></svg>');
+
+    await expect(loadDesign(filePath, { cropBox: { x: 0, y: 0, width: 0, height: 10 } }))
+      .rejects.toThrow('Invalid crop box {"x":0,"y":0,"width":0,"height":10}: width and height must be positive');
+  });
+});
@@ -0,0 +1,100 @@
+import { findDiffRegions, describeRegion, DIFF_COLOR } from '../src/core/diff-regions.js';
+
+const WIDTH = 40;
+const HEIGHT = 20;
+
+const image = (fill = [255, 255, 255]) => {
+  const data = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set([...fill, 255], i);
+  }
+  return { width: WIDTH, height: HEIGHT, data };
+};
+
+// Marks pixels as changed: black in the second image and DIFF_COLOR in the diff
+const change = (images, pixels) => {
+  for (const [x, y] of pixels) {
+    const i = (y * WIDTH + x) * 4;
+    images.b.data.set([0, 0, 0], i);
+    images.diff.data.set(DIFF_COLOR, i);
+  }
+};
+
+const block = (x0, y0, width, height) => {
+  const pixels = [];
+  for (let y = y0; y < y0 + height; y++) {
+    for (let x = x0; x < x0 + width; x++) {
+      pixels.push([x, y]);
+    }
+  }
+  return pixels;
+};
+
+const setup = () => ({ a: image(), b: image(), diff: image() });
+const regionsOf = ({ a, b, diff }, options) => findDiffRegions(a, b, diff, WIDTH, HEIGHT, options);
+
+describe('findDiffRegions', () => {
+  test('finds nothing in an unchanged diff', () => {
+    expect(regionsOf(setup())).toEqual({ totalRegions: 0, regions: [] });
+  });
+
+  test('merges nearby diff pixels into one region with a tight bounding box', () => {
+    const images = setup();
+    change(images, [...block(2, 3, 3, 2), ...block(9, 6, 2, 2)]);
+
+    expect(regionsOf(images)).toEqual({
+      totalRegions: 1,
+      regions: [{ rank: 1, bbox: { x: 2, y: 3, width: 9, height: 5 }, area: 10, meanColorDelta: 1 }]
+    });
+  });
+
+  test('keeps distant changes apart and ranks the larger one first', () => {
+    const images = setup();
+    change(images, [...block(1, 1, 2, 2), ...block(30, 10, 4, 4)]);
+    const { totalRegions, regions } = regionsOf(images);
+
+    expect(totalRegions).toBe(2);
+    expect(regions.map(region => [region.rank, region.bbox, region.area])).toEqual([
+      [1, { x: 30, y: 10, width: 4, height: 4 }, 16],
+      [2, { x: 1, y: 1, width: 2, height: 2 }, 4]
+    ]);
+  });
+
+  test('only counts pixels painted in exactly the diff color', () => {
+    const images = setup();
+    change(images, block(1, 1, 3, 3));
+    images.diff.data.set([255, 0, 1], (1 * WIDTH + 1) * 4);
+    images.diff.data.set([254, 0, 0], (1 * WIDTH + 2) * 4);
+
+    expect(regionsOf(images).regions[0].area).toBe(7);
+  });
+
+  test('drops regions below minArea and caps the list at maxRegions', () => {
+    const images = setup();
+    change(images, [[0, 0], ...block(16, 0, 2, 2), ...block(32, 0, 3, 3), ...block(16, 16, 4, 4)]);
+    const result = regionsOf(images, { minArea: 2, maxRegions: 2 });
+
+    expect(result.totalRegions).toBe(3);
+    expect(result.regions.map(region => region.area)).toEqual([16, 9]);
+  });
+
+  test('weights regions by their color difference', () => {
+    const images = setup();
+    change(images, block(0, 0, 4, 4));
+    change(images, block(30, 10, 3, 3));
+    for (const [x, y] of block(0, 0, 4, 4)) {
+      images.b.data.set([240, 240, 240], (y * WIDTH + x) * 4);
+    }
+    const { regions } = regionsOf(images);
+
+    expect(regions.map(region => region.bbox.x)).toEqual([30, 0]);
+    expect(regions[1].meanColorDelta).toBeCloseTo(15 / 255, 4);
+  });
+});
+
+describe('describeRegion', () => {
+  test('formats rank, position, size and change', () => {
+    expect(describeRegion({ rank: 1, bbox: { x: 10, y: 20, width: 30, height: 40 }, area: 250, meanColorDelta: 0.4321 }))
+      .toBe('#1 at (10,20) 30×40px, 250px changed, mean Δ 43.2%');
+  });
+});
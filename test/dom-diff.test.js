@@ -0,0 +1,102 @@
+import { diffDomTrees } from '../src/core/dom-diff.js';
+
+// Builds the flat node list collectDomTree returns from [tag, parent, props] rows
+const tree = rows => rows.map(([tag, parent, props = {}], index) => ({
+  index,
+  parent,
+  tag,
+  id: null,
+  testId: null,
+  role: null,
+  text: '',
+  classes: [],
+  attributes: {},
+  selector: props.id ? `#${props.id}` : `${tag}:nth-of-type(${index})`,
+  path: tag,
+  ...props
+}));
+
+const page = (links = ['Home', 'Pricing', 'Docs']) => tree([
+  ['body', null],
+  ['nav', 0, { id: 'main-nav', role: 'navigation', classes: ['nav'] }],
+  ...links.map(text => ['a', 1, { role: 'link', text, attributes: { href: `/${text.toLowerCase()}` } }]),
+  ['main', 0, { role: 'main' }],
+  ['h1', links.length + 2, { role: 'heading', text: 'Plans' }]
+]);
+
+describe('diffDomTrees', () => {
+  test('reports nothing for identical trees', () => {
+    const result = diffDomTrees(page(), page());
+
+    expect(result.summary).toEqual({
+      designElements: 7,
+      implementationElements: 7,
+      matched: 7,
+      removed: 0,
+      added: 0,
+      moved: 0,
+      reparented: 0,
+      attributeChanges: 0,
+      classChanges: 0
+    });
+  });
+
+  test('reports elements missing in the implementation and extra ones', () => {
+    const result = diffDomTrees(page(), page(['Home', 'Blog', 'Pricing', 'Docs']).filter(node => node.tag !== 'h1'));
+
+    expect(result.removed).toEqual([{ selector: 'h1:nth-of-type(6)', path: 'h1', tag: 'h1', text: 'Plans', descendants: 0 }]);
+    expect(result.added).toEqual([expect.objectContaining({ tag: 'a', text: 'Blog', descendants: 0 })]);
+  });
+
+  test('reports a removed subtree once, at its top', () => {
+    const design = page();
+    const implementation = design.filter(node => node.tag === 'body' || node.tag === 'main' || node.tag === 'h1')
+      .map((node, index) => ({ ...node, index, parent: node.parent === null ? null : index - 1 }));
+    const result = diffDomTrees(design, implementation);
+
+    expect(result.removed).toEqual([expect.objectContaining({ tag: 'nav', descendants: 3 })]);
+    expect(result.summary.removed).toBe(1);
+  });
+
+  test('reports siblings that changed order as moved', () => {
+    const result = diffDomTrees(page(), page(['Docs', 'Home', 'Pricing']));
+
+    expect(result.moved).toEqual([expect.objectContaining({ tag: 'a', text: 'Docs' })]);
+    expect(result.summary).toMatchObject({ matched: 7, moved: 1, added: 0, removed: 0 });
+  });
+
+  test('reports elements under a different parent as re-parented', () => {
+    const implementation = page();
+    implementation.find(node => node.text === 'Plans').parent = 1;
+    const result = diffDomTrees(page(), implementation);
+
+    expect(result.reparented).toEqual([expect.objectContaining({ tag: 'h1', designParent: 'main', implementationParent: 'nav' })]);
+  });
+
+  test('reports attribute and class changes on matched elements', () => {
+    const implementation = page();
+    implementation[1].classes = ['nav', 'nav--dark'];
+    implementation[2].attributes = { href: '/', target: '_blank' };
+    const result = diffDomTrees(page(), implementation);
+
+    expect(result.classChanges).toEqual([expect.objectContaining({ selector: '#main-nav', added: ['nav--dark'], removed: [] })]);
+    expect(result.attributeChanges).toEqual([
+      expect.objectContaining({ text: 'Home', attribute: 'href', design: '/home', implementation: '/' }),
+      expect.objectContaining({ text: 'Home', attribute: 'target', design: null, implementation: '_blank' })
+    ]);
+  });
+
+  test('pairs elements with changed text by their position', () => {
+    const result = diffDomTrees(page(), page(['Home', 'Plans & pricing', 'Docs']));
+
+    expect(result.summary).toMatchObject({ matched: 7, added: 0, removed: 0, moved: 0 });
+    expect(result.attributeChanges).toEqual([expect.objectContaining({ attribute: 'href', design: '/pricing' })]);
+  });
+
+  test('caps every list at maxChanges', () => {
+    const result = diffDomTrees(page(), page(['A', 'B', 'C', 'D', 'E', 'F']), { maxChanges: 2 });
+
+    expect(result.summary.added).toBe(3);
+    expect(result.added).toHaveLength(2);
+  });
+});
@@ -0,0 +1,196 @@
+import { parseFigmaFile, checkFigmaSpecs } from '../src/integrations/figma.js';
+
+const solid = (r, g, b, opacity) => ({ type: 'SOLID', color: { r, g, b, a: 1 }, ...(opacity === undefined ? {} : { opacity }) });
+
+const pricingFrame = () => ({
+  id: '1:1',
+  type: 'FRAME',
+  name: 'Pricing',
+  absoluteBoundingBox: { x: 100, y: 50, width: 400, height: 300 },
+  fills: [solid(1, 1, 1)],
+  layoutMode: 'VERTICAL',
+  itemSpacing: 24,
+  paddingTop: 32,
+  paddingRight: 16,
+  paddingBottom: 32,
+  paddingLeft: 16,
+  children: [
+    {
+      id: '1:2',
+      type: 'TEXT',
+      name: 'Title',
+      characters: 'Plans',
+      absoluteBoundingBox: { x: 116, y: 82, width: 200, height: 32 },
+      fills: [solid(0.1, 0.1, 0.1)],
+      style: { fontFamily: 'Inter', fontSize: 24, fontWeight: 700, lineHeightPx: 32, letterSpacing: 0, textAlignHorizontal: 'LEFT' }
+    },
+    {
+      id: '1:3',
+      type: 'RECTANGLE',
+      name: '.card',
+      absoluteBoundingBox: { x: 116, y: 138, width: 368, height: 120 },
+      cornerRadius: 8,
+      fills: [solid(0, 0.4, 1, 0.5)]
+    },
+    { id: '1:4', type: 'RECTANGLE', name: 'Draft', visible: false, absoluteBoundingBox: { x: 0, y: 0, width: 1, height: 1 } }
+  ]
+});
+
+const fileExport = () => ({
+  name: 'Marketing site',
+  document: {
+    type: 'DOCUMENT',
+    children: [
+      { type: 'CANVAS', name: 'Home', children: [pricingFrame()] },
+      {
+        type: 'CANVAS',
+        name: 'Archive',
+        children: [{
+          type: 'SECTION',
+          name: 'Old',
+          children: [{ id: '2:1', type: 'COMPONENT', name: 'Button', absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 40 } }]
+        }]
+      }
+    ]
+  }
+});
+
+// Elements as collectFigmaElements() measures them, matching the frame's spec
+const element = (selector, box, styles = {}, gaps = { horizontal: [], vertical: [] }) => ({
+  selector,
+  box,
+  gaps,
+  styles: {
+    'color': 'rgb(0, 0, 0)',
+    'background-color': 'rgba(0, 0, 0, 0)',
+    'font-family': 'Arial',
+    'font-size': '16px',
+    'font-weight': '400',
+    'line-height': 'normal',
+    'letter-spacing': 'normal',
+    'text-align': 'start',
+    'padding-top': '0px',
+    'padding-right': '0px',
+    'padding-bottom': '0px',
+    'padding-left': '0px',
+    'row-gap': 'normal',
+    'column-gap': 'normal',
+    'border-radius': '0px',
+    ...styles
+  }
+});
+
+const elements = (overrides = {}) => ({
+  __root: element('#pricing', { x: 0, y: 0, width: 400, height: 300 }, {
+    'background-color': 'rgb(255, 255, 255)',
+    'padding-top': '32px',
+    'padding-right': '16px',
+    'padding-bottom': '32px',
+    'padding-left': '16px',
+    ...overrides.root
+  }, { horizontal: [-200, -368], vertical: overrides.gaps || [24] }),
+  '1:2': element('#pricing > h2', { x: 16, y: 32, width: 200, height: 32 }, {
+    'color': 'rgb(26, 26, 26)',
+    'font-family': '"Inter", sans-serif',
+    'font-size': '24px',
+    'font-weight': '700',
+    'line-height': '32px',
+    ...overrides.title
+  }),
+  '1:3': element('#pricing > .card', { x: 16, y: 88, width: 368, height: 120, ...overrides.cardBox }, {
+    'background-color': 'rgba(0, 102, 255, 0.5)',
+    'border-radius': '8px',
+    ...overrides.card
+  })
+});
+
+describe('parseFigmaFile', () => {
+  test('lists the frames of every page, including those in sections', () => {
+    const { name, frames } = parseFigmaFile(fileExport());
+
+    expect(name).toBe('Marketing site');
+    expect(frames.map(frame => [frame.id, frame.name, frame.page])).toEqual([['1:1', 'Pricing', 'Home'], ['2:1', 'Button', 'Archive']]);
+    expect(frames[0].box).toEqual({ x: 100, y: 50, width: 400, height: 300 });
+  });
+
+  test('describes the frame and its visible layers relative to the frame', () => {
+    const [frame] = parseFigmaFile(fileExport()).frames;
+
+    expect(frame.spec).toMatchObject({
+      path: '',
+      box: { x: 0, y: 0, width: 400, height: 300 },
+      fills: ['#ffffff'],
+      layout: { direction: 'vertical', gap: 24, wrap: false, padding: { top: 32, right: 16, bottom: 32, left: 16 } },
+      cornerRadius: null
+    });
+    expect(frame.layers.map(layer => layer.path)).toEqual(['Title', '.card']);
+    expect(frame.layers[0]).toMatchObject({
+      box: { x: 16, y: 32, width: 200, height: 32 },
+      fills: ['#1a1a1a'],
+      text: { characters: 'Plans', fontFamily: 'Inter', fontSize: 24, fontWeight: 700, lineHeight: 32, letterSpacing: 0, textAlign: 'left' },
+      layout: null
+    });
+    expect(frame.layers[1]).toMatchObject({ box: { x: 16, y: 88, width: 368, height: 120 }, fills: ['rgba(0, 102, 255, 0.5)'], cornerRadius: 8 });
+  });
+
+  test('reads node exports', () => {
+    const { frames } = parseFigmaFile({ name: 'Marketing site', nodes: { '1:1': { document: pricingFrame() }, '9:9': null } });
+
+    expect(frames.map(frame => [frame.name, frame.page])).toEqual([['Pricing', null]]);
+  });
+
+  test('leaves out the gap of auto-spaced layouts', () => {
+    const frame = { ...pricingFrame(), primaryAxisAlignItems: 'SPACE_BETWEEN' };
+
+    expect(parseFigmaFile({ nodes: { '1:1': { document: frame } } }).frames[0].spec.layout.gap).toBe(null);
+  });
+
+  test('rejects other JSON', () => {
+    expect(() => parseFigmaFile({ name: 'Not Figma' }))
+      .toThrow('Not a Figma file export: expected a "document" or "nodes" property');
+  });
+});
+
+describe('checkFigmaSpecs', () => {
+  const [frame] = parseFigmaFile(fileExport()).frames;
+
+  test('passes elements that match the spec within the tolerances', () => {
+    const result = checkFigmaSpecs(frame, elements({ cardBox: { width: 368.8 }, title: { color: 'rgb(27, 26, 26)' } }));
+
+    expect(result).toEqual({ frame: 'Pricing', layers: 2, matched: 2, unmatched: [], totalFindings: 0, findings: [] });
+  });
+
+  test('reports each mismatching property', () => {
+    const result = checkFigmaSpecs(frame, elements({
+      root: { 'padding-top': '24px' },
+      gaps: [24, 30],
+      title: { 'font-weight': '400', 'font-family': 'Roboto, sans-serif' },
+      cardBox: { x: 20 },
+      card: { 'background-color': 'rgb(0, 102, 255)' }
+    }));
+
+    expect(result.findings).toEqual([
+      expect.objectContaining({ path: 'Pricing', selector: '#pricing', property: 'padding-top', expected: 32, actual: 24, delta: -8, message: 'expected 32px padding-top, got 24px' }),
+      expect.objectContaining({ property: 'gap', expected: 24, actual: 30, delta: 6 }),
+      expect.objectContaining({ path: 'Title', property: 'font-weight', delta: -300, message: 'expected 700 font-weight, got 400' }),
+      expect.objectContaining({ path: 'Title', property: 'font-family', delta: null, message: 'expected Inter font-family, got Roboto' }),
+      expect.objectContaining({ path: '.card', property: 'x', message: 'expected 16px left offset, got 20px' }),
+      expect.objectContaining({ path: '.card', property: 'background-color', expected: 'rgba(0, 102, 255, 0.5)', actual: '#0066ff' })
+    ]);
+  });
+
+  test('reports layers mapped by config or name that matched nothing', () => {
+    const result = checkFigmaSpecs(frame, { ...elements(), '1:2': null, '1:3': null }, { selectors: { Title: 'h2.title' } });
+
+    expect(result.matched).toBe(0);
+    expect(result.unmatched).toEqual([{ layer: 'Title', selector: 'h2.title' }, { layer: '.card', selector: '.card' }]);
+    expect(checkFigmaSpecs(frame, { ...elements(), '1:2': null }).unmatched).toEqual([]);
+  });
+
+  test('caps the findings but counts them all', () => {
+    const result = checkFigmaSpecs(frame, elements({ root: { 'padding-top': '0px', 'padding-left': '0px' } }), { maxFindings: 1 });
+
+    expect(result.totalFindings).toBe(2);
+    expect(result.findings).toHaveLength(1);
+  });
+});
@@ -0,0 +1,95 @@
+import { diffElementGeometry, describeGeometryChange } from '../src/core/geometry-diff.js';
+
+const element = (index, parent, keys, label, box) => ({
+  index,
+  parent,
+  keys,
+  label,
+  selector: `#e${index}`,
+  box: { x: box[0], y: box[1], width: box[2], height: box[3] }
+});
+
+// A navigation bar with two links side by side, 40px apart in the design
+const navigation = ({ nav = [0, 0], home = [20, 10], pricing = [140, 10], width = 80 } = {}) => [
+  element(0, null, [], 'body', [0, 0, 1280, 800]),
+  element(1, 0, ['name:navigation|Main'], 'navigation "Main"', [...nav, 1280, 60]),
+  element(2, 1, ['name:link|Home'], 'link "Home"', [nav[0] + home[0], nav[1] + home[1], width, 40]),
+  element(3, 1, ['name:link|Pricing'], 'link "Pricing"', [nav[0] + pricing[0], nav[1] + pricing[1], 80, 40])
+];
+
+describe('diffElementGeometry', () => {
+  test('reports nothing for identical layouts', () => {
+    const result = diffElementGeometry(navigation(), navigation());
+
+    expect(result.summary).toMatchObject({ matched: 4, positionChanges: 0, sizeChanges: 0, gapChanges: 0 });
+    expect(result.changes).toEqual([]);
+  });
+
+  test('ignores deltas within the default 1px tolerance', () => {
+    const result = diffElementGeometry(navigation(), navigation({ home: [21, 10], pricing: [141, 10] }));
+
+    expect(result.changes).toEqual([]);
+  });
+
+  test('reports position, size and gap deltas beyond the tolerance, largest first', () => {
+    const result = diffElementGeometry(navigation(), navigation({ pricing: [132, 10], width: 84 }));
+
+    expect(result.changes).toEqual([
+      expect.objectContaining({
+        type: 'gap',
+        axis: 'horizontal',
+        design: 40,
+        implementation: 28,
+        delta: -12,
+        message: 'navigation "Main": gap between link "Home" and link "Pricing" 40px vs 28px'
+      }),
+      expect.objectContaining({
+        type: 'position',
+        label: 'link "Pricing"',
+        delta: { x: -8, y: 0 },
+        message: 'link "Pricing" at 140, 10px vs 132, 10px in navigation "Main"'
+      }),
+      expect.objectContaining({
+        type: 'size',
+        label: 'link "Home"',
+        delta: { width: 4, height: 0 },
+        message: 'link "Home" 80×40px vs 84×40px'
+      })
+    ]);
+  });
+
+  test('applies configured tolerances per kind of change', () => {
+    const result = diffElementGeometry(
+      navigation(),
+      navigation({ pricing: [132, 10], width: 84 }),
+      { tolerance: { position: 8, size: 4 } }
+    );
+
+    expect(result.changes.map(change => change.type)).toEqual(['gap']);
+  });
+
+  test('reports a shifted container once rather than with its content', () => {
+    const result = diffElementGeometry(navigation(), navigation({ nav: [0, 24] }));
+
+    expect(result.changes).toEqual([
+      expect.objectContaining({ type: 'position', label: 'navigation "Main"', delta: { x: 0, y: 24 } })
+    ]);
+  });
+
+  test('lists elements without a counterpart', () => {
+    const design = navigation();
+    const result = diffElementGeometry(design, design.slice(0, 3));
+
+    expect(result.summary.matched).toBe(3);
+    expect(result.unmatched).toEqual({ design: ['link "Pricing"'], implementation: [] });
+  });
+});
+
+describe('describeGeometryChange', () => {
+  test('adds the signed delta to gap changes', () => {
+    expect(describeGeometryChange({ type: 'gap', message: 'gap between a and b 40px vs 48px', delta: 8 }))
+      .toBe('gap between a and b 40px vs 48px (+8px)');
+    expect(describeGeometryChange({ type: 'size', message: 'a 80×40px vs 84×40px' }))
+      .toBe('a 80×40px vs 84×40px');
+  });
+});
@@ -0,0 +1,134 @@
+import { createImage, placeImage, resizeImage, reconcileImageSizes, placeRect } from '../src/core/image-utils.js';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const PAD = [0, 0, 0, 0];
+
+const pixel = (img, x, y) => Array.from(img.data.slice((y * img.width + x) * 4, (y * img.width + x) * 4 + 4));
+const size = img => [img.width, img.height];
+
+describe('placeImage', () => {
+  test('fills around the source and crops what falls outside', () => {
+    const out = placeImage(createImage(2, 2, RED), 3, 3, 2, -1, BLUE);
+
+    expect(size(out)).toEqual([3, 3]);
+    expect(pixel(out, 2, 0)).toEqual(RED);
+    expect(pixel(out, 2, 1)).toEqual(BLUE);
+    expect(pixel(out, 1, 0)).toEqual(BLUE);
+  });
+});
+
+describe('resizeImage', () => {
+  test('returns the image itself when the size matches', () => {
+    const img = createImage(4, 4, RED);
+
+    expect(resizeImage(img, 4, 4)).toBe(img);
+  });
+
+  test('keeps solid colors when scaling up and down', () => {
+    expect(pixel(resizeImage(createImage(4, 2, RED), 8, 4), 7, 3)).toEqual(RED);
+    expect(pixel(resizeImage(createImage(8, 4, BLUE), 2, 1), 1, 0)).toEqual(BLUE);
+  });
+});
+
+describe('reconcileImageSizes', () => {
+  const design = () => createImage(4, 3, RED);
+  const implementation = () => createImage(2, 5, BLUE);
+
+  test('passes images of equal size through', () => {
+    const a = createImage(4, 3, RED);
+    const b = createImage(4, 3, BLUE);
+    const result = reconcileImageSizes(a, b);
+
+    expect(result.design).toBe(a);
+    expect(result.implementation).toBe(b);
+    expect(result.sizeDifference.mismatch).toBe(false);
+  });
+
+  test('reports the size difference', () => {
+    expect(reconcileImageSizes(design(), implementation(), { mode: 'crop', anchor: 'center' }).sizeDifference).toEqual({
+      mismatch: true,
+      design: { width: 4, height: 3 },
+      implementation: { width: 2, height: 5 },
+      widthDelta: -2,
+      heightDelta: 2,
+      mode: 'crop',
+      anchor: 'center'
+    });
+  });
+
+  test('pads both images to the larger size at the top left', () => {
+    const result = reconcileImageSizes(design(), implementation());
+
+    expect([result.width, result.height]).toEqual([4, 5]);
+    expect(size(result.design)).toEqual([4, 5]);
+    expect(size(result.implementation)).toEqual([4, 5]);
+    expect(pixel(result.design, 0, 0)).toEqual(RED);
+    expect(pixel(result.design, 0, 3)).toEqual(PAD);
+    expect(pixel(result.implementation, 1, 4)).toEqual(BLUE);
+    expect(pixel(result.implementation, 2, 0)).toEqual(PAD);
+  });
+
+  test('pads around centered images with the pad color', () => {
+    const result = reconcileImageSizes(design(), implementation(), { anchor: 'center', padColor: [255, 255, 255, 255] });
+
+    expect(pixel(result.design, 0, 0)).toEqual([255, 255, 255, 255]);
+    expect(pixel(result.design, 0, 1)).toEqual(RED);
+    expect(pixel(result.design, 0, 4)).toEqual([255, 255, 255, 255]);
+    expect(pixel(result.implementation, 0, 0)).toEqual([255, 255, 255, 255]);
+    expect(pixel(result.implementation, 1, 0)).toEqual(BLUE);
+    expect(pixel(result.implementation, 3, 0)).toEqual([255, 255, 255, 255]);
+  });
+
+  test('crops both images to the smaller size at the top left', () => {
+    const wide = createImage(4, 3, RED);
+    wide.data.set(BLUE, (1 * 4 + 3) * 4);
+    const result = reconcileImageSizes(wide, implementation(), { mode: 'crop' });
+
+    expect([result.width, result.height]).toEqual([2, 3]);
+    expect(size(result.design)).toEqual([2, 3]);
+    expect(size(result.implementation)).toEqual([2, 3]);
+    expect([0, 1].map(x => pixel(result.design, x, 1))).toEqual([RED, RED]);
+  });
+
+  test('crops centered images from both sides', () => {
+    const striped = createImage(4, 3, RED);
+    for (const y of [0, 1, 2]) {
+      striped.data.set(BLUE, (y * 4 + 1) * 4);
+    }
+    const result = reconcileImageSizes(striped, implementation(), { mode: 'crop', anchor: 'center' });
+
+    expect(pixel(result.design, 0, 0)).toEqual(BLUE);
+    expect(pixel(result.design, 1, 0)).toEqual(RED);
+  });
+
+  test('scales the implementation to the design size', () => {
+    const result = reconcileImageSizes(design(), implementation(), { mode: 'scale' });
+
+    expect([result.width, result.height]).toEqual([4, 3]);
+    expect(size(result.implementation)).toEqual([4, 3]);
+    expect(pixel(result.implementation, 3, 2)).toEqual(BLUE);
+  });
+
+  test('reports where each image was placed', () => {
+    expect(reconcileImageSizes(design(), implementation(), { anchor: 'center' }).placement).toEqual({
+      design: { offsetX: 0, offsetY: 1, scaleX: 1, scaleY: 1 },
+      implementation: { offsetX: 1, offsetY: 0, scaleX: 1, scaleY: 1 }
+    });
+    expect(reconcileImageSizes(design(), implementation(), { mode: 'scale' }).placement.implementation)
+      .toEqual({ offsetX: 0, offsetY: 0, scaleX: 2, scaleY: 0.6 });
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => reconcileImageSizes(design(), implementation(), { mode: 'stretch' }))
+      .toThrow('Unsupported size reconciliation mode: stretch');
+  });
+});
+
+describe('placeRect', () => {
+  test('moves a source rectangle into comparison space', () => {
+    expect(placeRect({ x: 2, y: 5, width: 10, height: 4, label: 'a' }, { offsetX: 3, offsetY: 1, scaleX: 2, scaleY: 0.5 }))
+      .toEqual({ x: 7, y: 3.5, width: 20, height: 2, label: 'a' });
+    expect(placeRect({ x: 2, y: 5, width: 10, height: 4 })).toEqual({ x: 2, y: 5, width: 10, height: 4 });
+  });
+});
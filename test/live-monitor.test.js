@@ -0,0 +1,53 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { LiveMonitor } from '../src/core/live-monitor.js';
+import { createImage } from '../src/core/image-utils.js';
+
+const GRAY = [40, 40, 40, 255];
+
+const snapshot = (width, height, extra = {}) => ({
+  url: 'https://example.com/',
+  viewport: { name: 'desktop' },
+  selector: 'body',
+  state: null,
+  buffer: PNG.sync.write(createImage(width, height, GRAY)),
+  ...extra
+});
+
+describe('LiveMonitor._compareSnapshots', () => {
+  let baseDir;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oculus-monitor-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  test('counts the area a page grew by as changed', async () => {
+    const monitor = new LiveMonitor({ storage: { baseDir } });
+    const result = await monitor._compareSnapshots(snapshot(20, 10), snapshot(20, 15));
+
+    expect(result.sizeDifference).toMatchObject({ mismatch: true, widthDelta: 0, heightDelta: 5, mode: 'pad' });
+    expect(result.totalPixels).toBe(300);
+    expect(result.diffPixelCount).toBe(100);
+    expect(result.exceedsThreshold).toBe(true);
+    expect(result.diffImagePath.startsWith(path.join(baseDir, 'diffs'))).toBe(true);
+  });
+
+  test('places the ignore rects of each snapshot as its image was placed', async () => {
+    const monitor = new LiveMonitor({ storage: { baseDir }, sizeReconciliation: { mode: 'crop', anchor: 'center' } });
+    const result = await monitor._compareSnapshots(
+      snapshot(20, 10, { ignoreRects: [{ x: 0, y: 0, width: 20, height: 2 }] }),
+      snapshot(20, 14, { ignoreRects: [{ x: 0, y: 0, width: 20, height: 4 }] })
+    );
+
+    expect([result.sizeDifference.implementation.height, result.diffPixelCount]).toEqual([14, 0]);
+    // The baseline rect covers rows 0-1; the current one, moved up by 2, rows 0-1 as well
+    expect(result.maskedPixels).toBe(40);
+    expect(result.totalPixels).toBe(160);
+  });
+});
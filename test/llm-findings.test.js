@@ -0,0 +1,103 @@
+import { parseFindings, validateFindings, repairPrompt, describeFinding } from '../src/core/llm-findings.js';
+
+const finding = {
+  category: 'color',
+  severity: 'medium',
+  description: 'Primary button is lighter than in the design',
+  bbox: { x: 40.4, y: 120, width: 160, height: 48.6 },
+  selector: '.btn.primary',
+  suggestedChange: { property: 'background-color', from: '#6a7cf7', to: '#4a6cf7' }
+};
+
+describe('parseFindings', () => {
+  test('reads a fenced answer with text around it', () => {
+    const answer = `Here is the analysis:\n\`\`\`json\n${JSON.stringify({ summary: ' Button color differs. ', findings: [finding] })}\n\`\`\`\nLet me know.`;
+    const { summary, findings, errors } = parseFindings(answer);
+
+    expect(errors).toEqual([]);
+    expect(summary).toBe('Button color differs.');
+    expect(findings).toEqual([{ ...finding, bbox: { x: 40, y: 120, width: 160, height: 49 } }]);
+  });
+
+  test('normalizes enum spellings and fills in optional fields', () => {
+    const answer = JSON.stringify({
+      summary: 'Heading is missing',
+      findings: [{ category: 'Missing Element', severity: 'HIGH', description: 'No h1' }]
+    });
+
+    expect(parseFindings(answer).findings).toEqual([{
+      category: 'missing-element',
+      severity: 'high',
+      description: 'No h1',
+      bbox: null,
+      selector: null,
+      suggestedChange: null
+    }]);
+  });
+
+  test('sorts findings by severity', () => {
+    const answer = JSON.stringify({
+      summary: '',
+      findings: [
+        { ...finding, severity: 'low' },
+        { ...finding, severity: 'high' },
+        { ...finding, severity: 'medium' }
+      ]
+    });
+
+    expect(parseFindings(answer).findings.map(f => f.severity)).toEqual(['high', 'medium', 'low']);
+  });
+
+  test('reports answers without JSON', () => {
+    const { findings, errors } = parseFindings('The images look the same.');
+
+    expect(findings).toEqual([]);
+    expect(errors).toEqual(['not valid JSON: no JSON object found']);
+  });
+
+  test('drops every finding of an answer that fails validation', () => {
+    const answer = JSON.stringify({ summary: 'x', findings: [finding, { ...finding, severity: 'critical' }] });
+    const { findings, errors } = parseFindings(answer);
+
+    expect(findings).toEqual([]);
+    expect(errors).toEqual(['findings[1].severity: expected one of high, medium, low']);
+  });
+});
+
+describe('validateFindings', () => {
+  test('lists every problem with its path', () => {
+    expect(validateFindings({
+      findings: [{ category: 'layout', severity: 'high', description: ' ', bbox: { x: -1, y: 0, width: 1, height: 1 }, selector: 3, suggestedChange: { property: 'color' } }]
+    })).toEqual([
+      'summary: expected a string',
+      'findings[0].category: expected one of color, spacing, typography, missing-element, alignment',
+      'findings[0].description: expected a non-empty string',
+      'findings[0].bbox: expected null or { x, y, width, height } with non-negative numbers',
+      'findings[0].selector: expected a string or null',
+      'findings[0].suggestedChange: expected null or { property, from, to } strings'
+    ]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateFindings([])).toEqual(['expected a JSON object']);
+    expect(validateFindings({ summary: '' })).toEqual(['findings: expected an array']);
+  });
+});
+
+describe('repairPrompt', () => {
+  test('quotes the answer and its problems', () => {
+    const prompt = repairPrompt('{"summary": 1}', ['summary: expected a string', 'findings: expected an array']);
+
+    expect(prompt).toContain('Previous answer:\n{"summary": 1}');
+    expect(prompt).toContain('- summary: expected a string\n- findings: expected an array');
+    expect(prompt).toContain('Respond with a single JSON object');
+  });
+});
+
+describe('describeFinding', () => {
+  test('formats a finding with its selector and suggested change', () => {
+    expect(describeFinding(finding)).toBe(
+      '[medium] color: Primary button is lighter than in the design (`.btn.primary`) → .btn.primary { background-color: #4a6cf7; }'
+    );
+  });
+});
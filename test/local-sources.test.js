@@ -0,0 +1,102 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { isLocalPage, localPath, LocalSourceServer } from '../src/core/local-sources.js';
+
+let root;
+
+beforeAll(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'oculus-local-'));
+  await fs.mkdir(path.join(root, 'site', 'docs'), { recursive: true });
+  await fs.mkdir(path.join(root, 'shared'));
+  await fs.writeFile(path.join(root, 'site', 'index.html'), '<link rel="stylesheet" href="../shared/styles.css"><h1>Home</h1>');
+  await fs.writeFile(path.join(root, 'site', 'docs', 'getting started.html'), '<h1>Docs</h1>');
+  await fs.writeFile(path.join(root, 'shared', 'styles.css'), 'h1 { color: rebeccapurple; }');
+});
+
+afterAll(async () => {
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('isLocalPage', () => {
+  test('recognizes file URLs, HTML files and directories', async () => {
+    expect(await isLocalPage(pathToFileURL(path.join(root, 'site', 'index.html')).href)).toBe(true);
+    expect(await isLocalPage('mockups/home.HTML')).toBe(true);
+    expect(await isLocalPage(path.join(root, 'site'))).toBe(true);
+  });
+
+  test('leaves remote URLs, images and missing paths alone', async () => {
+    expect(await isLocalPage('https://example.com/index.html')).toBe(false);
+    expect(await isLocalPage('design/home.png')).toBe(false);
+    expect(await isLocalPage(path.join(root, 'missing'))).toBe(false);
+    expect(await isLocalPage(undefined)).toBe(false);
+  });
+
+  test('leaves file URLs of images to be compared as files', async () => {
+    expect(await isLocalPage(pathToFileURL(path.join(root, 'design', 'home@2x.png')).href)).toBe(false);
+    expect(await isLocalPage('file:///designs/Home.SVG')).toBe(false);
+    expect(await isLocalPage('file:///designs/home.pdf#page=2')).toBe(false);
+    expect(await isLocalPage('file:///designs/home')).toBe(true);
+  });
+});
+
+describe('localPath', () => {
+  test('turns file URLs into paths and leaves other sources alone', () => {
+    const image = path.join(root, 'design', 'home page.png');
+
+    expect(localPath(pathToFileURL(image).href)).toBe(image);
+    expect(localPath('design/home.png')).toBe('design/home.png');
+    expect(localPath('https://example.com/home.png')).toBe('https://example.com/home.png');
+  });
+});
+
+describe('LocalSourceServer', () => {
+  let server;
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('serves pages inside the root from the root', async () => {
+    server = new LocalSourceServer({ root });
+    const url = await server.resolve(path.join(root, 'site'));
+
+    expect(url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/site\/index\.html$/);
+    expect(await (await fetch(new URL('../shared/styles.css', url))).text()).toBe('h1 { color: rebeccapurple; }');
+  });
+
+  test('serves other pages from their own directory', async () => {
+    server = new LocalSourceServer();
+    const page = path.join(root, 'site', 'docs', 'getting started.html');
+    const url = await server.resolve(pathToFileURL(page).href);
+
+    expect(url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/getting%20started\.html$/);
+    expect(await (await fetch(url)).text()).toBe('<h1>Docs</h1>');
+  });
+
+  test('starts one server per served directory', async () => {
+    server = new LocalSourceServer({ root });
+    const home = await server.resolve(path.join(root, 'site', 'index.html'));
+    const docs = await server.resolve(path.join(root, 'site', 'docs', 'getting started.html'));
+
+    expect(new URL(home).origin).toBe(new URL(docs).origin);
+    expect(server.servers.size).toBe(1);
+  });
+
+  test('passes other sources through', async () => {
+    server = new LocalSourceServer({ root });
+
+    expect(await server.resolve('https://example.com/')).toBe('https://example.com/');
+    expect(await server.resolve('design/home.png')).toBe('design/home.png');
+    expect(await server.resolve('file:///designs/home.png')).toBe('file:///designs/home.png');
+    expect(server.servers.size).toBe(0);
+  });
+
+  test('fails on missing pages', async () => {
+    server = new LocalSourceServer({ root });
+
+    await expect(server.resolve(path.join(root, 'site', 'missing.html')))
+      .rejects.toThrow(`Local source not found: ${path.join(root, 'site', 'missing.html')}`);
+  });
+});
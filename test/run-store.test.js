@@ -0,0 +1,68 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunStore, DEFAULT_RUN_OPTIONS, createRunId } from '../src/core/run-store.js';
+
+const result = (hasSignificantDifferences, viewport = 'desktop') => ({
+  viewport: { name: viewport },
+  state: null,
+  selector: 'body',
+  pixelDiff: { diffPercentage: hasSignificantDifferences ? 12.5 : 0.1 },
+  structuralDiff: { structuralDiffPercentage: 0, ssim: 0.99 },
+  hasSignificantDifferences,
+  outputDir: '/tmp/unused'
+});
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'oculus-runs-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('RunStore', () => {
+  test('is opt-in', () => {
+    expect(DEFAULT_RUN_OPTIONS.enabled).toBe(false);
+  });
+
+  test('names runs after their start time', () => {
+    expect(createRunId(new Date('2026-10-19T14:30:05.123Z'))).toMatch(/^20261019-143005-123-[0-9a-f]{4}$/);
+  });
+
+  test('records the results of a run in its manifest and the index', async () => {
+    const store = new RunStore({ dir });
+    const run = await store.createRun({ inputs: { implementation: 'https://example.com' }, config: { llm: { apiKey: 'sk-secret' } } });
+
+    expect((await store.listRuns())[0]).toMatchObject({ id: run.id, status: 'running' });
+    expect(run.manifest.config.llm.apiKey).toBe('[redacted]');
+
+    await store.finishRun(run, [result(false), result(true, 'mobile')]);
+    const manifest = await store.getRun('latest');
+
+    expect(manifest).toMatchObject({ status: 'failed', totals: { results: 2, failed: 1 } });
+    expect(manifest.results.map(entry => entry.viewport)).toEqual(['desktop', 'mobile']);
+  });
+
+  test('marks runs that ended in an error failed', async () => {
+    const store = new RunStore({ dir });
+    const run = await store.createRun();
+
+    await store.finishRun(run, [], new Error('Navigation timeout'));
+
+    expect(await store.getRun(run.id)).toMatchObject({ status: 'failed', error: 'Navigation timeout', totals: { results: 0, failed: 0 } });
+  });
+
+  test('prunes finished runs beyond maxRuns and keeps running ones', async () => {
+    const store = new RunStore({ dir, retention: { maxRuns: 1 } });
+    const failed = await store.createRun();
+    await store.finishRun(failed, [], new Error('Browser crashed'));
+    const running = await store.createRun();
+    const latest = await store.createRun();
+    await store.finishRun(latest, [result(false)]);
+
+    expect((await store.listRuns()).map(run => run.id)).toEqual([latest.id, running.id]);
+  });
+});
@@ -0,0 +1,100 @@
+import { PNG } from 'pngjs';
+import { computeSSIM, renderSSIMHeatmap, worstTiles, toGrayscale } from '../src/core/ssim.js';
+
+// Diagonal stripes, so every window has structure
+const pattern = (width, height, paint = () => null) => {
+  const img = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = paint(x, y) === null ? ((x + y) % 4 < 2 ? 30 : 220) : paint(x, y);
+      img.data.set([value, value, value, 255], (y * width + x) * 4);
+    }
+  }
+  return img;
+};
+
+// The pattern with the square at (x0, y0) inverted
+const changed = (width, height, x0, y0, size) => pattern(width, height, (x, y) =>
+  (x >= x0 && x < x0 + size && y >= y0 && y < y0 + size ? ((x + y) % 4 < 2 ? 220 : 30) : null));
+
+describe('toGrayscale', () => {
+  test('weights channels by luma and composites transparency over white', () => {
+    const img = new PNG({ width: 2, height: 1 });
+    img.data.set([255, 0, 0, 255, 0, 0, 0, 0]);
+
+    expect(Array.from(toGrayscale(img))).toEqual([0.299 * 255, 255]);
+  });
+});
+
+describe('computeSSIM', () => {
+  test('scores identical images 1', () => {
+    const result = computeSSIM(pattern(32, 32), pattern(32, 32));
+
+    expect(result.ssim).toBeCloseTo(1, 10);
+    expect(result.tiles.scores).toEqual([[1]]);
+  });
+
+  test('lowers the score of the tiles that changed', () => {
+    const result = computeSSIM(pattern(128, 64), changed(128, 64, 64, 0, 64));
+
+    expect(result.ssim).toBeLessThan(0.6);
+    expect(result.tiles).toMatchObject({ size: 64, columns: 2, rows: 1 });
+    expect(result.tiles.scores[0][0]).toBe(1);
+    expect(result.tiles.scores[0][1]).toBeLessThan(0);
+  });
+
+  test('leaves mostly ignored windows out of the scores', () => {
+    const ignoreMask = new Uint8Array(128 * 64);
+    for (let y = 0; y < 64; y++) {
+      ignoreMask.fill(1, y * 128 + 64, y * 128 + 128);
+    }
+    const result = computeSSIM(pattern(128, 64), changed(128, 64, 64, 0, 64), { ignoreMask });
+
+    expect(result.ssim).toBeCloseTo(1, 10);
+    expect(result.tiles.scores).toEqual([[1, null]]);
+    expect(result.windows.ignored.filter(Boolean)).toHaveLength(64);
+  });
+
+  test('judges clipped edge windows by their own size', () => {
+    // 10x10 makes the right and bottom windows 2 pixels wide or tall
+    const ignoreMask = new Uint8Array(10 * 10);
+    for (let y = 0; y < 8; y++) {
+      ignoreMask.fill(1, y * 10 + 8, y * 10 + 10);
+    }
+    const result = computeSSIM(pattern(10, 10), changed(10, 10, 8, 0, 8), { ignoreMask });
+
+    expect(Array.from(result.windows.ignored)).toEqual([0, 1, 0, 0]);
+  });
+
+  test('combines several scales for MS-SSIM', () => {
+    expect(computeSSIM(pattern(64, 64), pattern(64, 64), { scales: 3 }).ssim).toBeCloseTo(1, 10);
+
+    const single = computeSSIM(pattern(64, 64), changed(64, 64, 0, 0, 16)).ssim;
+    const multi = computeSSIM(pattern(64, 64), changed(64, 64, 0, 0, 16), { scales: 3 }).ssim;
+    expect(multi).toBeGreaterThan(0);
+    expect(multi).toBeLessThan(1);
+    expect(multi).not.toBeCloseTo(single, 3);
+  });
+});
+
+describe('worstTiles', () => {
+  test('lists the lowest scoring tiles with their bounds', () => {
+    const tiles = { size: 64, columns: 3, rows: 1, scores: [[0.9, null, 0.4]] };
+
+    expect(worstTiles(tiles, 1)).toEqual([{ score: 0.4, bbox: { x: 128, y: 0, width: 64, height: 64 } }]);
+    expect(worstTiles(tiles).map(tile => tile.score)).toEqual([0.4, 0.9]);
+  });
+});
+
+describe('renderSSIMHeatmap', () => {
+  test('paints dissimilar windows red over a faded copy', () => {
+    const base = pattern(16, 8);
+    const result = computeSSIM(base, changed(16, 8, 8, 0, 8));
+    const heatmap = renderSSIMHeatmap(base, result);
+    const at = (x, y) => Array.from(heatmap.data.slice((y * 16 + x) * 4, (y * 16 + x) * 4 + 4));
+
+    expect([heatmap.width, heatmap.height]).toEqual([16, 8]);
+    expect(at(0, 0)).toEqual([188, 188, 188, 255]);
+    expect(at(8, 0)).toEqual([255, 0, 0, 255]);
+  });
+});
@@ -0,0 +1,74 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { storyURL, findStoryDesign } from '../src/integrations/storybook.js';
+
+describe('storyURL', () => {
+  test('renders a story in isolation', () => {
+    expect(storyURL('http://localhost:6006/', 'forms-button--primary'))
+      .toBe('http://localhost:6006/iframe.html?id=forms-button--primary&viewMode=story');
+  });
+
+  test('encodes args and globals in Storybook URL format', () => {
+    expect(storyURL('http://localhost:6006', 'forms-button--primary', {
+      args: { label: 'Sign up now', disabled: true, icon: null },
+      globals: { theme: 'dark', locale: 'de-DE' }
+    })).toBe('http://localhost:6006/iframe.html?id=forms-button--primary&viewMode=story' +
+      '&args=label:Sign%20up%20now;disabled:!true;icon:!null&globals=theme:dark;locale:de-DE');
+  });
+
+  test('leaves out empty args and globals', () => {
+    expect(storyURL('http://localhost:6006', 'a--b', { args: {}, globals: {} }))
+      .toBe('http://localhost:6006/iframe.html?id=a--b&viewMode=story');
+  });
+});
+
+describe('findStoryDesign', () => {
+  const story = { id: 'forms-button--primary', title: 'Forms/Button', name: 'Primary Large' };
+  const patterns = ['{id}.png', '{title}/{name}.png'];
+  let designDir;
+
+  const touch = async file => {
+    await fs.mkdir(path.dirname(path.join(designDir, file)), { recursive: true });
+    await fs.writeFile(path.join(designDir, file), '');
+  };
+
+  beforeEach(async () => {
+    designDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oculus-qasum-storybook-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(designDir, { recursive: true, force: true });
+  });
+
+  test('returns null when no design exists', async () => {
+    expect(await findStoryDesign(story, designDir, patterns)).toBeNull();
+  });
+
+  test('uses the first pattern that matches a file', async () => {
+    await touch('forms/button/primary-large.png');
+    expect(await findStoryDesign(story, designDir, patterns))
+      .toBe(path.join(designDir, 'forms/button/primary-large.png'));
+
+    await touch('forms-button--primary.png');
+    expect(await findStoryDesign(story, designDir, patterns))
+      .toBe(path.join(designDir, 'forms-button--primary.png'));
+  });
+
+  test('accepts scale suffixes', async () => {
+    await touch('forms-button--primary@2x.png');
+
+    expect(await findStoryDesign(story, designDir, patterns))
+      .toBe(path.join(designDir, 'forms-button--primary@2x.png'));
+  });
+
+  test('prefers the variant design and falls back to the plain one', async () => {
+    await touch('forms-button--primary.png');
+    expect(await findStoryDesign(story, designDir, patterns, 'dark'))
+      .toBe(path.join(designDir, 'forms-button--primary.png'));
+
+    await touch('forms-button--primary@dark.png');
+    expect(await findStoryDesign(story, designDir, patterns, 'dark'))
+      .toBe(path.join(designDir, 'forms-button--primary@dark.png'));
+  });
+});
@@ -0,0 +1,97 @@
+import { diffComputedStyles, describeStyleDifference } from '../src/core/style-diff.js';
+
+const entry = (key, parentKey, styles) => ({ key, parentKey, selector: `.${key}`, path: `body > .${key}`, styles });
+
+const page = overrides => {
+  const styles = {
+    body: entry('body', null, { 'color': 'rgb(26, 26, 26)', 'font-size': '16px', 'gap': 'normal' }),
+    cards: entry('cards', 'body', { 'color': 'rgb(26, 26, 26)', 'font-size': '16px', 'gap': '30px' }),
+    title: entry('title', 'cards', { 'color': 'rgb(26, 26, 26)', 'font-size': '24px', 'gap': 'normal' })
+  };
+  for (const [key, values] of Object.entries(overrides)) {
+    styles[key] = { ...styles[key], styles: { ...styles[key].styles, ...values } };
+  }
+  return styles;
+};
+
+const properties = ['color', 'font-size', 'gap'];
+
+describe('diffComputedStyles', () => {
+  test('reports nothing for identical styles', () => {
+    const result = diffComputedStyles(page({}), page({}), { properties });
+
+    expect(result).toEqual({
+      matchedElements: 3,
+      unmatched: { design: 0, implementation: 0 },
+      totalDifferences: 0,
+      byProperty: {},
+      differences: []
+    });
+  });
+
+  test('lists differing properties with both values', () => {
+    const result = diffComputedStyles(page({}), page({ cards: { gap: '24px' } }), { properties });
+
+    expect(result.byProperty).toEqual({ gap: 1 });
+    expect(result.differences).toEqual([{
+      selector: '.cards',
+      path: 'body > .cards',
+      property: 'gap',
+      design: '30px',
+      implementation: '24px'
+    }]);
+  });
+
+  test('treats numbers within the tolerance as equal', () => {
+    const implementation = page({ title: { 'font-size': '24.4px' }, cards: { color: 'rgb(26,  26, 26)' } });
+
+    expect(diffComputedStyles(page({}), implementation, { properties }).totalDifferences).toBe(0);
+    expect(diffComputedStyles(page({}), implementation, { properties, tolerance: 0.2 }).differences)
+      .toEqual([expect.objectContaining({ selector: '.title', property: 'font-size' })]);
+  });
+
+  test('reports different units or keywords regardless of tolerance', () => {
+    const result = diffComputedStyles(page({}), page({ cards: { gap: '30em' }, title: { gap: '0px' } }), { properties, tolerance: 100 });
+
+    expect(result.differences.map(difference => difference.selector)).toEqual(['.cards', '.title']);
+  });
+
+  test('reports inherited values only where they diverge', () => {
+    const color = { color: 'rgb(0, 0, 0)' };
+    const result = diffComputedStyles(page({}), page({ body: color, cards: color, title: color }), { properties });
+
+    expect(result.differences.map(({ selector, property }) => [selector, property])).toEqual([['.body', 'color']]);
+  });
+
+  test('counts unmatched elements on both sides', () => {
+    const design = page({});
+    const implementation = page({});
+    delete implementation.title;
+    implementation.footer = entry('footer', 'body', design.title.styles);
+    implementation.aside = entry('aside', 'body', design.title.styles);
+
+    const result = diffComputedStyles(design, implementation, { properties });
+
+    expect(result.matchedElements).toBe(2);
+    expect(result.unmatched).toEqual({ design: 1, implementation: 2 });
+  });
+
+  test('caps the list but keeps the totals', () => {
+    const result = diffComputedStyles(
+      page({}),
+      page({ body: { 'font-size': '18px' }, cards: { 'font-size': '20px', gap: '0px' } }),
+      { properties, maxDifferences: 1 }
+    );
+
+    expect(result.totalDifferences).toBe(3);
+    expect(result.byProperty).toEqual({ 'font-size': 2, gap: 1 });
+    expect(result.differences).toHaveLength(1);
+  });
+});
+
+describe('describeStyleDifference', () => {
+  test('formats a difference', () => {
+    expect(describeStyleDifference({ selector: '.cards', property: 'gap', design: '30px', implementation: '24px' }))
+      .toBe('.cards gap: 30px (design) vs 24px (implementation)');
+  });
+});
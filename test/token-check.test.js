@@ -0,0 +1,131 @@
+import { parseDesignTokens, checkTokenConformance, describeTokenViolation } from '../src/core/token-check.js';
+
+const w3cTokens = {
+  color: {
+    $type: 'color',
+    primary: { $value: '#4a6cf7' },
+    text: { $value: '#1a1a1a' },
+    link: { $value: '{color.primary}' }
+  },
+  spacing: {
+    $type: 'dimension',
+    sm: { $value: '8px' },
+    md: { $value: '1rem' },
+    lg: { $value: { value: 24, unit: 'px' } }
+  },
+  font: {
+    weight: { bold: { $type: 'fontWeight', $value: 'bold' } },
+    family: { body: { $type: 'fontFamily', $value: ['Inter', 'sans-serif'] } }
+  },
+  shadow: { $type: 'shadow', card: { $value: '0 1px 2px #0003' } }
+};
+
+describe('parseDesignTokens', () => {
+  test('reads W3C tokens with inherited types and aliases', () => {
+    const tokens = parseDesignTokens(w3cTokens);
+
+    expect(tokens.map(({ name, type, value }) => [name, type, value])).toEqual([
+      ['color.primary', 'color', '#4a6cf7'],
+      ['color.text', 'color', '#1a1a1a'],
+      ['color.link', 'color', '#4a6cf7'],
+      ['spacing.sm', 'dimension', '8px'],
+      ['spacing.md', 'dimension', '1rem'],
+      ['spacing.lg', 'dimension', '24px'],
+      ['font.weight.bold', 'fontWeight', 'bold'],
+      ['font.family.body', 'fontFamily', 'Inter, sans-serif']
+    ]);
+    expect(tokens.find(token => token.name === 'spacing.md').parsed).toBe(16);
+    expect(tokens.find(token => token.name === 'font.weight.bold').parsed).toBe(700);
+  });
+
+  test('infers the types of Style Dictionary tokens', () => {
+    const tokens = parseDesignTokens({
+      color: { brand: { value: '#ff0000' }, accent: { value: '{color.brand.value}' } },
+      size: { padding: { value: '0.5rem', attributes: { category: 'size' } } },
+      fontWeight: { heading: { value: 600 } }
+    }, { remSize: 10 });
+
+    expect(tokens.map(({ name, type, parsed }) => [name, type, parsed])).toEqual([
+      ['color.brand', 'color', { rgb: [255, 0, 0], alpha: 1 }],
+      ['color.accent', 'color', { rgb: [255, 0, 0], alpha: 1 }],
+      ['size.padding', 'dimension', 5],
+      ['fontWeight.heading', 'fontWeight', 600]
+    ]);
+  });
+
+  test('rejects unresolved aliases', () => {
+    expect(() => parseDesignTokens({ color: { $type: 'color', link: { $value: '{color.missing}' } } }))
+      .toThrow('Unresolved design token alias: {color.missing}');
+  });
+});
+
+describe('checkTokenConformance', () => {
+  const tokens = parseDesignTokens(w3cTokens);
+  const styles = {
+    button: {
+      selector: '.btn.primary',
+      styles: {
+        'background-color': 'rgb(106, 124, 247)',
+        'color': 'rgb(26, 26, 26)',
+        'padding': '8px 18px',
+        'font-weight': '700',
+        'font-family': '"Inter", sans-serif',
+        'border-color': 'rgba(0, 0, 0, 0)'
+      }
+    },
+    card: {
+      selector: '.card',
+      styles: { 'background-color': 'rgb(106, 124, 247)', 'padding': '16px', 'margin': '0px' }
+    }
+  };
+
+  test('reports each off-token value once with the nearest token', () => {
+    const result = checkTokenConformance(styles, tokens);
+
+    expect(result.tokenCount).toBe(tokens.length);
+    expect(result.totalViolations).toBe(2);
+    expect(result.violations[0]).toMatchObject({
+      property: 'background-color',
+      type: 'color',
+      value: '#6a7cf7',
+      occurrences: 2,
+      selectors: ['.btn.primary', '.card'],
+      suggestion: { token: 'color.primary', value: '#4a6cf7' }
+    });
+    expect(result.violations[1]).toMatchObject({
+      property: 'padding',
+      value: '18px',
+      occurrences: 1,
+      suggestion: { token: 'spacing.md', value: '1rem', distance: 2 }
+    });
+  });
+
+  test('accepts values within the tolerances', () => {
+    const result = checkTokenConformance(styles, tokens, { tolerance: 2, colorTolerance: 10 });
+
+    expect(result.violations).toEqual([]);
+  });
+
+  test('restricts properties to a token group', () => {
+    const result = checkTokenConformance(
+      { box: { selector: '.box', styles: { gap: '8px' } } },
+      [...tokens, { name: 'size.icon', type: 'dimension', value: '8px', parsed: 8 }].filter(token => token.name !== 'spacing.sm'),
+      { properties: { gap: { type: 'dimension', group: 'spacing' } } }
+    );
+
+    expect(result.violations).toHaveLength(1);
+    expect(result.violations[0].suggestion.token).toBe('spacing.md');
+  });
+});
+
+describe('describeTokenViolation', () => {
+  test('formats a violation with its suggestion', () => {
+    expect(describeTokenViolation({
+      property: 'background-color',
+      value: '#6a7cf7',
+      occurrences: 12,
+      selectors: ['.btn.primary', '.card', '.hero'],
+      suggestion: { token: 'color.primary', value: '#4a6cf7' }
+    })).toBe('background-color #6a7cf7 (12×, .btn.primary, .card) → color.primary (#4a6cf7)');
+  });
+});
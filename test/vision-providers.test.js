@@ -0,0 +1,122 @@
+import { createVisionProvider } from '../src/integrations/vision-providers.js';
+import { parseFindings, repairPrompt } from '../src/core/llm-findings.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('createVisionProvider', () => {
+  test('rejects unknown providers', () => {
+    expect(() => createVisionProvider({ provider: 'gemini' }))
+      .toThrow('Unknown vision provider "gemini" (expected one of openai, local, anthropic, fake)');
+  });
+
+  test('needs a base URL for local models', () => {
+    expect(() => createVisionProvider({ provider: 'local', model: 'llava' }))
+      .toThrow('The local provider needs llm.baseURL');
+  });
+
+  test('needs a model for local models', () => {
+    expect(() => createVisionProvider({ provider: 'local', baseURL: 'http://localhost:11434/v1' }))
+      .toThrow('llm.model is required for the local provider');
+  });
+
+  test('uses the default model of hosted providers', () => {
+    const provider = createVisionProvider({ apiKey: 'test' });
+
+    expect([provider.name, provider.model]).toEqual(['openai', 'gpt-4o']);
+  });
+});
+
+describe('FakeVisionProvider', () => {
+  test('answers from the request without a network', async () => {
+    const provider = createVisionProvider({ provider: 'fake' });
+    const request = { system: 'You compare UI screenshots.', prompt: 'Compare  these\nimages', images: [IMAGE, IMAGE] };
+
+    const response = await provider.analyze(request);
+
+    expect(response).toMatchObject({ model: 'fake-vision', promptTokens: 7, completionTokens: 9 });
+    expect(parseFindings(response.text)).toEqual({
+      summary: 'Fake analysis of 2 image(s), prompt of 21 characters',
+      findings: [],
+      errors: []
+    });
+    expect(provider.requests).toEqual([request]);
+  });
+
+  test('returns the configured response', async () => {
+    const provider = createVisionProvider({ provider: 'fake', model: 'scripted', response: 'Buttons differ.' });
+
+    expect(await provider.analyze({ prompt: 'Compare', images: [IMAGE] }))
+      .toMatchObject({ text: 'Buttons differ.', model: 'scripted', completionTokens: 2 });
+  });
+
+  test('plays scripted responses in order, repeating the last', async () => {
+    const provider = createVisionProvider({ provider: 'fake', responses: ['first', 'second'] });
+    const texts = [];
+    for (let i = 0; i < 3; i++) {
+      texts.push((await provider.analyze({ prompt: 'Compare' })).text);
+    }
+
+    expect(texts).toEqual(['first', 'second', 'second']);
+  });
+
+  test('drives a findings analysis through one repair round', async () => {
+    const finding = { category: 'color', severity: 'high', description: 'Button is lighter', bbox: null, selector: '.btn', suggestedChange: null };
+    const provider = createVisionProvider({
+      provider: 'fake',
+      responses: [
+        'The button looks lighter.',
+        `\`\`\`json\n${JSON.stringify({ summary: 'One color difference', findings: [finding] })}\n\`\`\``
+      ]
+    });
+
+    let response = await provider.analyze({ system: 'Compare', prompt: 'Find differences', images: [IMAGE, IMAGE, IMAGE] });
+    let parsed = parseFindings(response.text);
+    expect(parsed.errors).toEqual(['not valid JSON: no JSON object found']);
+
+    response = await provider.analyze({ system: 'Compare', prompt: repairPrompt(response.text, parsed.errors), images: [] });
+    parsed = parseFindings(response.text);
+
+    expect(parsed).toEqual({ summary: 'One color difference', findings: [finding], errors: [] });
+    expect(provider.requests[1].prompt).toContain('Previous answer:\nThe button looks lighter.');
+  });
+
+  test('retries transient failures with backoff', async () => {
+    const provider = createVisionProvider({ provider: 'fake', retries: 2, retryDelay: 0 });
+    const request = provider._request.bind(provider);
+    let calls = 0;
+    provider._request = async options => {
+      calls++;
+      if (calls < 3) {
+        throw Object.assign(new Error('Service unavailable'), { status: 503 });
+      }
+      return request(options);
+    };
+
+    expect((await provider.analyze({ prompt: 'Compare' })).model).toBe('fake-vision');
+    expect(calls).toBe(3);
+  });
+
+  test('gives up after the configured retries', async () => {
+    const provider = createVisionProvider({ provider: 'fake', retries: 1, retryDelay: 0 });
+    let calls = 0;
+    provider._request = async () => {
+      calls++;
+      throw Object.assign(new Error('Too many requests'), { status: 429 });
+    };
+
+    await expect(provider.analyze({ prompt: 'Compare' })).rejects.toThrow('fake vision analysis failed: Too many requests');
+    expect(calls).toBe(2);
+  });
+
+  test('fails right away on errors that will not go away', async () => {
+    const provider = createVisionProvider({ provider: 'fake', retries: 2, retryDelay: 0 });
+    let calls = 0;
+    provider._request = async () => {
+      calls++;
+      throw Object.assign(new Error('Invalid image'), { status: 400 });
+    };
+
+    await expect(provider.analyze({ prompt: 'Compare' })).rejects.toThrow('fake vision analysis failed: Invalid image');
+    expect(calls).toBe(1);
+  });
+});